@@ -0,0 +1,154 @@
+// @ts-check
+/// <reference path="./types/extension.d.ts" />
+/**
+ * @fileoverview Focused-time statistics for the time-spent dashboard
+ *
+ * The background service worker adds every span in which a tab had focus to
+ * per-day totals, split by hour, domain and group. The tab manager adds the
+ * days up for its charts. The statistics never leave the browser.
+ *
+ * Days are keyed by their local date ("YYYY-MM-DD"), so a day is the user's
+ * calendar day even across daylight saving time changes.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} FocusSpan
+ * @property {number} start - When the tab got focus
+ * @property {number} end - When the tab lost focus
+ * @property {string} domain - Domain of the page
+ * @property {string[]} groups - Names of the custom or native groups of the tab
+ */
+
+/**
+ * Returns the key of the local day a time falls on
+ *
+ * @param {number} time - Timestamp
+ * @returns {string} The date as "YYYY-MM-DD"
+ *
+ * @example
+ * // "2025-03-13"
+ * getDayKey(new Date(2025, 2, 13, 14, 30).getTime())
+ */
+function getDayKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the keys of the days up to and including the day of `time`
+ *
+ * @param {number} time - Timestamp on the last day
+ * @param {number} count - Number of days
+ * @returns {string[]} Day keys, oldest first
+ */
+function getRecentDayKeys(time, count) {
+  const date = new Date(time);
+  const keys = [];
+  for (let offset = count - 1; offset >= 0; offset--) {
+    keys.push(getDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset).getTime()));
+  }
+  return keys;
+}
+
+/**
+ * Returns the statistics of a day without any focused time
+ *
+ * @returns {TabManager.FocusTimeDay}
+ */
+function createFocusDay() {
+  return {
+    total: 0,
+    hours: new Array(24).fill(0),
+    domains: {},
+    groups: {}
+  };
+}
+
+/**
+ * Adds a focused span to the statistics
+ * Spans that cross the hour or midnight are split, so each hour and day only
+ * gets the time that fell on it.
+ *
+ * @param {TabManager.FocusTimeDays} days - Statistics by day, changed in place
+ * @param {FocusSpan} span - The focused span
+ * @returns {TabManager.FocusTimeDays} The same statistics
+ */
+function addFocusTime(days, span) {
+  let from = span.start;
+
+  while (from < span.end) {
+    const date = new Date(from);
+    const nextHour = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1).getTime();
+    const to = Math.min(span.end, nextHour);
+    const duration = to - from;
+
+    const key = getDayKey(from);
+    const day = days[key] || (days[key] = createFocusDay());
+    day.total += duration;
+    day.hours[date.getHours()] += duration;
+    day.domains[span.domain] = (day.domains[span.domain] || 0) + duration;
+    span.groups.forEach(group => {
+      day.groups[group] = (day.groups[group] || 0) + duration;
+    });
+
+    from = to;
+  }
+
+  return days;
+}
+
+/**
+ * Drops the statistics of days older than the retention period
+ *
+ * @param {TabManager.FocusTimeDays} days - Statistics by day
+ * @param {number} retentionDays - Number of days to keep, including today
+ * @param {number} now - Current time
+ * @returns {TabManager.FocusTimeDays} The statistics that are kept
+ */
+function pruneFocusDays(days, retentionDays, now) {
+  const oldestKey = getRecentDayKeys(now, retentionDays)[0];
+
+  /** @type {TabManager.FocusTimeDays} */
+  const kept = {};
+  for (const [key, day] of Object.entries(days)) {
+    // Keys sort like the dates they stand for
+    if (key >= oldestKey) {
+      kept[key] = day;
+    }
+  }
+  return kept;
+}
+
+/**
+ * Adds up the statistics of several days
+ *
+ * @param {TabManager.FocusTimeDays} days - Statistics by day
+ * @param {string[]} dayKeys - Days to add up; days without statistics count as empty
+ * @returns {TabManager.FocusTimeDay} The totals
+ */
+function sumFocusDays(days, dayKeys) {
+  const sum = createFocusDay();
+
+  dayKeys.forEach(key => {
+    const day = days[key];
+    if (!day) return;
+
+    sum.total += day.total;
+    day.hours.forEach((duration, hour) => {
+      sum.hours[hour] += duration;
+    });
+    for (const [domain, duration] of Object.entries(day.domains)) {
+      sum.domains[domain] = (sum.domains[domain] || 0) + duration;
+    }
+    for (const [group, duration] of Object.entries(day.groups)) {
+      sum.groups[group] = (sum.groups[group] || 0) + duration;
+    }
+  });
+
+  return sum;
+}
@@ -6,14 +6,28 @@
  * This script runs in the background and handles:
  * - Tab tracking (creation, removal, updates)
  * - Parent-child tab relationship tracking
+ * - Tab tree recovery across browser restarts
+ * - Two-way sync between custom groups and native tab groups
  * - YouTube queue detection and preservation
- * - Tab history recording
- * - Browser badge updates
+ * - Tab history with time-on-tab durations
+ * - Local time-spent analytics per day, domain, group and tab
+ * - Browser badge updates, colored by soft and hard limits on open tabs
  * - Tab manager window creation
+ * - Automatic archiving of idle windows
+ * - Undo journal for destructive actions
+ * - Log of recently closed tabs that can be reopened in their place in the tree
+ * - Scheduled session snapshots
+ * - Markdown and CSV export of tab selections
+ * - Passphrase-encrypted backups of inactive windows
+ * - Opt-in sync of inactive windows and custom groups across devices
+ * - Migration of stored data saved by older versions
+ * - Periodic cleanup of orphaned storage entries
  * - Inter-component message passing
  * 
  * It maintains persistence using chrome.storage.local to retain tab relationships
- * and YouTube queue information across browser sessions.
+ * and YouTube queue information across browser sessions. Keys that several
+ * listeners update (relationships, queues, history, inactive windows) go
+ * through the serialized cache in storage.js.
  * 
  * @version 1.0.0
  * @license MIT
@@ -22,6 +36,26 @@
 // Background script for Tab Tracker extension
 // This script runs in the background and keeps track of tabs
 
+// Shared helpers (domain extraction, custom group member binding, tag parsing, HTML escaping)
+importScripts('utils.js');
+
+// Cached storage with serialized updates for keys written by many listeners
+importScripts('storage.js');
+
+// Parsers for data exported by other tab managers
+importScripts('importers.js');
+
+// Markdown and CSV renderers for tab exports
+importScripts('exporters.js');
+
+// Per-day focused time statistics for the time-spent dashboard
+importScripts('analytics.js');
+
+// Upgrade data saved by older versions before the new code reads it
+chrome.runtime.onInstalled.addListener(() => {
+  migrateStorage();
+});
+
 // Handle clicks on the browser action icon
 chrome.action.onClicked.addListener(() => {
   // Check if tab manager window is already open
@@ -90,19 +124,25 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
  * no tab manager windows are open to receive the message.
  */
 function notifyTabsUpdated() {
-  try {
-    // Send message to tab manager windows, catching the error if no receivers exist
-    chrome.runtime.sendMessage({
-      action: 'tabsUpdated'
-    }).catch(error => {
-      // It's normal for this error to occur when no tab manager windows are open
-      // "Receiving end does not exist" is expected and can be safely ignored
-      console.debug('No listeners for tabsUpdated message, this is normal:', error.message);
-    });
-  } catch (error) {
-    // Additional catch for legacy Chrome versions
-    console.debug('Error sending message, this is normal if no tab manager is open');
-  }
+  // Write pending changes first, since tab manager windows read the
+  // relationships straight from storage when they refresh
+  flushStore().catch(error => {
+    console.error('Error writing storage:', error);
+  }).finally(() => {
+    try {
+      // Send message to tab manager windows, catching the error if no receivers exist
+      chrome.runtime.sendMessage({
+        action: 'tabsUpdated'
+      }).catch(error => {
+        // It's normal for this error to occur when no tab manager windows are open
+        // "Receiving end does not exist" is expected and can be safely ignored
+        console.debug('No listeners for tabsUpdated message, this is normal:', error.message);
+      });
+    } catch (error) {
+      // Additional catch for legacy Chrome versions
+      console.debug('Error sending message, this is normal if no tab manager is open');
+    }
+  });
   
   // Update badge with tab count
   updateBadgeWithTabCount();
@@ -115,7 +155,8 @@ function notifyTabsUpdated() {
  * as a badge on the extension icon. It helps users keep track of
  * how many tabs they have open at a glance.
  * 
- * The badge uses a blue background with white text for optimal visibility.
+ * The badge uses white text on a blue background, which turns amber when a
+ * soft tab limit is exceeded and red when a hard one is (see Tab Guardrails).
  */
 function updateBadgeWithTabCount() {
   chrome.tabs.query({}, (tabs) => {
@@ -127,8 +168,13 @@ function updateBadgeWithTabCount() {
     // Set badge text color to white for better visibility and contrast
     chrome.action.setBadgeTextColor({ color: '#FFFFFF' });
     
-    // Set badge background color
-    chrome.action.setBadgeBackgroundColor({ color: '#4285F4' });
+    // Set badge background color from the tab limits
+    getSettings().then(settings => {
+      const { level } = evaluateGuardrails(tabs, settings.guardrails);
+      chrome.action.setBadgeBackgroundColor({ color: GUARDRAIL_BADGE_COLORS[level] });
+    }).catch(error => {
+      console.error('Error checking tab limits:', error);
+    });
   });
 }
 
@@ -138,23 +184,23 @@ chrome.tabs.onCreated.addListener((tab) => {
   
   // When a new tab is created, we need to track its parent relationship
   // The openerTabId property tells us which tab opened this new tab
-  if (tab.openerTabId) {
-    // Store this parent-child relationship
-    chrome.storage.local.get(['tabRelationships'], (result) => {
-      let relationships = result.tabRelationships || {};
-      
+  const tabId = tab.id;
+  const openerTabId = tab.openerTabId;
+  if (openerTabId && tabId) {
+    // Store this parent-child relationship once the tracking session is set up,
+    // so that relationships from a previous browser session are parked first
+    getTrackingSessionId().then(() => updateStore('tabRelationships', relationships => {
       // Create an entry for this child tab
-      if (tab.id) {
-        relationships[tab.id] = {
-          parentTabId: tab.openerTabId,
-          createdAt: Date.now()
-        };
-      
-        chrome.storage.local.set({ tabRelationships: relationships });
-      
-        // Notify that tabs have updated with new relationship data
-        notifyTabsUpdated();
-      }
+      relationships[tabId] = {
+        parentTabId: openerTabId,
+        createdAt: Date.now()
+      };
+      return relationships;
+    })).then(() => {
+      // Notify that tabs have updated with new relationship data
+      notifyTabsUpdated();
+    }).catch(error => {
+      console.error('Error storing tab relationship:', error);
     });
   }
 });
@@ -163,21 +209,27 @@ chrome.tabs.onCreated.addListener((tab) => {
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   console.log('Tab removed:', tabId);
   
-  // Clean up tab relationships when a tab is closed
-  chrome.storage.local.get(['tabRelationships'], (result) => {
-    let relationships = result.tabRelationships || {};
+  // Clean up tab relationships when a tab is closed. Tabs of a closing window
+  // keep their entry: on shutdown every window closes, and recovering the tree
+  // after the restart needs it. Storage maintenance prunes entries left behind.
+  updateStore('tabRelationships', relationships => {
+    // Log the tab's place in the tree before it is forgotten
+    const parentTabId = relationships[tabId] ? relationships[tabId].parentTabId : undefined;
+    const childTabIds = Object.keys(relationships)
+      .filter(id => relationships[id].parentTabId === tabId)
+      .map(Number);
+    recordClosedTab(tabId, removeInfo, parentTabId, childTabIds)
+      .catch(error => console.error('Error logging closed tab:', error));
     
     // Remove the relationship entry for this tab
-    if (relationships[tabId]) {
+    if (!removeInfo.isWindowClosing) {
       delete relationships[tabId];
-      chrome.storage.local.set({ tabRelationships: relationships });
     }
-  });
+    return relationships;
+  }).catch(error => console.error('Error removing tab relationship:', error));
   
   // When a tab is removed, save its YouTube queue if it exists
-  chrome.storage.local.get(['youtubeQueues'], (result) => {
-    let youtubeQueues = result.youtubeQueues || {};
-    
+  updateStore('youtubeQueues', youtubeQueues => {
     // We store the queue indexed by tab URL instead of tabId to persist across sessions
     if (youtubeQueues[`tab-${tabId}`]) {
       const queueData = youtubeQueues[`tab-${tabId}`];
@@ -192,9 +244,9 @@ chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
       
       // Remove the tab-specific entry
       delete youtubeQueues[`tab-${tabId}`];
-      chrome.storage.local.set({ youtubeQueues: youtubeQueues });
     }
-  });
+    return youtubeQueues;
+  }).catch(error => console.error('Error saving YouTube queue:', error));
 });
 
 // Check if a URL is a YouTube watch page
@@ -356,9 +408,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       extractYouTubeQueueInfo(tab).then(queueData => {
         if (queueData && queueData.videos && queueData.videos.length > 0) {
           // Save queue information to storage
-          chrome.storage.local.get(['youtubeQueues'], (result) => {
-            let youtubeQueues = result.youtubeQueues || {};
-            
+          updateStore('youtubeQueues', youtubeQueues => {
             // Store by tab ID for the active session
             youtubeQueues[`tab-${tabId}`] = queueData;
             
@@ -368,8 +418,8 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
               timestamp: Date.now()
             };
             
-            chrome.storage.local.set({ youtubeQueues: youtubeQueues });
-          });
+            return youtubeQueues;
+          }).catch(storageError => console.error('Error saving YouTube queue:', storageError));
         }
       }).catch(error => {
         // This can happen if the tab was closed or navigated away before the script completed
@@ -385,14 +435,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     try {
       chrome.tabs.query({}, (tabs) => {
         try {
-          // Fetch YouTube queue data to include with tabs
-          chrome.storage.local.get(['youtubeQueues'], (result) => {
-            try {
-              const youtubeQueues = result.youtubeQueues || {};
-              
-              // Attach queue information to tab data
+          // Fetch YouTube queue data and last access times to include with tabs, and
+          // write pending changes since the tab manager reads the relationships from storage next
+          Promise.all([readStore('youtubeQueues'), getLastAccessTimes(tabs), flushStore()]).then(([youtubeQueues, lastAccessTimes]) => {
+            try {              
+              // Attach queue information and last access times to tab data
               tabs.forEach(tab => {
                 try {
+                  if (tab && tab.id !== undefined && lastAccessTimes.has(tab.id)) {
+                    tab.lastAccessed = lastAccessTimes.get(tab.id);
+                  }
+                  
                   if (tab && tab.url && isYouTubeWatchUrl(tab.url)) {
                     // First check if we have queue data for this specific tab
                     if (youtubeQueues[`tab-${tab.id}`]) {
@@ -420,6 +473,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
               console.debug('Error processing storage data:', storageError.message);
               sendResponse({ tabs: tabs || [] });
             }
+          }).catch(storageError => {
+            console.debug('Error reading storage data:', storageError.message);
+            sendResponse({ tabs: tabs || [] });
           });
         } catch (queryError) {
           console.debug('Error querying tabs:', queryError.message);
@@ -462,351 +518,5112 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
-// Optional: Store tab history in local storage
-// This can be used for extended functionality later
-chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
-  chrome.tabs.get(tabId, (tab) => {
-    // Handle case where tab doesn't exist or there was an error
-    if (chrome.runtime.lastError) {
-      console.debug('Cannot access tab, it may have been closed:', chrome.runtime.lastError.message);
-      return;
-    }
-    
-    // Skip non-http tabs and invalid URLs
-    if (!tab || !tab.url || !tab.url.startsWith('http')) {
-      return;
-    }
-    
-    try {
-      const timestamp = Date.now();
-      const tabData = {
-        id: tab.id,
-        windowId: tab.windowId,
-        url: tab.url,
-        title: tab.title,
-        timestamp
-      };
-      
-      chrome.storage.local.get(['tabHistory'], (result) => {
-        let tabHistory = result.tabHistory || [];
-        
-        // Keep only the latest 100 entries to avoid storage limits
-        tabHistory.unshift(tabData);
-        if (tabHistory.length > 100) {
-          tabHistory = tabHistory.slice(0, 100);
-        }
-        
-        chrome.storage.local.set({ tabHistory: tabHistory });
-      });
-    } catch (error) {
-      console.debug('Error storing tab history:', error.message);
-    }
-  });
-});
+// ---------- Tab History ----------
+// Records which tab had focus and for how long. An entry starts when a tab
+// gets focus (it is activated, its window is focused, it navigates, or the
+// user returns from being idle) and gets its duration when focus moves on.
+// The entry being timed is remembered in session storage, so timing survives
+// the service worker being suspended; an entry cut short by a browser
+// restart keeps an unknown duration.
 
-// ---------- Inactive Windows Management ----------
+/** Session storage key of the entry being timed */
+const ACTIVE_HISTORY_ENTRY_KEY = 'activeHistoryEntry';
+
+/** Session storage key of the times tabs were last activated, by tab ID */
+const TAB_ACCESS_TIMES_KEY = 'tabAccessTimes';
+
+// History changes are serialized, since focusing a tab in another window
+// fires several events at once
+let tabHistoryQueue = Promise.resolve();
 
 /**
- * Stores information about a window that is being deactivated
- * This includes all tabs, their URLs, titles, and relationships
+ * Queues a history task behind any task that is still running
+ *
+ * @param {() => Promise<void>} task - The history task
+ * @returns {Promise<void>}
+ */
+function queueTabHistoryTask(task) {
+  tabHistoryQueue = tabHistoryQueue
+    .then(task)
+    .catch(error => console.error('Error recording tab history:', error));
+  return tabHistoryQueue;
+}
+
+/**
+ * Returns the tab that has the user's attention
+ * Watching a video or listening needs no input, so a tab playing sound keeps
+ * the user's attention until the screen is locked.
  * 
- * @param {number} windowId - The ID of the window being deactivated
- * @returns {Promise<boolean>} - Promise resolving to true if successful
+ * @param {number} idleMinutes - Minutes without input after which the user counts as away
+ * @returns {Promise<chrome.tabs.Tab|null>} - The active web page of the focused
+ *   window, or null when the browser is in the background, the user is away or
+ *   the tab is not a web page
  */
-async function deactivateWindow(windowId) {
-  try {
-    console.log('Deactivating window:', windowId);
-    
-    // Get all tabs in the window
-    const tabs = await chrome.tabs.query({ windowId });
-    
-    if (!tabs || tabs.length === 0) {
-      console.warn('No tabs found in window to deactivate');
-      return false;
-    }
-    
-    // Get tab relationships to preserve parent-child connections
-    const { tabRelationships } = await chrome.storage.local.get(['tabRelationships']);
-    const relationships = tabRelationships || {};
-    
-    // Create window data object
-    const windowData = {
-      id: windowId,
-      deactivatedAt: Date.now(),
-      name: `Window ${windowId}`, // Default name, can be customized by user
-      tabs: tabs.map(tab => ({
-        url: tab.url,
-        title: tab.title,
-        favIconUrl: tab.favIconUrl,
-        pinned: tab.pinned,
-        index: tab.index,
-        groupId: tab.groupId,
-        originalId: tab.id,
-        // Get parent relationship if it exists
-        parentTabId: relationships[tab.id] ? relationships[tab.id].parentTabId : undefined
-      }))
-    };
-    
-    // Store window data in inactive windows list
-    const { inactiveWindows } = await chrome.storage.local.get(['inactiveWindows']);
-    const allInactiveWindows = inactiveWindows || [];
-    
-    // Add to the beginning of the list (most recent first)
-    allInactiveWindows.unshift(windowData);
-    
-    // Save updated inactive windows list
-    await chrome.storage.local.set({ inactiveWindows: allInactiveWindows });
-    
-    // Close the window now that we've stored its data
-    await chrome.windows.remove(windowId);
-    
-    console.log('Window deactivated successfully:', windowId);
-    return true;
-  } catch (error) {
-    console.error('Error deactivating window:', error);
-    return false;
+async function getFocusedTab(idleMinutes) {
+  const idleState = await chrome.idle.queryState(idleMinutes * 60);
+  if (idleState === 'locked') {
+    return null;
+  }
+  
+  const window = await chrome.windows.getLastFocused({ populate: true, windowTypes: ['normal'] })
+    .catch(() => null);
+  if (!window || !window.focused || !window.tabs) {
+    return null;
+  }
+  
+  const tab = window.tabs.find(t => t.active);
+  if (!tab || !tab.url || !tab.url.startsWith('http')) {
+    return null;
   }
+  return idleState === 'active' || tab.audible ? tab : null;
 }
 
 /**
- * Reactivates a previously deactivated window
- * Creates a new browser window with all the tabs from the saved window
+ * Makes chrome.idle report the user as away after the configured time, so
+ * the history hears about it when it happens
  * 
- * @param {number} inactiveWindowIndex - The index of the inactive window in the array
- * @returns {Promise<boolean>} - Promise resolving to true if successful
+ * @returns {Promise<void>}
  */
-async function reactivateWindow(inactiveWindowIndex) {
-  try {
-    console.log('Reactivating window at index:', inactiveWindowIndex);
-    
-    // Get inactive window data
-    const { inactiveWindows } = await chrome.storage.local.get(['inactiveWindows']);
-    
-    if (!inactiveWindows || !inactiveWindows[inactiveWindowIndex]) {
-      console.warn('Inactive window not found at index:', inactiveWindowIndex);
-      return false;
-    }
-    
-    const windowData = inactiveWindows[inactiveWindowIndex];
-    
-    // Create a new window with the first tab
-    const firstTab = windowData.tabs[0] || { url: 'about:blank' };
-    const newWindow = await chrome.windows.create({
-      url: firstTab.url,
-      focused: true
-    });
-    
-    if (!newWindow || !newWindow.id) {
-      console.error('Failed to create new window');
-      return false;
-    }
-    
-    // Find the tab that was created with the window
-    const initialTabs = await chrome.tabs.query({ windowId: newWindow.id });
-    const initialTabId = initialTabs[0]?.id;
-    
-    // Create mapping of original to new tab IDs for preserving relationships
-    const tabIdMapping = {};
-    
-    // Add rest of the tabs
-    if (windowData.tabs.length > 1) {
-      for (let i = 1; i < windowData.tabs.length; i++) {
-        const tabData = windowData.tabs[i];
-        const newTab = await chrome.tabs.create({
-          windowId: newWindow.id,
-          url: tabData.url,
-          pinned: tabData.pinned,
-          index: tabData.index,
-          active: false
-        });
-        
-        // Store mapping of original ID to new ID
-        if (tabData.originalId && newTab.id) {
-          tabIdMapping[tabData.originalId] = newTab.id;
-        }
-      }
-    }
-    
-    // If we created tabs for all entries except the first one,
-    // update the first tab too
-    if (initialTabId && firstTab.originalId) {
-      // Pin the tab if it was pinned
-      if (firstTab.pinned) {
-        await chrome.tabs.update(initialTabId, { pinned: true });
-      }
-      
-      // Store mapping for the first tab
-      tabIdMapping[firstTab.originalId] = initialTabId;
+async function applyHistoryIdleInterval() {
+  const { history: historySettings } = await getSettings();
+  chrome.idle.setDetectionInterval(historySettings.idleMinutes * 60);
+}
+
+/**
+ * Applies the retention settings to the history
+ * 
+ * @param {TabManager.TabHistoryEntry[]} tabHistory - Entries, newest first
+ * @param {TabManager.HistorySettings} historySettings - Retention settings
+ * @param {number} now - Current time
+ * @returns {TabManager.TabHistoryEntry[]} - The entries that are kept
+ */
+function pruneTabHistory(tabHistory, historySettings, now) {
+  const oldest = now - historySettings.maxAgeDays * 24 * 60 * 60 * 1000;
+  return tabHistory
+    .filter(entry => entry.timestamp >= oldest)
+    .slice(0, historySettings.maxHistoryItems);
+}
+
+/**
+ * Gives the entry being timed its duration and adds the time to the analytics
+ * 
+ * @param {number} now - When the tab lost focus
+ * @returns {Promise<void>}
+ */
+async function finishHistoryEntry(now) {
+  const { [ACTIVE_HISTORY_ENTRY_KEY]: active } = await chrome.storage.session.get([ACTIVE_HISTORY_ENTRY_KEY]);
+  if (!active) return;
+  
+  await chrome.storage.session.remove(ACTIVE_HISTORY_ENTRY_KEY);
+  await recordFocusTime(active, now);
+  await updateStore('tabHistory', tabHistory => {
+    const entry = tabHistory.find(e => e.timestamp === active.timestamp && e.id === active.tabId);
+    if (entry) {
+      entry.duration = Math.max(0, now - entry.timestamp);
     }
-    
-    // Restore parent-child relationships
-    await restoreTabRelationships(windowData.tabs, tabIdMapping);
-    
-    // Remove the reactivated window from the inactive list
-    inactiveWindows.splice(inactiveWindowIndex, 1);
-    await chrome.storage.local.set({ inactiveWindows: inactiveWindows });
-    
-    console.log('Window reactivated successfully with ID:', newWindow.id);
-    return true;
-  } catch (error) {
-    console.error('Error reactivating window:', error);
-    return false;
-  }
+    return tabHistory;
+  });
 }
 
 /**
- * Restores parent-child relationships between tabs in a reactivated window
+ * Starts timing the tab that has focus now, ending the previous entry
+ * Nothing changes while the same page keeps focus.
  * 
- * @param {Array<Object>} originalTabs - Array of original tab data with relationship info
- * @param {Object<number, number>} tabIdMapping - Mapping of original tab IDs to new IDs
  * @returns {Promise<void>}
  */
-async function restoreTabRelationships(originalTabs, tabIdMapping) {
-  try {
-    // Get current relationships
-    const { tabRelationships } = await chrome.storage.local.get(['tabRelationships']);
-    const relationships = tabRelationships || {};
-    
-    // Create new relationships based on the original ones
-    for (const tab of originalTabs) {
-      if (tab.parentTabId && tab.originalId) {
-        const newTabId = tabIdMapping[tab.originalId];
-        const newParentId = tabIdMapping[tab.parentTabId];
-        
-        // Only create relationship if both tabs exist in the new window
-        if (newTabId && newParentId) {
-          relationships[newTabId] = {
-            parentTabId: newParentId,
-            createdAt: Date.now()
-          };
-        }
-      }
+async function recordFocusedTab() {
+  const now = Date.now();
+  const { history: historySettings, analytics: analyticsSettings } = await getSettings();
+  // The analytics add up the same timed spans, so timing runs while either is on
+  const tab = historySettings.enabled || analyticsSettings.enabled ? await getFocusedTab(historySettings.idleMinutes) : null;
+  const { [ACTIVE_HISTORY_ENTRY_KEY]: active } = await chrome.storage.session.get([ACTIVE_HISTORY_ENTRY_KEY]);
+  
+  if (active && tab && active.tabId === tab.id && active.url === tab.url) {
+    return;
+  }
+  
+  await finishHistoryEntry(now);
+  if (!tab) return;
+  
+  /** @type {TabManager.TabHistoryEntry} */
+  const entry = {
+    id: tab.id,
+    windowId: tab.windowId,
+    url: tab.url,
+    title: tab.title,
+    timestamp: now
+  };
+  
+  await chrome.storage.session.set({
+    [ACTIVE_HISTORY_ENTRY_KEY]: {
+      tabId: tab.id,
+      url: tab.url,
+      timestamp: now,
+      groups: analyticsSettings.enabled ? await getTabGroupNames(tab) : []
     }
-    
-    // Save updated relationships
-    await chrome.storage.local.set({ tabRelationships: relationships });
-  } catch (error) {
-    console.error('Error restoring tab relationships:', error);
+  });
+  if (historySettings.enabled) {
+    await updateStore('tabHistory', tabHistory => pruneTabHistory([entry, ...tabHistory], historySettings, now));
   }
 }
 
 /**
- * Exports all inactive window data to a JSON string
+ * Keeps the title of the entry being timed up to date
+ * Pages often set their final title after the entry was started.
  * 
- * @returns {Promise<string>} - JSON string containing all inactive window data
+ * @param {number} tabId - The tab whose title changed
+ * @param {string} title - The new title
+ * @returns {Promise<void>}
  */
-async function exportInactiveWindows() {
-  try {
-    const { inactiveWindows } = await chrome.storage.local.get(['inactiveWindows']);
-    
-    if (!inactiveWindows) {
-      return JSON.stringify({ inactiveWindows: [] });
+async function updateHistoryEntryTitle(tabId, title) {
+  const { [ACTIVE_HISTORY_ENTRY_KEY]: active } = await chrome.storage.session.get([ACTIVE_HISTORY_ENTRY_KEY]);
+  if (!active || active.tabId !== tabId) return;
+  
+  await updateStore('tabHistory', tabHistory => {
+    const entry = tabHistory.find(e => e.timestamp === active.timestamp && e.id === tabId);
+    if (entry) {
+      entry.title = title;
     }
-    
-    return JSON.stringify({ 
-      inactiveWindows,
-      exportedAt: Date.now(),
-      version: '1.0'
-    }, null, 2); // Pretty print with 2-space indentation
-  } catch (error) {
-    console.error('Error exporting inactive windows:', error);
-    throw error;
+    return tabHistory;
+  });
+}
+
+/**
+ * Remembers when a tab was activated, or forgets a closed tab
+ * Kept for browsers whose tabs have no lastAccessed time.
+ * 
+ * @param {number} tabId - The tab
+ * @param {number|null} accessedAt - Activation time, or null if the tab was closed
+ * @returns {Promise<void>}
+ */
+async function recordTabAccess(tabId, accessedAt) {
+  const { [TAB_ACCESS_TIMES_KEY]: accessTimes = {} } = await chrome.storage.session.get([TAB_ACCESS_TIMES_KEY]);
+  
+  if (accessedAt === null) {
+    if (!(tabId in accessTimes)) return;
+    delete accessTimes[tabId];
+  } else {
+    accessTimes[tabId] = accessedAt;
   }
+  await chrome.storage.session.set({ [TAB_ACCESS_TIMES_KEY]: accessTimes });
 }
 
 /**
- * Imports inactive window data from a JSON string
+ * Works out when each tab was last used
+ * 
+ * Uses the most recent of the browser's own lastAccessed time, the
+ * activations recorded in this session, and the end of the last history
+ * entry with the tab's URL. The history covers tabs that were restored after
+ * a restart and not activated since.
  * 
- * @param {string} jsonData - JSON string containing inactive window data
- * @returns {Promise<{success: boolean, message: string, count: number}>} - Result of the import
+ * @param {chrome.tabs.Tab[]} tabs - Open tabs
+ * @returns {Promise<Map<number, number>>} - Last access time by tab ID, for tabs with a known time
  */
-async function importInactiveWindows(jsonData) {
-  try {
-    if (!jsonData) {
-      return { success: false, message: 'No data provided', count: 0 };
+async function getLastAccessTimes(tabs) {
+  const { [TAB_ACCESS_TIMES_KEY]: accessTimes = {} } = await chrome.storage.session.get([TAB_ACCESS_TIMES_KEY]);
+  const tabHistory = await readStore('tabHistory');
+  
+  /** @type {Map<string, number>} */
+  const lastVisits = new Map();
+  for (const entry of tabHistory) {
+    if (entry.url && !lastVisits.has(entry.url)) {
+      lastVisits.set(entry.url, entry.timestamp + (entry.duration || 0));
     }
-    
-    // Parse the JSON data
-    const data = JSON.parse(jsonData);
-    
-    if (!data.inactiveWindows || !Array.isArray(data.inactiveWindows)) {
-      return { success: false, message: 'Invalid data format', count: 0 };
+  }
+  
+  /** @type {Map<number, number>} */
+  const lastAccessTimes = new Map();
+  for (const tab of tabs) {
+    if (tab.id === undefined) continue;
+    const lastAccessed = Math.max(
+      tab.lastAccessed || 0,
+      accessTimes[tab.id] || 0,
+      (tab.url && lastVisits.get(tab.url)) || 0
+    );
+    if (lastAccessed > 0) {
+      lastAccessTimes.set(tab.id, lastAccessed);
     }
-    
-    // Get current inactive windows
-    const { inactiveWindows } = await chrome.storage.local.get(['inactiveWindows']);
-    const currentWindows = inactiveWindows || [];
-    
-    // Add imported windows to the list
-    const updatedWindows = [...currentWindows, ...data.inactiveWindows];
-    
-    // Save the updated list
-    await chrome.storage.local.set({ inactiveWindows: updatedWindows });
-    
-    return { 
-      success: true, 
-      message: `Successfully imported ${data.inactiveWindows.length} inactive windows`,
-      count: data.inactiveWindows.length
-    };
-  } catch (error) {
-    console.error('Error importing inactive windows:', error);
-    return { 
-      success: false, 
-      message: `Error importing data: ${error.message}`,
-      count: 0
-    };
   }
+  return lastAccessTimes;
 }
 
-// Listen for messages related to inactive window management
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'deactivateWindow') {
-    deactivateWindow(request.windowId)
-      .then(success => sendResponse({ success }))
-      .catch(error => sendResponse({ 
-        success: false, 
-        error: error.message || 'Failed to deactivate window' 
-      }));
-    return true; // Required for async sendResponse
-  }
+/**
+ * Finds history entries by title or URL
+ * 
+ * @param {string} [query=''] - Words that must all appear in the title or URL
+ * @param {number} [since=0] - Only entries started at or after this time
+ * @returns {Promise<Array<TabManager.TabHistoryEntry & {active?: boolean}>>} - Matching
+ *   entries, newest first; the entry being timed is marked active
+ */
+async function searchTabHistory(query = '', since = 0) {
+  const tabHistory = await readStore('tabHistory');
+  const { [ACTIVE_HISTORY_ENTRY_KEY]: active } = await chrome.storage.session.get([ACTIVE_HISTORY_ENTRY_KEY]);
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
   
-  if (request.action === 'reactivateWindow') {
-    reactivateWindow(request.windowIndex)
-      .then(success => sendResponse({ success }))
+  return tabHistory
+    .filter(entry => entry.timestamp >= since)
+    .filter(entry => {
+      const text = `${entry.title || ''} ${entry.url || ''}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    })
+    .map(entry => active && entry.timestamp === active.timestamp && entry.id === active.tabId
+      ? { ...entry, active: true }
+      : entry);
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  const now = Date.now();
+  queueTabHistoryTask(() => recordTabAccess(tabId, now));
+  queueTabHistoryTask(recordFocusedTab);
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  const now = Date.now();
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    queueTabHistoryTask(async () => {
+      const [tab] = await chrome.tabs.query({ active: true, windowId });
+      if (tab && tab.id !== undefined) {
+        await recordTabAccess(tab.id, now);
+      }
+    });
+  }
+  queueTabHistoryTask(recordFocusedTab);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  queueTabHistoryTask(() => recordTabAccess(tabId, null));
+  queueTabHistoryTask(recordFocusedTab);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  // A tab that stops playing sound while the user is away loses focus
+  if (changeInfo.url || changeInfo.audible !== undefined) {
+    queueTabHistoryTask(recordFocusedTab);
+  } else if (changeInfo.title) {
+    const title = changeInfo.title;
+    queueTabHistoryTask(() => updateHistoryEntryTitle(tabId, title));
+  }
+});
+
+chrome.idle.onStateChanged.addListener(() => {
+  queueTabHistoryTask(recordFocusedTab);
+});
+
+// Stop timing as soon as history and analytics are turned off, and pick up
+// a changed away time
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.settings) {
+    applyHistoryIdleInterval().catch(error => console.error('Error setting the idle interval:', error));
+    queueTabHistoryTask(recordFocusedTab);
+  }
+});
+
+applyHistoryIdleInterval().catch(error => console.error('Error setting the idle interval:', error));
+
+// Listen for messages related to tab history
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getTabHistory') {
+    searchTabHistory(request.query, request.since)
+      .then(entries => sendResponse({ success: true, entries }))
       .catch(error => sendResponse({ 
         success: false, 
-        error: error.message || 'Failed to reactivate window' 
+        error: error.message || 'Failed to load tab history' 
       }));
     return true;
   }
   
-  if (request.action === 'getInactiveWindows') {
-    chrome.storage.local.get(['inactiveWindows'], (result) => {
-      sendResponse({ 
-        inactiveWindows: result.inactiveWindows || [] 
-      });
-    });
-    return true;
-  }
-  
-  if (request.action === 'exportInactiveWindows') {
-    exportInactiveWindows()
-      .then(jsonData => sendResponse({ success: true, data: jsonData }))
-      .catch(error => sendResponse({ 
+  return false;
+});
+
+// ---------- Time-Spent Analytics ----------
+
+// Focused time is added up per day, hour, domain and group from the spans
+// timed by the tab history above, so it pauses whenever that timing does:
+// when the browser loses focus and when the user is idle. Time per tab is only
+// kept for the open tabs of the current browser session. Nothing is sent
+// anywhere; the dashboard in the tab manager reads the statistics from here.
+
+/** Session storage key of the focused time of each open tab */
+const TAB_FOCUS_TIME_KEY = 'tabFocusTime';
+
+/**
+ * Returns the names of the groups a tab belongs to
+ * Custom groups count by membership; native groups only when no custom group
+ * is linked to them, since that group's members are the same tabs.
+ * 
+ * @param {chrome.tabs.Tab} tab - The tab
+ * @returns {Promise<string[]>} - Custom and native group names
+ */
+async function getTabGroupNames(tab) {
+  const [groups, sessionId] = await Promise.all([
+    readStore('customGroups'),
+    getTrackingSessionId()
+  ]);
+  
+  // Members bound in this session follow their tab, others match by URL
+  const names = groups
+    .filter(group => group.members.some(member => member.tabId !== undefined && member.sessionId === sessionId
+      ? member.tabId === tab.id
+      : member.url === tab.url))
+    .map(group => group.name);
+  
+  const linkedToCustomGroup = groups.some(group =>
+    group.nativeGroupId === tab.groupId && group.nativeSessionId === sessionId);
+  if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !linkedToCustomGroup) {
+    const nativeGroup = await chrome.tabGroups.get(tab.groupId).catch(() => null);
+    if (nativeGroup) {
+      names.push(nativeGroup.title || `Unnamed ${nativeGroup.color} group`);
+    }
+  }
+  
+  return [...new Set(names)];
+}
+
+/**
+ * Adds a timed span to the statistics and to its tab's total
+ * 
+ * @param {{tabId: number, url: string, timestamp: number, groups?: string[]}} active - The span that ended
+ * @param {number} now - When the tab lost focus
+ * @returns {Promise<void>}
+ */
+async function recordFocusTime(active, now) {
+  const { analytics: analyticsSettings } = await getSettings();
+  if (!analyticsSettings.enabled || now <= active.timestamp) return;
+  
+  const span = { start: active.timestamp, end: now, domain: extractDomain(active.url), groups: active.groups || [] };
+  await updateStore('focusTime', days => pruneFocusDays(addFocusTime(days, span), analyticsSettings.retentionDays, now));
+  
+  const { [TAB_FOCUS_TIME_KEY]: tabFocusTime = {} } = await chrome.storage.session.get([TAB_FOCUS_TIME_KEY]);
+  tabFocusTime[active.tabId] = (tabFocusTime[active.tabId] || 0) + (now - active.timestamp);
+  await chrome.storage.session.set({ [TAB_FOCUS_TIME_KEY]: tabFocusTime });
+}
+
+/**
+ * Forgets the focused time of a closed tab
+ * 
+ * @param {number} tabId - The closed tab
+ * @returns {Promise<void>}
+ */
+async function forgetTabFocusTime(tabId) {
+  const { [TAB_FOCUS_TIME_KEY]: tabFocusTime = {} } = await chrome.storage.session.get([TAB_FOCUS_TIME_KEY]);
+  if (!(tabId in tabFocusTime)) return;
+  
+  delete tabFocusTime[tabId];
+  await chrome.storage.session.set({ [TAB_FOCUS_TIME_KEY]: tabFocusTime });
+}
+
+/**
+ * Returns the statistics for the dashboard
+ * The span being timed is included up to now, without being stored.
+ * 
+ * @returns {Promise<{enabled: boolean, days: TabManager.FocusTimeDays, tabs: Object<string, number>}>} - Whether
+ *   the analytics are on, the statistics by day, and the focused time of each open tab by tab ID
+ */
+async function getFocusAnalytics() {
+  const now = Date.now();
+  const { analytics: analyticsSettings } = await getSettings();
+  const days = await readStore('focusTime');
+  const {
+    [ACTIVE_HISTORY_ENTRY_KEY]: active,
+    [TAB_FOCUS_TIME_KEY]: tabs = {}
+  } = await chrome.storage.session.get([ACTIVE_HISTORY_ENTRY_KEY, TAB_FOCUS_TIME_KEY]);
+  
+  if (analyticsSettings.enabled && active && now > active.timestamp) {
+    addFocusTime(days, { start: active.timestamp, end: now, domain: extractDomain(active.url), groups: active.groups || [] });
+    tabs[active.tabId] = (tabs[active.tabId] || 0) + (now - active.timestamp);
+  }
+  
+  return { enabled: analyticsSettings.enabled, days, tabs };
+}
+
+// Runs after the tab history's onRemoved listener, so the closed tab's last
+// span has been added before its total is dropped
+chrome.tabs.onRemoved.addListener((tabId) => {
+  queueTabHistoryTask(() => forgetTabFocusTime(tabId));
+});
+
+// Listen for messages related to the analytics dashboard
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getFocusAnalytics') {
+    getFocusAnalytics()
+      .then(analytics => sendResponse({ success: true, ...analytics }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to load analytics' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Tab Tree Recovery ----------
+
+// Chrome assigns new tab IDs on every browser start, which breaks the
+// tabRelationships map (keyed by tab ID). To survive restarts we record a
+// fingerprint for every open tab that does not depend on its ID, and match
+// restored tabs back to those fingerprints when a new session starts.
+
+/** @type {Promise<string>|null} */
+let trackingSessionIdPromise = null;
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let fingerprintRefreshTimer = null;
+
+/**
+ * Returns the ID of the current tracking session, starting a new one if needed
+ *
+ * chrome.storage.session is cleared whenever the browser (or the extension)
+ * restarts, so a missing session ID means the tab IDs stored in
+ * chrome.storage.local may belong to a previous session. In that case the
+ * stored fingerprints and relationships are parked under `previousSession`
+ * until recoverTabTree() maps them onto the restored tabs.
+ *
+ * @returns {Promise<string>} - The tracking session ID
+ */
+function getTrackingSessionId() {
+  if (!trackingSessionIdPromise) {
+    trackingSessionIdPromise = (async () => {
+      const { trackingSessionId } = await chrome.storage.session.get(['trackingSessionId']);
+      if (trackingSessionId) {
+        return trackingSessionId;
+      }
+
+      const sessionId = crypto.randomUUID();
+      await chrome.storage.session.set({ trackingSessionId: sessionId });
+
+      const { tabFingerprints } = await chrome.storage.local.get(['tabFingerprints']);
+      const previousTabs = tabFingerprints && tabFingerprints.tabs ? tabFingerprints.tabs : {};
+
+      if (Object.keys(previousTabs).length > 0) {
+        console.log('New tracking session, parking fingerprints of', Object.keys(previousTabs).length, 'tabs');
+
+        // Take the relationships and clear them in one update, so none recorded
+        // in the meantime get lost
+        /** @type {TabManager.TabRelationships} */
+        let previousRelationships = {};
+        await updateStore('tabRelationships', relationships => {
+          previousRelationships = relationships;
+          return {};
+        });
+
+        await chrome.storage.local.set({
+          previousSession: {
+            sessionId: tabFingerprints.sessionId,
+            savedAt: Date.now(),
+            fingerprints: previousTabs,
+            relationships: previousRelationships
+          },
+          tabFingerprints: { sessionId, tabs: {} }
+        });
+      } else {
+        await chrome.storage.local.set({ tabFingerprints: { sessionId, tabs: {} } });
+      }
+
+      return sessionId;
+    })();
+  }
+  return trackingSessionIdPromise;
+}
+
+/**
+ * Returns the position of every normal window, ordered by window ID
+ *
+ * Window IDs change across restarts but Chrome restores windows in their
+ * original order, so the ordinal is a stable way to describe "which window".
+ *
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @returns {Object<number, number>} - Mapping of window ID to window ordinal
+ */
+function getWindowOrdinals(tabs) {
+  const windowIds = [...new Set(tabs.map(tab => tab.windowId))].sort((a, b) => a - b);
+  /** @type {Object<number, number>} */
+  const ordinals = {};
+  windowIds.forEach((windowId, ordinal) => {
+    ordinals[windowId] = ordinal;
+  });
+  return ordinals;
+}
+
+/**
+ * Rebuilds the fingerprint of every open tab from the live tab list
+ * Keeps the creation time and opener URL of tabs that already have one.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshTabFingerprints() {
+  try {
+    const sessionId = await getTrackingSessionId();
+    const tabs = await chrome.tabs.query({});
+    const { tabFingerprints } = await chrome.storage.local.get(['tabFingerprints']);
+    const previous = tabFingerprints && tabFingerprints.sessionId === sessionId ? tabFingerprints.tabs : {};
+    const ordinals = getWindowOrdinals(tabs);
+
+    /** @type {Object<string, TabManager.TabFingerprint>} */
+    const fingerprints = {};
+
+    for (const tab of tabs) {
+      if (!tab.id || !tab.url) continue;
+
+      const existing = previous[tab.id];
+      const opener = tab.openerTabId ? tabs.find(t => t.id === tab.openerTabId) : undefined;
+
+      fingerprints[tab.id] = {
+        url: tab.url,
+        title: tab.title,
+        openerUrl: existing ? existing.openerUrl : (opener ? opener.url : undefined),
+        windowOrdinal: ordinals[tab.windowId],
+        index: tab.index,
+        pinned: tab.pinned,
+        createdAt: existing ? existing.createdAt : Date.now()
+      };
+    }
+
+    await chrome.storage.local.set({ tabFingerprints: { sessionId, tabs: fingerprints } });
+  } catch (error) {
+    console.error('Error refreshing tab fingerprints:', error);
+  }
+}
+
+/**
+ * Schedules a fingerprint refresh, coalescing bursts of tab events
+ * (e.g. a whole window being restored) into a single write.
+ */
+function scheduleFingerprintRefresh() {
+  if (fingerprintRefreshTimer) {
+    clearTimeout(fingerprintRefreshTimer);
+  }
+  fingerprintRefreshTimer = setTimeout(() => {
+    fingerprintRefreshTimer = null;
+    refreshTabFingerprints();
+  }, 500);
+}
+
+/**
+ * Waits until the browser has finished restoring tabs
+ * Session restore creates tabs over a few seconds, so we poll the tab count
+ * until it stops changing (or give up after maxWaitMs).
+ *
+ * @param {number} [maxWaitMs=15000] - Maximum time to wait
+ * @returns {Promise<chrome.tabs.Tab[]>} - The settled list of tabs
+ */
+async function waitForTabsToSettle(maxWaitMs = 15000) {
+  let tabs = await chrome.tabs.query({});
+  let stableChecks = 0;
+  const startedAt = Date.now();
+
+  while (stableChecks < 2 && Date.now() - startedAt < maxWaitMs) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const current = await chrome.tabs.query({});
+    stableChecks = current.length === tabs.length ? stableChecks + 1 : 0;
+    tabs = current;
+  }
+
+  return tabs;
+}
+
+/**
+ * Matches restored tabs to the fingerprints of the previous session
+ *
+ * A tab can only match a fingerprint with the same URL. Among those, matches
+ * in the same window position and at the same tab index are preferred. Pairs
+ * are assigned greedily from the highest score down so every fingerprint and
+ * every tab is used at most once.
+ *
+ * @param {Object<string, TabManager.TabFingerprint>} fingerprints - Previous session fingerprints keyed by old tab ID
+ * @param {chrome.tabs.Tab[]} tabs - Currently open tabs
+ * @returns {Map<string, number>} - Mapping of old tab IDs to new tab IDs
+ */
+function matchRestoredTabs(fingerprints, tabs) {
+  const ordinals = getWindowOrdinals(tabs);
+  const candidates = [];
+
+  for (const [oldId, fingerprint] of Object.entries(fingerprints)) {
+    for (const tab of tabs) {
+      if (!tab.id || tab.url !== fingerprint.url) continue;
+
+      let score = 1;
+      if (ordinals[tab.windowId] === fingerprint.windowOrdinal) score += 4;
+      if (tab.index === fingerprint.index) score += 2;
+      else if (Math.abs(tab.index - fingerprint.index) <= 2) score += 1;
+      if (String(tab.id) === oldId) score += 1;
+
+      candidates.push({ oldId, newId: tab.id, score });
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  /** @type {Map<string, number>} */
+  const mapping = new Map();
+  const usedTabIds = new Set();
+
+  for (const candidate of candidates) {
+    if (mapping.has(candidate.oldId) || usedTabIds.has(candidate.newId)) continue;
+    mapping.set(candidate.oldId, candidate.newId);
+    usedTabIds.add(candidate.newId);
+  }
+
+  return mapping;
+}
+
+/**
+ * Restores parent-child relationships after a browser restart
+ *
+ * Matches the restored tabs against the fingerprints parked by
+ * getTrackingSessionId() and rebuilds tabRelationships with the new tab IDs.
+ * When the old parent could not be matched, the parent is looked up by the
+ * recorded opener URL in the same window instead.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.waitForRestore=true] - Wait for session restore to finish first
+ * @returns {Promise<number>} - Number of relationships recovered
+ */
+async function recoverTabTree({ waitForRestore = true } = {}) {
+  try {
+    await getTrackingSessionId();
+
+    const { previousSession } = await chrome.storage.local.get(['previousSession']);
+    if (!previousSession || !previousSession.fingerprints) {
+      return 0;
+    }
+
+    const tabs = waitForRestore ? await waitForTabsToSettle() : await chrome.tabs.query({});
+    await refreshTabFingerprints();
+    const mapping = matchRestoredTabs(previousSession.fingerprints, tabs);
+    const oldRelationships = previousSession.relationships || {};
+
+    const { tabFingerprints } = await chrome.storage.local.get(['tabFingerprints']);
+    const currentFingerprints = tabFingerprints && tabFingerprints.tabs ? tabFingerprints.tabs : {};
+    let recovered = 0;
+
+    await updateStore('tabRelationships', relationships => {
+      for (const [oldId, newId] of mapping) {
+        const fingerprint = previousSession.fingerprints[oldId];
+        const tab = tabs.find(t => t.id === newId);
+
+        // Carry the original creation time and opener over to the new tab ID
+        if (currentFingerprints[newId]) {
+          currentFingerprints[newId].createdAt = fingerprint.createdAt;
+          currentFingerprints[newId].openerUrl = fingerprint.openerUrl;
+        }
+
+        // Relationships recorded during this session take precedence
+        if (relationships[newId] || !tab) continue;
+
+        const oldParentId = oldRelationships[oldId] ? oldRelationships[oldId].parentTabId : undefined;
+        let newParentId = oldParentId !== undefined ? mapping.get(String(oldParentId)) : undefined;
+
+        // Fall back to the opener URL, preferring the closest tab before this
+        // one, then the closest tab after it
+        if (!newParentId && fingerprint.openerUrl) {
+          const openerCandidates = tabs
+            .filter(t => t.windowId === tab.windowId && t.url === fingerprint.openerUrl && t.id !== newId)
+            .sort((a, b) => Number(b.index < tab.index) - Number(a.index < tab.index) ||
+              Math.abs(a.index - tab.index) - Math.abs(b.index - tab.index));
+          newParentId = openerCandidates[0] ? openerCandidates[0].id : undefined;
+        }
+
+        if (newParentId && newParentId !== newId) {
+          relationships[newId] = {
+            parentTabId: newParentId,
+            createdAt: fingerprint.createdAt
+          };
+          recovered++;
+        }
+      }
+      return relationships;
+    });
+
+    await chrome.storage.local.set({
+      tabFingerprints: { ...tabFingerprints, tabs: currentFingerprints }
+    });
+    await chrome.storage.local.remove('previousSession');
+
+    console.log(`Recovered ${recovered} tab relationships from ${mapping.size} matched tabs`);
+    notifyTabsUpdated();
+    return recovered;
+  } catch (error) {
+    console.error('Error recovering tab tree:', error);
+    return 0;
+  }
+}
+
+// Keep fingerprints up to date as tabs are opened, moved, pinned and navigated
+chrome.tabs.onCreated.addListener(() => scheduleFingerprintRefresh());
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  // Windows closing on shutdown must not overwrite the fingerprints recovery needs
+  if (!removeInfo.isWindowClosing) {
+    scheduleFingerprintRefresh();
+  }
+});
+chrome.tabs.onMoved.addListener(() => scheduleFingerprintRefresh());
+chrome.tabs.onAttached.addListener(() => scheduleFingerprintRefresh());
+chrome.tabs.onDetached.addListener(() => scheduleFingerprintRefresh());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined) {
+    scheduleFingerprintRefresh();
+  }
+});
+
+// Tabs get new IDs on browser start; match them back to their fingerprints
+chrome.runtime.onStartup.addListener(() => {
+  recoverTabTree();
+});
+
+// Reloading or updating the extension clears session storage but keeps tab IDs,
+// so the parked data can be matched straight away
+chrome.runtime.onInstalled.addListener(() => {
+  recoverTabTree({ waitForRestore: false });
+});
+
+// ---------- Native Tab Group Sync ----------
+
+// Custom groups are mirrored as native Chrome tab groups and native groups
+// are imported as custom groups. Native group IDs, like tab IDs, are only
+// valid within one tracking session, so each link records the session too.
+
+/** @type {Array<chrome.tabGroups.ColorEnum>} */
+const NATIVE_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+// Sync operations are serialized so that events caused by our own changes
+// are only processed after the change has been recorded
+let tabGroupSyncQueue = Promise.resolve();
+
+/**
+ * Queues a tab group sync task behind any task that is still running
+ *
+ * @param {() => Promise<void>} task - The sync task
+ * @returns {Promise<void>}
+ */
+function queueTabGroupSync(task) {
+  tabGroupSyncQueue = tabGroupSyncQueue
+    .then(task)
+    .catch(error => console.error('Error syncing tab groups:', error));
+  return tabGroupSyncQueue;
+}
+
+/** Session storage key of the native groups the extension created itself */
+const EXTENSION_NATIVE_GROUPS_KEY = 'extensionNativeGroupIds';
+
+/**
+ * Remembers or forgets a native group created by the extension
+ * Such groups are never imported as new custom groups.
+ *
+ * @param {number} nativeGroupId - Native group ID
+ * @param {boolean} created - True when the extension created the group, false when it was removed
+ * @returns {Promise<void>}
+ */
+async function markExtensionNativeGroup(nativeGroupId, created) {
+  const { [EXTENSION_NATIVE_GROUPS_KEY]: groupIds = [] } = await chrome.storage.session.get([EXTENSION_NATIVE_GROUPS_KEY]);
+  const otherIds = groupIds.filter(/** @param {number} id */ id => id !== nativeGroupId);
+  if (!created && otherIds.length === groupIds.length) return;
+  await chrome.storage.session.set({
+    [EXTENSION_NATIVE_GROUPS_KEY]: created ? [...otherIds, nativeGroupId] : otherIds
+  });
+}
+
+/**
+ * Returns the IDs of the native groups the extension created itself
+ *
+ * @returns {Promise<Set<number>>}
+ */
+async function getExtensionNativeGroupIds() {
+  const { [EXTENSION_NATIVE_GROUPS_KEY]: groupIds = [] } = await chrome.storage.session.get([EXTENSION_NATIVE_GROUPS_KEY]);
+  return new Set(groupIds);
+}
+
+/**
+ * Maps a custom group color to a native tab group color
+ *
+ * @param {string} color - Custom group color
+ * @returns {chrome.tabGroups.ColorEnum} - Native color, grey if there is no equivalent
+ */
+function toNativeGroupColor(color) {
+  const nativeColor = NATIVE_GROUP_COLORS.find(c => c === color);
+  return nativeColor || 'grey';
+}
+
+/**
+ * Checks whether a custom group is linked to a native group in this session
+ *
+ * @param {TabManager.CustomTabGroup} group - Custom group
+ * @param {string} sessionId - Current tracking session ID
+ * @returns {boolean}
+ */
+function isLinkedToNativeGroup(group, sessionId) {
+  return group.nativeGroupId !== undefined && group.nativeSessionId === sessionId;
+}
+
+/**
+ * Returns the native group a custom group is linked to, if it still exists
+ *
+ * @param {TabManager.CustomTabGroup} group - Custom group
+ * @param {string} sessionId - Current tracking session ID
+ * @returns {Promise<chrome.tabGroups.TabGroup|null>}
+ */
+async function getLinkedNativeGroup(group, sessionId) {
+  if (!isLinkedToNativeGroup(group, sessionId) || group.nativeGroupId === undefined) {
+    return null;
+  }
+  try {
+    return await chrome.tabGroups.get(group.nativeGroupId);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Adds a tab to a custom group unless it is already a member
+ * A closed member with the same URL is re-bound instead of adding a duplicate.
+ *
+ * @param {TabManager.CustomTabGroup} group - Custom group
+ * @param {chrome.tabs.Tab} tab - Tab to add
+ * @param {string} sessionId - Current tracking session ID
+ * @returns {boolean} - Whether the group was changed
+ */
+function addTabToCustomGroup(group, tab, sessionId) {
+  if (group.members.some(m => m.tabId === tab.id && m.sessionId === sessionId)) {
+    return false;
+  }
+
+  const closedMember = group.members.find(m => m.tabId === undefined && m.url === tab.url);
+  if (closedMember) {
+    closedMember.tabId = tab.id;
+    closedMember.sessionId = sessionId;
+  } else {
+    group.members.push(createGroupMember(tab, sessionId));
+  }
+
+  group.updatedAt = Date.now();
+  return true;
+}
+
+/**
+ * Loads custom groups, the tracking session and all open tabs
+ *
+ * @returns {Promise<{customGroups: TabManager.CustomTabGroup[], sessionId: string, tabs: chrome.tabs.Tab[]}>}
+ */
+async function loadTabGroupSyncState() {
+  const sessionId = await getTrackingSessionId();
+  const customGroups = await readStore('customGroups');
+  const tabs = await chrome.tabs.query({});
+  return { customGroups, sessionId, tabs };
+}
+
+/**
+ * Writes custom groups right away and tells the tab manager to reload them
+ *
+ * @returns {Promise<void>}
+ */
+async function notifyCustomGroupsUpdated() {
+  await flushStore();
+  chrome.runtime.sendMessage({ action: 'customGroupsUpdated' }).catch(() => {
+    // No tab manager open, nothing to refresh
+  });
+}
+
+/**
+ * Changes custom groups through the store
+ *
+ * Changes run one at a time, each on the groups the previous one saved, so
+ * a change never reverts another made while it was waiting. The change must
+ * not read or update custom groups itself, since it would wait for itself.
+ *
+ * @param {(customGroups: TabManager.CustomTabGroup[], sessionId: string, tabs: chrome.tabs.Tab[]) => boolean | Promise<boolean>} change -
+ *   Changes the groups in place and returns whether anything changed
+ * @returns {Promise<boolean>} - Whether anything changed
+ */
+async function updateCustomGroups(change) {
+  const sessionId = await getTrackingSessionId();
+  let changed = false;
+
+  await updateStore('customGroups', async customGroups => {
+    // Tabs are queried once it is this change's turn, so they match the groups
+    const tabs = await chrome.tabs.query({});
+    changed = await change(customGroups, sessionId, tabs);
+    return customGroups;
+  });
+
+  if (changed) {
+    await notifyCustomGroupsUpdated();
+  }
+  return changed;
+}
+
+/**
+ * Imports native tab groups that are not linked to a custom group yet
+ *
+ * After a restart Chrome restores native groups with new IDs. Those are
+ * re-linked to the custom group with the same name and color instead of
+ * being imported a second time. Groups without a title are left until they
+ * are named, and groups the extension created itself are never imported.
+ *
+ * @param {TabManager.CustomTabGroup[]} customGroups - All custom groups, updated in place
+ * @param {string} sessionId - Current tracking session ID
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @returns {Promise<boolean>} - Whether any custom group was added or changed
+ */
+async function importNativeGroups(customGroups, sessionId, tabs) {
+  const nativeGroups = await chrome.tabGroups.query({});
+  const extensionGroupIds = await getExtensionNativeGroupIds();
+  let changed = false;
+
+  for (const nativeGroup of nativeGroups) {
+    if (!nativeGroup.title || extensionGroupIds.has(nativeGroup.id)) {
+      continue;
+    }
+    if (customGroups.some(g => isLinkedToNativeGroup(g, sessionId) && g.nativeGroupId === nativeGroup.id)) {
+      continue;
+    }
+
+    let group = customGroups.find(g =>
+      !isLinkedToNativeGroup(g, sessionId) &&
+      g.name === nativeGroup.title &&
+      toNativeGroupColor(g.color) === nativeGroup.color
+    );
+
+    if (!group) {
+      group = {
+        id: `${Date.now()}-${nativeGroup.id}`,
+        name: nativeGroup.title,
+        color: nativeGroup.color,
+        members: [],
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+      customGroups.push(group);
+    }
+
+    group.nativeGroupId = nativeGroup.id;
+    group.nativeSessionId = sessionId;
+
+    for (const tab of tabs) {
+      if (tab.groupId === nativeGroup.id) {
+        addTabToCustomGroup(group, tab, sessionId);
+      }
+    }
+
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Mirrors custom groups as native tab groups
+ *
+ * Native groups belong to a single window, so an unlinked custom group is
+ * created in the window that holds most of its open tabs. Members in other
+ * windows are left where they are. Tabs that are already in another linked
+ * group are not moved, so a tab in two custom groups doesn't bounce between them.
+ *
+ * @param {TabManager.CustomTabGroup[]} customGroups - All custom groups, updated in place
+ * @param {string} sessionId - Current tracking session ID
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @returns {Promise<boolean>} - Whether any custom group was changed
+ */
+async function pushCustomGroupsToNative(customGroups, sessionId, tabs) {
+  const linkedNativeIds = new Set(customGroups
+    .filter(g => isLinkedToNativeGroup(g, sessionId))
+    .map(g => g.nativeGroupId));
+  let changed = false;
+
+  for (const group of customGroups) {
+    const binding = bindGroupMembers(group, tabs, sessionId);
+    changed = changed || binding.changed;
+
+    const groupableTabs = binding.tabs.filter(tab =>
+      !tab.pinned &&
+      (tab.groupId === -1 || tab.groupId === group.nativeGroupId || !linkedNativeIds.has(tab.groupId))
+    );
+
+    let nativeGroup = await getLinkedNativeGroup(group, sessionId);
+
+    if (!nativeGroup) {
+      if (groupableTabs.length === 0) continue;
+
+      // Create the native group in the window holding most of the group's tabs
+      /** @type {Object<number, number>} */
+      const windowCounts = {};
+      groupableTabs.forEach(tab => {
+        windowCounts[tab.windowId] = (windowCounts[tab.windowId] || 0) + 1;
+      });
+      const windowId = Number(Object.keys(windowCounts).sort((a, b) => windowCounts[Number(b)] - windowCounts[Number(a)])[0]);
+      const tabIds = /** @type {[number, ...number[]]} */ (groupableTabs
+        .filter(tab => tab.windowId === windowId)
+        .map(tab => tab.id));
+
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      await markExtensionNativeGroup(groupId, true);
+      group.nativeGroupId = groupId;
+      group.nativeSessionId = sessionId;
+      linkedNativeIds.add(groupId);
+      changed = true;
+
+      nativeGroup = await chrome.tabGroups.get(groupId);
+    } else {
+      const nativeGroupId = nativeGroup.id;
+      const nativeWindowId = nativeGroup.windowId;
+
+      const missingTabIds = groupableTabs
+        .filter(tab => tab.windowId === nativeWindowId && tab.groupId !== nativeGroupId)
+        .map(tab => /** @type {number} */ (tab.id));
+      if (missingTabIds.length > 0) {
+        await chrome.tabs.group({ groupId: nativeGroupId, tabIds: /** @type {[number, ...number[]]} */ (missingTabIds) });
+      }
+
+      const extraTabIds = tabs
+        .filter(tab => tab.groupId === nativeGroupId && !binding.tabs.includes(tab))
+        .map(tab => /** @type {number} */ (tab.id));
+      if (extraTabIds.length > 0) {
+        await chrome.tabs.ungroup(/** @type {[number, ...number[]]} */ (extraTabIds));
+      }
+    }
+
+    const nativeColor = toNativeGroupColor(group.color);
+    if (nativeGroup.title !== group.name || nativeGroup.color !== nativeColor) {
+      await chrome.tabGroups.update(nativeGroup.id, { title: group.name, color: nativeColor });
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Runs a full two-way sync: imports native groups, then mirrors custom groups
+ *
+ * @param {TabManager.CustomTabGroup[]} [deletedGroups=[]] - Custom groups deleted in the tab manager,
+ *   whose native groups should be ungrouped
+ * @returns {Promise<void>}
+ */
+function syncTabGroups(deletedGroups = []) {
+  return queueTabGroupSync(async () => {
+    await updateCustomGroups(async (customGroups, sessionId, tabs) => {
+      for (const deletedGroup of deletedGroups) {
+        const nativeGroup = await getLinkedNativeGroup(deletedGroup, sessionId);
+        if (!nativeGroup) continue;
+
+        const tabIds = tabs
+          .filter(tab => tab.groupId === nativeGroup.id)
+          .map(tab => /** @type {number} */ (tab.id));
+        if (tabIds.length > 0) {
+          await chrome.tabs.ungroup(/** @type {[number, ...number[]]} */ (tabIds));
+        }
+      }
+
+      const imported = await importNativeGroups(customGroups, sessionId, tabs);
+      const pushed = await pushCustomGroupsToNative(customGroups, sessionId, tabs);
+      return imported || pushed;
+    });
+  });
+}
+
+// New native groups are imported as custom groups. A group usually has no
+// title yet when it is created; it is imported once it is named (see below).
+chrome.tabGroups.onCreated.addListener((nativeGroup) => {
+  if (nativeGroup.title) {
+    syncTabGroups();
+  }
+});
+
+// Renames and color changes of native groups flow back to the custom group
+chrome.tabGroups.onUpdated.addListener((nativeGroup) => {
+  queueTabGroupSync(async () => {
+    await updateCustomGroups(async (customGroups, sessionId, tabs) => {
+      const group = customGroups.find(g => isLinkedToNativeGroup(g, sessionId) && g.nativeGroupId === nativeGroup.id);
+      if (!group) {
+        // The first title given to a new group imports it
+        return Boolean(nativeGroup.title) && await importNativeGroups(customGroups, sessionId, tabs);
+      }
+
+      const name = nativeGroup.title || group.name;
+      if (group.name === name && toNativeGroupColor(group.color) === nativeGroup.color) {
+        return false;
+      }
+      group.name = name;
+      group.color = nativeGroup.color;
+      group.updatedAt = Date.now();
+      return true;
+    });
+  });
+});
+
+// When a native group goes away the custom group is kept, only the link is dropped
+chrome.tabGroups.onRemoved.addListener((nativeGroup) => {
+  queueTabGroupSync(async () => {
+    await markExtensionNativeGroup(nativeGroup.id, false);
+    await updateCustomGroups((customGroups, sessionId) => {
+      const group = customGroups.find(g => isLinkedToNativeGroup(g, sessionId) && g.nativeGroupId === nativeGroup.id);
+      if (!group) return false;
+
+      delete group.nativeGroupId;
+      delete group.nativeSessionId;
+      return true;
+    });
+  });
+});
+
+// Tabs dragged into or out of a native group change the custom group's members
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.groupId === undefined) return;
+
+  queueTabGroupSync(async () => {
+    await updateCustomGroups(async (customGroups, sessionId) => {
+      let changed = false;
+
+      for (const group of customGroups) {
+        if (!isLinkedToNativeGroup(group, sessionId)) continue;
+
+        if (group.nativeGroupId === tab.groupId) {
+          changed = addTabToCustomGroup(group, tab, sessionId) || changed;
+          continue;
+        }
+
+        const member = group.members.find(m => m.tabId === tabId && m.sessionId === sessionId);
+        if (!member) continue;
+
+        // Only count it as leaving the group when the tab was ungrouped within
+        // the group's window; moving a tab to another window also ungroups it
+        const nativeGroup = await getLinkedNativeGroup(group, sessionId);
+        if (nativeGroup && nativeGroup.windowId === tab.windowId) {
+          group.members = group.members.filter(m => m !== member);
+          group.updatedAt = Date.now();
+          changed = true;
+        }
+      }
+
+      return changed;
+    });
+  });
+});
+
+/** @type {ReturnType<typeof setTimeout>|null} */
+let memberRebindTimer = null;
+
+/**
+ * Re-binds custom group members to the open tabs and saves the groups if a
+ * member changed tab or was closed. Bursts of tab events are coalesced into
+ * a single pass.
+ */
+function scheduleMemberRebind() {
+  if (memberRebindTimer) {
+    clearTimeout(memberRebindTimer);
+  }
+  memberRebindTimer = setTimeout(() => {
+    memberRebindTimer = null;
+    queueTabGroupSync(async () => {
+      await updateCustomGroups((customGroups, sessionId, tabs) => {
+        let changed = false;
+
+        for (const group of customGroups) {
+          changed = bindGroupMembers(group, tabs, sessionId).changed || changed;
+        }
+
+        return changed;
+      });
+    });
+  }, 500);
+}
+
+// Members follow their tabs as tabs are opened, closed and navigated
+chrome.tabs.onCreated.addListener(() => scheduleMemberRebind());
+chrome.tabs.onRemoved.addListener(() => scheduleMemberRebind());
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    scheduleMemberRebind();
+  }
+});
+
+// Pick up native groups that were restored with the session
+chrome.runtime.onStartup.addListener(() => {
+  syncTabGroups();
+});
+
+/**
+ * Saves a custom group created or edited in the tab manager and mirrors it
+ * as a native tab group
+ * The link to the native group is kept from the stored group, since the sync
+ * may have changed it after the tab manager loaded the group.
+ *
+ * @param {TabManager.CustomTabGroup} group - The new or edited group
+ * @returns {Promise<void>}
+ */
+async function saveCustomGroup(group) {
+  await updateCustomGroups(customGroups => {
+    const storedGroup = customGroups.find(g => g.id === group.id);
+    if (!storedGroup) {
+      const newGroup = { ...group };
+      delete newGroup.nativeGroupId;
+      delete newGroup.nativeSessionId;
+      customGroups.push(newGroup);
+      return true;
+    }
+
+    storedGroup.name = group.name;
+    storedGroup.color = group.color;
+    storedGroup.members = group.members;
+    storedGroup.updatedAt = group.updatedAt;
+    return true;
+  });
+  await syncTabGroups();
+}
+
+// Listen for custom group changes made in the tab manager
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'syncCustomGroups') {
+    syncTabGroups()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({
+        success: false,
+        error: error.message || 'Failed to sync tab groups'
+      }));
+    return true;
+  }
+
+  if (request.action === 'saveCustomGroup') {
+    saveCustomGroup(request.group)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({
+        success: false,
+        error: error.message || 'Failed to save the group'
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Backup Encryption ----------
+// Exports can be encrypted with a passphrase. The encrypted file is a JSON
+// envelope holding the PBKDF2 parameters, the AES-GCM IV and the ciphertext,
+// so it can be recognized and decrypted on import.
+
+/** Value of the envelope's "format" field */
+const ENCRYPTED_BACKUP_FORMAT = 'tabtracker-encrypted';
+
+/** Version of the envelope layout, also authenticated as additional data */
+const ENCRYPTED_BACKUP_VERSION = 1;
+
+/** PBKDF2-HMAC-SHA256 iterations for new backups */
+const BACKUP_KDF_ITERATIONS = 600000;
+
+/** Shortest passphrase accepted for new backups */
+const MIN_BACKUP_PASSPHRASE_LENGTH = 8;
+
+/**
+ * @typedef {Object} EncryptedBackup
+ * @property {string} format - Always ENCRYPTED_BACKUP_FORMAT
+ * @property {number} version - Envelope version
+ * @property {{name: string, hash: string, iterations: number, salt: string}} kdf - Key derivation parameters, salt in base64
+ * @property {{name: string, iv: string}} cipher - Cipher parameters, IV in base64
+ * @property {string} data - Ciphertext in base64
+ */
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} - Base64 encoding of the bytes
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - Decoded bytes
+ */
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derives the AES-GCM key of a backup from its passphrase
+ * 
+ * @param {string} passphrase - Passphrase entered by the user
+ * @param {Uint8Array} salt - Random salt stored in the envelope
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypts export data into an encrypted backup envelope
+ * 
+ * @param {string} plaintext - The export to encrypt
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<string>} - The envelope as JSON
+ */
+async function encryptBackup(plaintext, passphrase) {
+  if (passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters long`);
+  }
+  
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(`${ENCRYPTED_BACKUP_FORMAT}:${ENCRYPTED_BACKUP_VERSION}`) },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+  
+  /** @type {EncryptedBackup} */
+  const envelope = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(ciphertext))
+  };
+  return JSON.stringify(envelope, null, 2);
+}
+
+/**
+ * Reads an encrypted backup envelope
+ * 
+ * @param {string} text - Import data
+ * @returns {EncryptedBackup|null} - The envelope, or null if the data is not an encrypted backup
+ */
+function parseEncryptedBackup(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed.startsWith('{')) return null;
+  
+  try {
+    const data = JSON.parse(trimmed);
+    return data && data.format === ENCRYPTED_BACKUP_FORMAT ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decrypts an encrypted backup envelope
+ * 
+ * @param {EncryptedBackup} envelope - The envelope
+ * @param {string} passphrase - Passphrase entered by the user
+ * @returns {Promise<string>} - The decrypted export
+ * @throws {Error} When the envelope is not supported, or the passphrase is wrong
+ */
+async function decryptBackup(envelope, passphrase) {
+  const { version, kdf, cipher, data } = envelope;
+  const supported = version === ENCRYPTED_BACKUP_VERSION &&
+    kdf && kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+    Number.isInteger(kdf.iterations) && kdf.iterations > 0 && kdf.iterations <= 10000000 &&
+    cipher && cipher.name === 'AES-GCM' &&
+    typeof kdf.salt === 'string' && typeof cipher.iv === 'string' && typeof data === 'string';
+  
+  if (!supported) {
+    throw new Error('This encrypted backup was made by an unsupported version of Tab Tracker');
+  }
+  
+  let salt, iv, ciphertext;
+  try {
+    salt = base64ToBytes(kdf.salt);
+    iv = base64ToBytes(cipher.iv);
+    ciphertext = base64ToBytes(data);
+  } catch (error) {
+    throw new Error('The encrypted backup is damaged');
+  }
+  
+  const key = await deriveBackupKey(passphrase, salt, kdf.iterations);
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(`${ENCRYPTED_BACKUP_FORMAT}:${version}`) },
+      key,
+      ciphertext
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    // AES-GCM cannot tell a wrong key from tampered data
+    throw new Error('Wrong passphrase, or the backup has been modified');
+  }
+}
+
+/**
+ * Returns import data in plain text, decrypting it if it is an encrypted backup
+ * 
+ * @param {string} importData - Data in any supported import format, or an encrypted backup
+ * @param {string} [passphrase] - Passphrase of an encrypted backup
+ * @returns {Promise<string>} - The data to pass to parseImportData()
+ * @throws {Error} When the data is encrypted and the passphrase is missing or wrong
+ */
+async function decryptImportData(importData, passphrase) {
+  const envelope = parseEncryptedBackup(importData);
+  if (!envelope) return importData;
+  
+  if (!passphrase) {
+    throw new Error('This backup is encrypted. Enter its passphrase to import it.');
+  }
+  return decryptBackup(envelope, passphrase);
+}
+
+// ---------- Inactive Windows Management ----------
+
+// Every inactive window record has a stable UUID in its `id` field. All
+// operations address records by that ID rather than by their position in
+// the array, which changes whenever a window is deactivated or imported.
+// Records saved before IDs were introduced get one in storage migration 1.
+
+/**
+ * Loads all inactive window records
+ * 
+ * @returns {Promise<TabManager.InactiveWindow[]>}
+ */
+function loadInactiveWindows() {
+  return readStore('inactiveWindows');
+}
+
+/**
+ * Changes the inactive window records in one serialized update
+ * The updater gets the current records and returns the new list. If it
+ * throws, nothing is changed.
+ * 
+ * @param {(records: TabManager.InactiveWindow[]) => TabManager.InactiveWindow[] | Promise<TabManager.InactiveWindow[]>} updater - Returns the new records
+ * @returns {Promise<TabManager.InactiveWindow[]>} - The new records
+ */
+function updateInactiveWindows(updater) {
+  return updateStore('inactiveWindows', updater);
+}
+
+/**
+ * Finds the position of an inactive window record by its ID
+ * Throws when the record no longer exists, e.g. because it was restored or
+ * deleted from another tab manager window in the meantime.
+ * 
+ * @param {TabManager.InactiveWindow[]} records - All inactive window records
+ * @param {string} windowRecordId - The ID of the record
+ * @returns {number} - Index of the record in the array
+ */
+function getInactiveWindowIndex(records, windowRecordId) {
+  const index = records.findIndex(record => record.id === windowRecordId);
+  
+  if (index === -1) {
+    throw new Error(`Inactive window ${windowRecordId} no longer exists`);
+  }
+  
+  return index;
+}
+
+/**
+ * Captures a window in the inactive window record format
+ * Used both for deactivated windows and for the windows of session snapshots.
+ * 
+ * @param {number} windowId - The ID of the window
+ * @param {chrome.tabs.Tab[]} tabs - The tabs of the window
+ * @param {TabManager.TabRelationships} relationships - Tab relationships, keyed by tab ID
+ * @returns {Promise<TabManager.InactiveWindow>}
+ */
+async function captureWindowRecord(windowId, tabs, relationships) {
+  // Get the window's geometry and its native tab groups
+  const window = await chrome.windows.get(windowId);
+  const groups = await chrome.tabGroups.query({ windowId });
+  
+  return {
+    id: crypto.randomUUID(),
+    originalWindowId: windowId,
+    deactivatedAt: Date.now(),
+    name: `Window ${windowId}`, // Default name, can be customized by user
+    state: window.state,
+    bounds: {
+      left: window.left,
+      top: window.top,
+      width: window.width,
+      height: window.height
+    },
+    groups: groups.map(group => ({
+      id: group.id,
+      title: group.title,
+      color: group.color,
+      collapsed: group.collapsed
+    })),
+    tabs: [...tabs].sort((a, b) => a.index - b.index).map(tab => ({
+      url: tab.url,
+      title: tab.title,
+      favIconUrl: tab.favIconUrl,
+      pinned: tab.pinned,
+      active: tab.active,
+      index: tab.index,
+      groupId: tab.groupId,
+      originalId: tab.id,
+      // Get parent relationship if it exists
+      parentTabId: tab.id && relationships[tab.id] ? relationships[tab.id].parentTabId : undefined
+    }))
+  };
+}
+
+/**
+ * Stores information about a window that is being deactivated
+ * This includes all tabs, their URLs, titles, and relationships, as well as
+ * the window's tab groups, active tab, bounds and state
+ * 
+ * @param {number} windowId - The ID of the window being deactivated
+ * @param {Object} [options] - Deactivation options
+ * @param {boolean} [options.autoArchived=false] - Whether the idle-window policy archived the window
+ * @returns {Promise<string|null>} - Promise resolving to the ID of the new record, or null on failure
+ */
+async function deactivateWindow(windowId, { autoArchived = false } = {}) {
+  try {
+    console.log('Deactivating window:', windowId);
+    
+    // Get all tabs in the window
+    const tabs = await chrome.tabs.query({ windowId });
+    
+    if (!tabs || tabs.length === 0) {
+      console.warn('No tabs found in window to deactivate');
+      return null;
+    }
+    
+    // Get tab relationships to preserve parent-child connections
+    const tabRelationships = await readStore('tabRelationships');
+    
+    const windowData = await captureWindowRecord(windowId, tabs, tabRelationships);
+    if (autoArchived) {
+      windowData.autoArchived = true;
+    }
+    
+    // Store window data in inactive windows list
+    await updateInactiveWindows(allInactiveWindows => {
+      // Add to the beginning of the list (most recent first)
+      allInactiveWindows.unshift(windowData);
+      return allInactiveWindows;
+    });
+    
+    // Close the window now that we've stored its data; its tabs are not
+    // logged as closed since the record keeps them
+    deactivatingWindowIds.add(windowId);
+    try {
+      await chrome.windows.remove(windowId);
+    } finally {
+      deactivatingWindowIds.delete(windowId);
+    }
+    
+    console.log('Window deactivated successfully:', windowId);
+    return windowData.id;
+  } catch (error) {
+    console.error('Error deactivating window:', error);
+    return null;
+  }
+}
+
+/**
+ * Reactivates a previously deactivated window
+ * Creates a new browser window with all the tabs from the saved window,
+ * in their saved order, and restores the tab groups, active tab, bounds and
+ * window state that were captured by deactivateWindow()
+ * 
+ * @param {string} windowRecordId - The ID of the inactive window record
+ * @returns {Promise<boolean>} - Promise resolving to true if successful
+ */
+async function reactivateWindow(windowRecordId) {
+  console.log('Reactivating inactive window:', windowRecordId);
+  
+  // Take the record out of the archive before opening its tabs, so that a
+  // second request for the same window (e.g. from another tab manager) is
+  // rejected instead of opening it twice
+  const { windowData, index } = await takeInactiveWindowTabs(windowRecordId, null);
+  
+  try {
+    const newWindowId = await restoreArchivedTabs(windowData.tabs, {
+      groups: windowData.groups,
+      bounds: windowData.bounds,
+      state: windowData.state
+    });
+    
+    if (!newWindowId) {
+      await returnInactiveWindowTabs(windowData, index, windowData.tabs);
+      return false;
+    }
+    
+    console.log('Window reactivated successfully with ID:', newWindowId);
+    return true;
+  } catch (error) {
+    console.error('Error reactivating window:', error);
+    await returnInactiveWindowTabs(windowData, index, windowData.tabs);
+    return false;
+  }
+}
+
+/**
+ * Takes tabs out of an inactive window record before they are restored
+ * The record is dropped once it has no tabs left.
+ * 
+ * @param {string} windowRecordId - The ID of the inactive window record
+ * @param {TabManager.InactiveWindowTabKey[]|null} tabKeys - The tabs to take, or null for all of them
+ * @returns {Promise<{windowData: TabManager.InactiveWindow, index: number, tabs: TabManager.InactiveWindowTab[]}>} -
+ *   The record as it was before, its position in the archive and the tabs taken out
+ */
+async function takeInactiveWindowTabs(windowRecordId, tabKeys) {
+  /** @type {{windowData: TabManager.InactiveWindow, index: number, tabs: TabManager.InactiveWindowTab[]}|undefined} */
+  let taken;
+  
+  await updateInactiveWindows(inactiveWindows => {
+    // Rejects records that no longer exist
+    const index = getInactiveWindowIndex(inactiveWindows, windowRecordId);
+    const windowData = structuredClone(inactiveWindows[index]);
+    const tabs = tabKeys ? findInactiveTabs(windowData.tabs, tabKeys) : windowData.tabs;
+    
+    if (tabs.length === windowData.tabs.length) {
+      inactiveWindows.splice(index, 1);
+    } else if (tabs.length > 0) {
+      removeTabsFromInactiveWindow(inactiveWindows, index, /** @type {TabManager.InactiveWindowTabKey[]} */ (tabKeys));
+    }
+    
+    taken = { windowData, index, tabs };
+    return inactiveWindows;
+  });
+  
+  return /** @type {{windowData: TabManager.InactiveWindow, index: number, tabs: TabManager.InactiveWindowTab[]}} */ (taken);
+}
+
+/**
+ * Puts tabs taken out by takeInactiveWindowTabs() back after restoring them failed
+ * The record is added again if it was dropped.
+ * 
+ * @param {TabManager.InactiveWindow} windowData - The record as it was before the tabs were taken out
+ * @param {number} index - Position of the record in the archive
+ * @param {TabManager.InactiveWindowTab[]} tabs - The tabs that were taken out
+ * @returns {Promise<void>}
+ */
+async function returnInactiveWindowTabs(windowData, index, tabs) {
+  await updateInactiveWindows(inactiveWindows => {
+    const record = inactiveWindows.find(r => r.id === windowData.id);
+    if (record) {
+      record.tabs = [...record.tabs, ...tabs];
+    } else {
+      inactiveWindows.splice(index, 0, { ...windowData, tabs });
+    }
+    return inactiveWindows;
+  });
+}
+
+/**
+ * Opens tabs saved in an inactive window record
+ * 
+ * Tabs are recreated in their saved order; the saved indices are only used
+ * for sorting since they are meaningless in the target window. Tab groups,
+ * the active tab and parent-child relationships among the opened tabs are
+ * restored as well.
+ * 
+ * @param {TabManager.InactiveWindowTab[]} tabs - Saved tabs to open
+ * @param {Object} [options]
+ * @param {number} [options.windowId] - Existing window to open the tabs in; a new window is created when omitted
+ * @param {TabManager.InactiveWindowGroup[]} [options.groups] - Saved tab groups of the record
+ * @param {TabManager.InactiveWindow['bounds']} [options.bounds] - Bounds for a new window
+ * @param {TabManager.InactiveWindow['state']} [options.state] - State for a new window
+ * @returns {Promise<number|undefined>} - ID of the window the tabs were opened in
+ */
+async function restoreArchivedTabs(tabs, { windowId, groups = [], bounds, state } = {}) {
+  const savedTabs = [...tabs].sort((a, b) => (a.index || 0) - (b.index || 0));
+  
+  // New tab IDs in the same order as savedTabs
+  /** @type {Array<number|undefined>} */
+  const newTabIds = [];
+  let targetWindowId = windowId;
+  
+  if (!targetWindowId) {
+    // Create a new window with the first tab, at its saved position and size.
+    // Maximized, minimized and fullscreen states can't be combined with
+    // bounds on creation, so the state is applied once all tabs exist.
+    const firstTab = savedTabs[0] || { url: 'about:blank' };
+    const newWindow = await chrome.windows.create({
+      url: firstTab.url,
+      focused: true,
+      ...(bounds || {})
+    });
+    
+    if (!newWindow || !newWindow.id) {
+      console.error('Failed to create new window');
+      return undefined;
+    }
+    targetWindowId = newWindow.id;
+    
+    // Find the tab that was created with the window
+    const initialTabs = await chrome.tabs.query({ windowId: targetWindowId });
+    const initialTabId = initialTabs[0]?.id;
+    
+    // Pin the tab if it was pinned
+    if (initialTabId && firstTab.pinned) {
+      await chrome.tabs.update(initialTabId, { pinned: true });
+    }
+    newTabIds.push(initialTabId);
+  }
+  
+  // Add the remaining tabs, appending each so the saved order is kept
+  for (let i = newTabIds.length; i < savedTabs.length; i++) {
+    const tabData = savedTabs[i];
+    const newTab = await chrome.tabs.create({
+      windowId: targetWindowId,
+      url: tabData.url,
+      pinned: tabData.pinned,
+      active: false
+    });
+    newTabIds.push(newTab.id);
+  }
+  
+  // Create mapping of original to new tab IDs for preserving relationships
+  /** @type {Object<number, number>} */
+  const tabIdMapping = {};
+  savedTabs.forEach((tabData, i) => {
+    const newTabId = newTabIds[i];
+    if (tabData.originalId && newTabId) {
+      tabIdMapping[tabData.originalId] = newTabId;
+    }
+  });
+  
+  // Activate the tab that was active when the window was deactivated
+  const activeTabId = newTabIds[savedTabs.findIndex(tab => tab.active)];
+  if (activeTabId) {
+    await chrome.tabs.update(activeTabId, { active: true });
+  }
+  
+  // Recreate tab groups with their titles, colors and collapsed state
+  await restoreTabGroups(targetWindowId, savedTabs, newTabIds, groups);
+  
+  // Apply the saved window state now that the window is populated
+  if (!windowId && state && state !== 'normal') {
+    await chrome.windows.update(targetWindowId, { state });
+  }
+  
+  // Restore parent-child relationships
+  await restoreTabRelationships(savedTabs, tabIdMapping);
+  
+  return targetWindowId;
+}
+
+/**
+ * Restores selected tabs of an inactive window and removes them from the archive
+ * The archived window is only dropped once it has no tabs left.
+ * 
+ * @param {string} windowRecordId - The ID of the inactive window record
+ * @param {TabManager.InactiveWindowTabKey[]} tabKeys - The tabs to restore
+ * @param {'current'|'new'} target - Open the tabs in the last focused window or in a new one
+ * @returns {Promise<boolean>} - Promise resolving to true if successful
+ */
+async function restoreInactiveTabs(windowRecordId, tabKeys, target) {
+  // The tabs leave the archive first, so restoring them twice is not possible
+  const { windowData, index, tabs: selectedTabs } = await takeInactiveWindowTabs(windowRecordId, tabKeys);
+  
+  if (selectedTabs.length === 0) {
+    return false;
+  }
+  
+  try {
+    /** @type {number|undefined} */
+    let windowId;
+    if (target === 'current') {
+      // The tab manager is a popup, so "current" means the last focused browser window
+      const lastFocused = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+      windowId = lastFocused.id;
+    }
+    
+    const restoredWindowId = await restoreArchivedTabs(selectedTabs, { windowId, groups: windowData.groups });
+    if (!restoredWindowId) {
+      await returnInactiveWindowTabs(windowData, index, selectedTabs);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error restoring inactive tabs:', error);
+    await returnInactiveWindowTabs(windowData, index, selectedTabs);
+    return false;
+  }
+}
+
+/**
+ * Deletes tabs from an inactive window without restoring them
+ * 
+ * @param {string} windowRecordId - The ID of the inactive window record
+ * @param {TabManager.InactiveWindowTabKey[]} tabKeys - The tabs to delete
+ * @returns {Promise<boolean>} - Promise resolving to true if successful
+ */
+async function deleteInactiveTabs(windowRecordId, tabKeys) {
+  // Reject records that no longer exist
+  getInactiveWindowIndex(await loadInactiveWindows(), windowRecordId);
+  
+  try {
+    await updateInactiveWindows(inactiveWindows => {
+      removeTabsFromInactiveWindow(inactiveWindows, getInactiveWindowIndex(inactiveWindows, windowRecordId), tabKeys);
+      return inactiveWindows;
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error deleting inactive tabs:', error);
+    return false;
+  }
+}
+
+/**
+ * Moves tabs from one inactive window to another
+ * The moved tabs are appended to the target window, together with the saved
+ * tab groups they belong to. A group whose ID is already taken by a different
+ * group of the target window gets a new ID.
+ * 
+ * @param {string} windowRecordId - The ID of the source inactive window record
+ * @param {TabManager.InactiveWindowTabKey[]} tabKeys - The tabs to move
+ * @param {string} targetWindowRecordId - The ID of the target inactive window record
+ * @returns {Promise<boolean>} - Promise resolving to true if successful
+ */
+async function moveInactiveTabs(windowRecordId, tabKeys, targetWindowRecordId) {
+  // Reject records that no longer exist
+  const currentWindows = await loadInactiveWindows();
+  getInactiveWindowIndex(currentWindows, windowRecordId);
+  getInactiveWindowIndex(currentWindows, targetWindowRecordId);
+  
+  if (windowRecordId === targetWindowRecordId) {
+    console.warn('Cannot move tabs to the inactive window they are in:', windowRecordId);
+    return false;
+  }
+  
+  try {
+    await updateInactiveWindows(inactiveWindows => {
+      const inactiveWindowIndex = getInactiveWindowIndex(inactiveWindows, windowRecordId);
+      const source = inactiveWindows[inactiveWindowIndex];
+      const target = inactiveWindows[getInactiveWindowIndex(inactiveWindows, targetWindowRecordId)];
+      
+      const movedTabs = findInactiveTabs(source.tabs, tabKeys);
+      let nextIndex = target.tabs.reduce((max, tab) => Math.max(max, tab.index || 0), -1) + 1;
+      
+      const targetGroups = target.groups = target.groups || [];
+      let nextGroupId = Math.max(0,
+        ...targetGroups.map(g => g.id),
+        ...target.tabs.map(tab => tab.groupId || 0)) + 1;
+      /** @type {Map<number, number>} */
+      const groupIdMapping = new Map();
+      
+      target.updatedAt = Date.now();
+      for (const tab of movedTabs) {
+        const group = (source.groups || []).find(g => g.id === tab.groupId);
+        let groupId = tab.groupId;
+        
+        // Bring the tab's group along so it can be recreated on restore
+        if (group) {
+          const mappedGroupId = groupIdMapping.get(group.id);
+          if (mappedGroupId !== undefined) {
+            groupId = mappedGroupId;
+          } else {
+            const existing = targetGroups.find(g => g.id === group.id);
+            const isSameGroup = !!existing && existing.title === group.title && existing.color === group.color;
+            const isTaken = !!existing || target.tabs.some(t => t.groupId === group.id);
+            groupId = isTaken && !isSameGroup ? nextGroupId++ : group.id;
+            if (!isSameGroup) {
+              targetGroups.push({ ...group, id: groupId });
+            }
+            groupIdMapping.set(group.id, groupId);
+          }
+        }
+        
+        target.tabs.push({ ...tab, groupId, index: nextIndex++ });
+      }
+      
+      removeTabsFromInactiveWindow(inactiveWindows, inactiveWindowIndex, tabKeys);
+      return inactiveWindows;
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error moving inactive tabs:', error);
+    return false;
+  }
+}
+
+/**
+ * Finds the tabs of an inactive window record matching the given keys
+ * Each key matches at most one tab, so duplicate tabs are only matched as
+ * often as they were selected.
+ * 
+ * @param {TabManager.InactiveWindowTab[]} tabs - Tabs of the record
+ * @param {TabManager.InactiveWindowTabKey[]} tabKeys - Keys of the wanted tabs
+ * @returns {TabManager.InactiveWindowTab[]} - Matching tabs in record order
+ */
+function findInactiveTabs(tabs, tabKeys) {
+  /** @type {Set<TabManager.InactiveWindowTab>} */
+  const matched = new Set();
+  for (const key of tabKeys) {
+    const tab = tabs.find(t => !matched.has(t) && t.url === key.url && t.index === key.index);
+    if (tab) {
+      matched.add(tab);
+    }
+  }
+  return tabs.filter(tab => matched.has(tab));
+}
+
+/**
+ * Removes tabs from an inactive window record in place
+ * Drops the whole record when no tabs are left.
+ * 
+ * @param {TabManager.InactiveWindow[]} inactiveWindows - All inactive windows, updated in place
+ * @param {number} inactiveWindowIndex - The index of the inactive window
+ * @param {TabManager.InactiveWindowTabKey[]} tabKeys - The tabs to remove
+ */
+function removeTabsFromInactiveWindow(inactiveWindows, inactiveWindowIndex, tabKeys) {
+  const windowData = inactiveWindows[inactiveWindowIndex];
+  const removedTabs = findInactiveTabs(windowData.tabs, tabKeys);
+  windowData.tabs = windowData.tabs.filter(tab => !removedTabs.includes(tab));
+  windowData.updatedAt = Date.now();
+  
+  if (windowData.tabs.length === 0) {
+    inactiveWindows.splice(inactiveWindowIndex, 1);
+  }
+}
+
+/**
+ * Updates the name, notes and tags of an inactive window
+ * Fields that are not provided are left unchanged; an empty name is rejected.
+ * 
+ * @param {string} windowRecordId - The ID of the inactive window record
+ * @param {{name?: string, notes?: string, tags?: string|string[]}} changes - Fields to update
+ * @returns {Promise<boolean>} - Promise resolving to true if successful
+ */
+async function updateInactiveWindow(windowRecordId, changes) {
+  await updateInactiveWindows(inactiveWindows => {
+    const windowData = inactiveWindows[getInactiveWindowIndex(inactiveWindows, windowRecordId)];
+    
+    if (changes.name !== undefined) {
+      const trimmedName = String(changes.name).trim();
+      if (!trimmedName) {
+        throw new Error('Window name cannot be empty');
+      }
+      windowData.name = trimmedName;
+    }
+    
+    if (changes.notes !== undefined) {
+      windowData.notes = String(changes.notes).trim();
+    }
+    
+    if (changes.tags !== undefined) {
+      windowData.tags = parseTags(changes.tags);
+    }
+    
+    windowData.updatedAt = Date.now();
+    return inactiveWindows;
+  });
+  return true;
+}
+
+/**
+ * Deletes an inactive window and all of its saved tabs
+ * 
+ * @param {string} windowRecordId - The ID of the inactive window record
+ * @returns {Promise<boolean>} - Promise resolving to true if successful
+ */
+async function deleteInactiveWindow(windowRecordId) {
+  await updateInactiveWindows(inactiveWindows => {
+    inactiveWindows.splice(getInactiveWindowIndex(inactiveWindows, windowRecordId), 1);
+    return inactiveWindows;
+  });
+  return true;
+}
+
+/**
+ * Recreates the native tab groups of restored tabs
+ * Records saved before group details were captured only have a groupId per
+ * tab; those groups are recreated without a title.
+ * 
+ * @param {number} windowId - The ID of the new window
+ * @param {TabManager.InactiveWindowTab[]} savedTabs - Saved tabs in window order
+ * @param {Array<number|undefined>} newTabIds - New tab IDs in the same order as savedTabs
+ * @param {TabManager.InactiveWindowGroup[]} groups - Saved tab groups
+ * @returns {Promise<void>}
+ */
+async function restoreTabGroups(windowId, savedTabs, newTabIds, groups) {
+  const savedGroupIds = new Set(savedTabs
+    .map(tab => tab.groupId)
+    .filter(groupId => groupId !== undefined && groupId !== -1));
+  
+  for (const savedGroupId of savedGroupIds) {
+    try {
+      const tabIds = /** @type {number[]} */ (savedTabs
+        .map((tab, i) => tab.groupId === savedGroupId ? newTabIds[i] : undefined)
+        .filter(tabId => tabId !== undefined));
+      
+      if (tabIds.length === 0) continue;
+      
+      const groupId = await chrome.tabs.group({
+        tabIds: /** @type {[number, ...number[]]} */ (tabIds),
+        createProperties: { windowId }
+      });
+      // Restored groups must not be imported as new custom groups
+      await markExtensionNativeGroup(groupId, true);
+      
+      const group = groups.find(g => g.id === savedGroupId);
+      if (group) {
+        await chrome.tabGroups.update(groupId, {
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed
+        });
+      }
+    } catch (error) {
+      console.error('Error restoring tab group:', error);
+    }
+  }
+}
+
+/**
+ * Restores parent-child relationships between tabs in a reactivated window
+ * 
+ * @param {TabManager.InactiveWindowTab[]} originalTabs - Array of original tab data with relationship info
+ * @param {Object<number, number>} tabIdMapping - Mapping of original tab IDs to new IDs
+ * @returns {Promise<void>}
+ */
+async function restoreTabRelationships(originalTabs, tabIdMapping) {
+  try {
+    await updateStore('tabRelationships', relationships => {
+      // Create new relationships based on the original ones
+      for (const tab of originalTabs) {
+        if (tab.parentTabId && tab.originalId) {
+          const newTabId = tabIdMapping[tab.originalId];
+          const newParentId = tabIdMapping[tab.parentTabId];
+          
+          // Only create relationship if both tabs exist in the new window
+          if (newTabId && newParentId) {
+            relationships[newTabId] = {
+              parentTabId: newParentId,
+              createdAt: Date.now()
+            };
+          }
+        }
+      }
+      
+      return relationships;
+    });
+  } catch (error) {
+    console.error('Error restoring tab relationships:', error);
+  }
+}
+
+/**
+ * Exports inactive window data to a JSON string
+ * 
+ * @param {string[]} [windowRecordIds] - IDs of the records to export; all records when omitted
+ * @param {string} [passphrase] - Encrypts the export into an encrypted backup envelope when given
+ * @returns {Promise<string>} - JSON string containing the inactive window data, or the encrypted envelope
+ */
+async function exportInactiveWindows(windowRecordIds, passphrase) {
+  try {
+    let inactiveWindows = await loadInactiveWindows();
+    
+    if (windowRecordIds) {
+      inactiveWindows = windowRecordIds.map(id => inactiveWindows[getInactiveWindowIndex(inactiveWindows, id)]);
+    }
+    
+    const jsonData = JSON.stringify({ 
+      inactiveWindows,
+      exportedAt: Date.now(),
+      version: EXPORT_FORMAT_VERSION
+    }, null, 2); // Pretty print with 2-space indentation
+    
+    return passphrase ? encryptBackup(jsonData, passphrase) : jsonData;
+  } catch (error) {
+    console.error('Error exporting inactive windows:', error);
+    throw error;
+  }
+}
+
+/**
+ * Exports inactive windows as a Netscape bookmarks HTML file
+ * 
+ * Every browser's bookmark manager can import this format. All windows are
+ * put in one "Tab Tracker archive" folder, with a subfolder per window and a
+ * bookmark per tab. Window notes become the folder description and window
+ * tags are added to each of its bookmarks (TAGS is understood by Firefox and
+ * ignored elsewhere). Dates are in seconds, as the format requires.
+ * 
+ * @param {string[]} [windowRecordIds] - IDs of the records to export; all records when omitted
+ * @returns {Promise<string>} - The bookmarks HTML
+ */
+async function exportInactiveWindowsAsBookmarks(windowRecordIds) {
+  let inactiveWindows = await loadInactiveWindows();
+  
+  if (windowRecordIds) {
+    inactiveWindows = windowRecordIds.map(id => inactiveWindows[getInactiveWindowIndex(inactiveWindows, id)]);
+  }
+  
+  /** @param {number} timestamp */
+  const toSeconds = timestamp => Math.floor(timestamp / 1000);
+  const now = toSeconds(Date.now());
+  
+  const folders = inactiveWindows.map(windowData => {
+    const addDate = toSeconds(windowData.deactivatedAt || Date.now());
+    const tags = (windowData.tags || []).join(',');
+    const tagsAttribute = tags ? ` TAGS="${encodeHTMLEntities(tags)}"` : '';
+    
+    const bookmarks = windowData.tabs
+      .filter(tab => tab.url)
+      .map(tab => {
+        const iconAttribute = tab.favIconUrl && /^https?:/.test(tab.favIconUrl)
+          ? ` ICON_URI="${encodeHTMLEntities(tab.favIconUrl)}"`
+          : '';
+        return `            <DT><A HREF="${encodeHTMLEntities(tab.url)}" ADD_DATE="${addDate}"${iconAttribute}${tagsAttribute}>` +
+          `${encodeHTMLEntities(tab.title || tab.url)}</A>`;
+      });
+    
+    return [
+      `        <DT><H3 ADD_DATE="${addDate}" LAST_MODIFIED="${addDate}">${encodeHTMLEntities(windowData.name)}</H3>`,
+      ...(windowData.notes ? [`        <DD>${encodeHTMLEntities(windowData.notes)}`] : []),
+      '        <DL><p>',
+      ...bookmarks,
+      '        </DL><p>'
+    ].join('\n');
+  });
+  
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    `    <DT><H3 ADD_DATE="${now}" LAST_MODIFIED="${now}">Tab Tracker archive</H3>`,
+    '    <DL><p>',
+    ...folders,
+    '    </DL><p>',
+    '</DL><p>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Hashes the set of URLs of a window record
+ * Recognizes a window that is imported again under a different record ID,
+ * e.g. the same OneTab export imported twice.
+ * 
+ * @param {TabManager.InactiveWindow} record - Window record
+ * @returns {Promise<string>} - Hex encoded SHA-256 of the sorted, de-duplicated URLs
+ */
+async function getWindowContentHash(record) {
+  const urls = [...new Set(record.tabs.map(tab => tab.url || ''))].sort();
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(urls.join('\n')));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Indexes window records by ID and by content hash for duplicate detection
+ * 
+ * @param {TabManager.InactiveWindow[]} records - Window records
+ * @returns {Promise<{byId: Map<string, number>, byHash: Map<string, number>}>} - Positions of the records
+ */
+async function indexWindowRecords(records) {
+  const byId = new Map();
+  const byHash = new Map();
+  
+  for (let index = 0; index < records.length; index++) {
+    byId.set(records[index].id, index);
+    const hash = await getWindowContentHash(records[index]);
+    if (!byHash.has(hash)) {
+      byHash.set(hash, index);
+    }
+  }
+  
+  return { byId, byHash };
+}
+
+/**
+ * Merges an imported version of a window into the existing record
+ * 
+ * Tabs are unioned by URL: the existing tabs keep their place and the
+ * imported tabs that are new are appended. Appended tabs lose their native
+ * group and parent, since those IDs refer to a different original window.
+ * Tags are unioned and differing notes are kept both.
+ * 
+ * @param {TabManager.InactiveWindow} existing - The stored record
+ * @param {TabManager.InactiveWindow} imported - The imported record
+ * @returns {TabManager.InactiveWindow} - The merged record, with the existing record's ID and name
+ */
+function mergeInactiveWindows(existing, imported) {
+  const knownUrls = new Set(existing.tabs.map(tab => tab.url));
+  const maxIndex = existing.tabs.reduce((max, tab) => Math.max(max, tab.index || 0), -1);
+  
+  const newTabs = imported.tabs
+    .filter(tab => !knownUrls.has(tab.url))
+    .map((tab, i) => ({
+      url: tab.url,
+      title: tab.title,
+      favIconUrl: tab.favIconUrl,
+      pinned: tab.pinned,
+      active: false,
+      index: maxIndex + 1 + i
+    }));
+  
+  const tags = parseTags([...(existing.tags || []), ...(imported.tags || [])]);
+  const notes = [existing.notes, imported.notes]
+    .filter((note, i, notesList) => note && notesList.indexOf(note) === i)
+    .join('\n\n');
+  
+  return {
+    ...existing,
+    deactivatedAt: Math.max(existing.deactivatedAt, imported.deactivatedAt),
+    updatedAt: Date.now(),
+    ...(tags.length > 0 ? { tags } : {}),
+    ...(notes ? { notes } : {}),
+    tabs: [...existing.tabs, ...newTabs]
+  };
+}
+
+/**
+ * Parses import data without saving it, so the user can review it first
+ * 
+ * @param {string} importData - Data in any supported import format, or an encrypted backup
+ * @param {string} [passphrase] - Passphrase of an encrypted backup
+ * @returns {Promise<{success: boolean, format?: string, formatLabel?: string, windows?: TabManager.InactiveWindow[], errors?: string[], duplicateCount?: number, passphraseRequired?: boolean, message?: string}>}
+ */
+async function previewImport(importData, passphrase) {
+  try {
+    if (!passphrase && parseEncryptedBackup(importData)) {
+      return { success: false, passphraseRequired: true, message: 'This backup is encrypted. Enter its passphrase to import it.' };
+    }
+    
+    const { format, formatLabel, windows, errors } = parseImportData(await decryptImportData(importData, passphrase));
+    
+    // Count the windows that are already archived, so the user can pick a strategy
+    const { byId, byHash } = await indexWindowRecords(await loadInactiveWindows());
+    let duplicateCount = 0;
+    for (const record of windows) {
+      if (byId.has(record.id) || byHash.has(await getWindowContentHash(record))) {
+        duplicateCount++;
+      }
+    }
+    
+    return { success: true, format, formatLabel, windows, errors, duplicateCount };
+  } catch (error) {
+    return { success: false, message: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Imports inactive windows from Tab Tracker's JSON export or any other
+ * format supported by parseImportData()
+ * 
+ * Records are migrated and validated by parseImportData(); problems with
+ * individual records are returned as `errors` rather than failing the import.
+ * 
+ * An imported window that has the ID or the same set of URLs as a stored
+ * window is a duplicate. Duplicates are skipped, replace the stored window
+ * (keeping its ID) or are merged into it, depending on `duplicateStrategy`.
+ * 
+ * @param {string} jsonData - Data in any supported import format, or an encrypted backup
+ * @param {'skip'|'replace'|'merge'} [duplicateStrategy='skip'] - What to do with duplicates
+ * @param {string} [passphrase] - Passphrase of an encrypted backup
+ * @returns {Promise<{success: boolean, message: string, count: number, errors?: string[], windowRecordIds?: string[], replacedRecords?: TabManager.InactiveWindow[], undoEntry?: Object}>}
+ *   - Result of the import; `windowRecordIds` are the added records and `replacedRecords` the previous versions of replaced or merged records
+ */
+async function importInactiveWindows(jsonData, duplicateStrategy = 'skip', passphrase) {
+  try {
+    if (!['skip', 'replace', 'merge'].includes(duplicateStrategy)) {
+      throw new Error(`Unknown duplicate strategy: ${duplicateStrategy}`);
+    }
+    
+    if (!jsonData) {
+      return { success: false, message: 'No data provided', count: 0 };
+    }
+    
+    // Detect the format and convert it to validated inactive window records
+    const { windows, errors } = parseImportData(await decryptImportData(jsonData, passphrase));
+    
+    /** @type {string[]} */
+    const addedIds = [];
+    /** @type {TabManager.InactiveWindow[]} */
+    const replacedRecords = [];
+    let replaced = 0;
+    let merged = 0;
+    let skipped = 0;
+    
+    // Compare with and add to the current inactive windows in one update, so
+    // windows archived while the import runs are neither lost nor duplicated
+    await updateInactiveWindows(async updatedWindows => {
+      const { byId, byHash } = await indexWindowRecords(updatedWindows);
+      
+      // Windows are also checked against the ones added earlier in this import
+      for (const record of windows) {
+        const hash = await getWindowContentHash(record);
+        const index = byId.get(record.id) ?? byHash.get(hash);
+        
+        if (index === undefined) {
+          byId.set(record.id, updatedWindows.length);
+          byHash.set(hash, updatedWindows.length);
+          updatedWindows.push(record);
+          addedIds.push(record.id);
+          continue;
+        }
+        
+        if (duplicateStrategy === 'skip') {
+          skipped++;
+          continue;
+        }
+        
+        // Keep the stored version once, so the import can be undone
+        const existing = updatedWindows[index];
+        if (!addedIds.includes(existing.id) && !replacedRecords.some(r => r.id === existing.id)) {
+          replacedRecords.push(structuredClone(existing));
+        }
+        
+        if (duplicateStrategy === 'replace') {
+          updatedWindows[index] = { ...record, id: existing.id, updatedAt: Date.now() };
+          replaced++;
+        } else {
+          updatedWindows[index] = mergeInactiveWindows(existing, record);
+          merged++;
+        }
+        byHash.set(await getWindowContentHash(updatedWindows[index]), index);
+      }
+      
+      return updatedWindows;
+    });
+    
+    const outcomes = [
+      `imported ${addedIds.length} new window${addedIds.length !== 1 ? 's' : ''}`,
+      ...(replaced > 0 ? [`replaced ${replaced}`] : []),
+      ...(merged > 0 ? [`merged ${merged}`] : []),
+      ...(skipped > 0 ? [`skipped ${skipped} duplicate${skipped !== 1 ? 's' : ''}`] : [])
+    ];
+    const summary = outcomes.join(', ');
+    
+    return { 
+      success: true, 
+      message: summary.charAt(0).toUpperCase() + summary.slice(1) +
+        (errors.length > 0 ? ` (${errors.length} problem${errors.length !== 1 ? 's' : ''} fixed or skipped)` : ''),
+      count: addedIds.length + replaced + merged,
+      errors,
+      windowRecordIds: addedIds,
+      replacedRecords
+    };
+  } catch (error) {
+    console.error('Error importing inactive windows:', error);
+    return { 
+      success: false, 
+      message: `Error importing data: ${error instanceof Error ? error.message : String(error)}`,
+      count: 0
+    };
+  }
+}
+
+// Listen for messages related to inactive window management
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'deactivateWindow') {
+    deactivateWindow(request.windowId)
+      .then(async windowRecordId => {
+        const undoEntry = windowRecordId
+          ? await recordUndoEntry('deactivateWindow', 'Deactivated window', { windowRecordId })
+          : null;
+        sendResponse({ success: windowRecordId !== null, windowRecordId, undoEntry });
+      })
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to deactivate window' 
+      }));
+    return true; // Required for async sendResponse
+  }
+  
+  if (request.action === 'reactivateWindow') {
+    reactivateWindow(request.windowRecordId)
+      .then(success => sendResponse({ success }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to reactivate window' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'restoreInactiveTabs') {
+    restoreInactiveTabs(request.windowRecordId, request.tabKeys || [], request.target)
+      .then(success => sendResponse({ success }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to restore tabs' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'deleteInactiveTabs') {
+    deleteInactiveTabs(request.windowRecordId, request.tabKeys || [])
+      .then(success => sendResponse({ success }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to delete tabs' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'moveInactiveTabs') {
+    moveInactiveTabs(request.windowRecordId, request.tabKeys || [], request.targetWindowRecordId)
+      .then(success => sendResponse({ success }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to move tabs' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'updateInactiveWindow') {
+    updateInactiveWindow(request.windowRecordId, request.changes || {})
+      .then(success => sendResponse({ success }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to update inactive window' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'deleteInactiveWindow') {
+    deleteInactiveWindow(request.windowRecordId)
+      .then(success => sendResponse({ success }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to delete inactive window' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'getInactiveWindows') {
+    loadInactiveWindows()
+      .then(inactiveWindows => sendResponse({ inactiveWindows }))
+      .catch(error => sendResponse({ 
+        inactiveWindows: [],
+        error: error.message || 'Failed to load inactive windows'
+      }));
+    return true;
+  }
+  
+  if (request.action === 'exportInactiveWindows') {
+    exportInactiveWindows(request.windowRecordIds, request.passphrase)
+      .then(jsonData => sendResponse({ success: true, data: jsonData }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to export inactive windows' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'exportInactiveWindowsAsBookmarks') {
+    exportInactiveWindowsAsBookmarks(request.windowRecordIds)
+      .then(html => sendResponse({ success: true, data: html }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to export bookmarks' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'previewImport') {
+    previewImport(request.data, request.passphrase)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ 
+        success: false, 
+        message: error.message || 'Failed to read import data'
+      }));
+    return true;
+  }
+  
+  if (request.action === 'importInactiveWindows') {
+    importInactiveWindows(request.data, request.duplicateStrategy, request.passphrase)
+      .then(async result => {
+        if (result.success && result.count > 0) {
+          result.undoEntry = await recordUndoEntry(
+            'importWindows',
+            `Imported ${result.count} window(s)`,
+            { windowRecordIds: result.windowRecordIds || [], replacedRecords: result.replacedRecords || [] }
+          );
+        }
+        // The previous versions are only needed by the undo journal
+        delete result.replacedRecords;
+        sendResponse(result);
+      })
+      .catch(error => sendResponse({ 
+        success: false, 
+        message: error.message || 'Failed to import inactive windows',
+        count: 0
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Tab Export ----------
+
+/**
+ * Describes the tabs of live windows as export rows
+ *
+ * Windows are named by their position ("Window 1", "Window 2", ...), tabs in
+ * a native group get its title and other tabs the name of the first custom
+ * group they belong to.
+ *
+ * @param {chrome.tabs.Tab[]} selectedTabs - Tabs to export, in export order
+ * @returns {Promise<ExportRow[]>} - One row per tab
+ */
+async function describeLiveTabs(selectedTabs) {
+  const { customGroups, sessionId, tabs } = await loadTabGroupSyncState();
+  const relationships = await readStore('tabRelationships');
+  const ordinals = getWindowOrdinals(tabs);
+  
+  /** @type {Map<number, string>} */
+  const customGroupNames = new Map();
+  customGroups.forEach(group => {
+    bindGroupMembers(group, tabs, sessionId).tabs.forEach(tab => {
+      if (tab.id !== undefined && !customGroupNames.has(tab.id)) {
+        customGroupNames.set(tab.id, group.name);
+      }
+    });
+  });
+  
+  /** @type {Map<number, string>} */
+  const nativeGroupTitles = new Map();
+  const nativeGroups = await chrome.tabGroups.query({});
+  nativeGroups.forEach(group => nativeGroupTitles.set(group.id, group.title || `Unnamed ${group.color} group`));
+  
+  const lastAccessTimes = await getLastAccessTimes(selectedTabs);
+  
+  return selectedTabs.map(tab => {
+    const url = tab.url || tab.pendingUrl || '';
+    const relationship = tab.id !== undefined ? relationships[tab.id] : undefined;
+    const parentTab = relationship && relationship.parentTabId
+      ? tabs.find(t => t.id === relationship.parentTabId)
+      : undefined;
+    
+    return {
+      title: tab.title || url,
+      url,
+      domain: extractDomain(url),
+      window: `Window ${(ordinals[tab.windowId] || 0) + 1}`,
+      group: (tab.groupId !== undefined && nativeGroupTitles.get(tab.groupId)) ||
+        (tab.id !== undefined ? customGroupNames.get(tab.id) : undefined),
+      parent: parentTab ? parentTab.title || parentTab.url : undefined,
+      lastAccessed: tab.id !== undefined ? lastAccessTimes.get(tab.id) : undefined
+    };
+  });
+}
+
+/**
+ * Describes the tabs of an archived window as export rows
+ *
+ * @param {TabManager.InactiveWindow} windowData - The archived window
+ * @returns {ExportRow[]} - One row per tab with a URL
+ */
+function describeArchivedWindow(windowData) {
+  const tabs = windowData.tabs.filter(tab => tab.url);
+  
+  return tabs.map(tab => {
+    const url = tab.url || '';
+    const group = tab.groupId !== undefined && tab.groupId !== -1
+      ? (windowData.groups || []).find(g => g.id === tab.groupId)
+      : undefined;
+    const parentTab = tab.parentTabId !== undefined
+      ? tabs.find(t => t.originalId === tab.parentTabId)
+      : undefined;
+    
+    return {
+      title: tab.title || url,
+      url,
+      domain: extractDomain(url),
+      window: windowData.name,
+      group: group ? group.title || `Unnamed ${group.color} group` : undefined,
+      parent: parentTab ? parentTab.title || parentTab.url : undefined,
+      lastAccessed: windowData.deactivatedAt
+    };
+  });
+}
+
+/**
+ * Collects a tab and all of its descendants, parents before children
+ *
+ * @param {number} rootTabId - Tab at the root of the subtree
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {TabManager.TabRelationships} relationships - Parent-child relationships
+ * @returns {chrome.tabs.Tab[]} - The open tabs of the subtree
+ */
+function collectSubtreeTabs(rootTabId, tabs, relationships) {
+  /** @type {chrome.tabs.Tab[]} */
+  const subtree = [];
+  const visited = new Set();
+  
+  /** @param {number} tabId */
+  const visit = tabId => {
+    if (visited.has(tabId)) return;
+    visited.add(tabId);
+    
+    const tab = tabs.find(t => t.id === tabId);
+    if (tab) {
+      subtree.push(tab);
+    }
+    
+    Object.keys(relationships)
+      .filter(id => relationships[id].parentTabId === tabId)
+      .map(Number)
+      .forEach(visit);
+  };
+  
+  visit(rootTabId);
+  return subtree;
+}
+
+/**
+ * Resolves an export selection to export rows and a title for the document
+ *
+ * @param {TabManager.ExportSelection} selection - What to export
+ * @returns {Promise<{title: string, rows: ExportRow[]}>}
+ */
+async function collectExportRows(selection) {
+  switch (selection.type) {
+    case 'tabs': {
+      const tabs = await chrome.tabs.query({});
+      const selectedTabs = selection.tabIds
+        .map(tabId => tabs.find(tab => tab.id === tabId))
+        .filter(/** @returns {tab is chrome.tabs.Tab} */ tab => tab !== undefined);
+      return { title: selection.title || 'Tabs', rows: await describeLiveTabs(selectedTabs) };
+    }
+    
+    case 'subtree': {
+      const tabs = await chrome.tabs.query({});
+      const subtree = collectSubtreeTabs(selection.tabId, tabs, await readStore('tabRelationships'));
+      if (subtree.length === 0) {
+        throw new Error('The tab is no longer open');
+      }
+      return { title: subtree[0].title || 'Tab tree', rows: await describeLiveTabs(subtree) };
+    }
+    
+    case 'customGroup': {
+      const { customGroups, sessionId, tabs } = await loadTabGroupSyncState();
+      const group = customGroups.find(g => g.id === selection.groupId);
+      if (!group) {
+        throw new Error('The group no longer exists');
+      }
+      
+      const bound = bindGroupMembers(group, tabs, sessionId);
+      const openRows = (await describeLiveTabs(bound.tabs)).map(row => ({ ...row, group: group.name }));
+      /** @type {ExportRow[]} */
+      const closedRows = bound.closedMembers.map(member => ({
+        title: member.title || member.url,
+        url: member.url,
+        domain: extractDomain(member.url),
+        window: 'Closed',
+        group: group.name
+      }));
+      return { title: group.name, rows: [...openRows, ...closedRows] };
+    }
+    
+    case 'archivedWindow': {
+      const inactiveWindows = await loadInactiveWindows();
+      const windowData = inactiveWindows[getInactiveWindowIndex(inactiveWindows, selection.windowRecordId)];
+      return { title: windowData.name, rows: describeArchivedWindow(windowData) };
+    }
+    
+    default:
+      throw new Error('Unknown export selection');
+  }
+}
+
+/**
+ * Exports a selection of tabs as Markdown or CSV
+ *
+ * @param {TabManager.ExportSelection} selection - What to export
+ * @param {'markdown'|'csv'} format - Output format
+ * @param {'window'|'domain'|'group'} [groupBy='window'] - Markdown section headings
+ * @returns {Promise<{data: string, count: number, filename: string}>} - The document, the number of tabs and a suggested file name
+ */
+async function exportTabs(selection, format, groupBy = 'window') {
+  const { title, rows } = await collectExportRows(selection);
+  if (rows.length === 0) {
+    throw new Error('There are no tabs to export');
+  }
+  
+  const baseName = `tabs-${new Date().toISOString().split('T')[0]}`;
+  if (format === 'csv') {
+    return { data: renderCsv(rows), count: rows.length, filename: `${baseName}.csv` };
+  }
+  if (format === 'markdown') {
+    return { data: renderMarkdown(rows, groupBy, title), count: rows.length, filename: `${baseName}.md` };
+  }
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'exportTabs') {
+    exportTabs(request.selection, request.format, request.groupBy)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to export tabs' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Settings ----------
+
+/**
+ * Defaults for settings stored under the `settings` key
+ * Stored settings are merged over these, so new options need no migration.
+ * 
+ * @type {TabManager.UserSettings}
+ */
+const DEFAULT_SETTINGS = {
+  autoArchive: {
+    enabled: false,
+    idleMinutes: 120,
+    excludePinned: true,
+    excludeAudible: true,
+    excludeUnsavedForms: true
+  },
+  snapshots: {
+    enabled: true,
+    intervalMinutes: 30,
+    maxSnapshots: 48,
+    maxAgeDays: 14
+  },
+  archiveSync: {
+    enabled: false
+  },
+  history: {
+    enabled: true,
+    maxHistoryItems: 2000,
+    maxAgeDays: 90,
+    idleMinutes: 5
+  },
+  analytics: {
+    enabled: true,
+    retentionDays: 365
+  },
+  guardrails: {
+    enabled: true,
+    softTabsPerWindow: 30,
+    hardTabsPerWindow: 60,
+    softTotalTabs: 100,
+    hardTotalTabs: 200,
+    countDiscarded: false
+  }
+};
+
+/**
+ * Loads the user settings merged over the defaults
+ * 
+ * @returns {Promise<TabManager.UserSettings>}
+ */
+async function getSettings() {
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const stored = settings || {};
+  
+  return {
+    autoArchive: { ...DEFAULT_SETTINGS.autoArchive, ...(stored.autoArchive || {}) },
+    snapshots: { ...DEFAULT_SETTINGS.snapshots, ...(stored.snapshots || {}) },
+    archiveSync: { ...DEFAULT_SETTINGS.archiveSync, ...(stored.archiveSync || {}) },
+    history: { ...DEFAULT_SETTINGS.history, ...(stored.history || {}) },
+    analytics: { ...DEFAULT_SETTINGS.analytics, ...(stored.analytics || {}) },
+    guardrails: { ...DEFAULT_SETTINGS.guardrails, ...(stored.guardrails || {}) }
+  };
+}
+
+/**
+ * Checks that a numeric setting is a whole number of at least `min`
+ * 
+ * @param {*} value - The value to check
+ * @param {number} min - Smallest allowed value
+ * @param {string} label - Name of the setting used in the error message
+ * @returns {number} - The rounded value
+ */
+function validateNumberSetting(value, min, label) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    throw new Error(`${label} must be at least ${min}`);
+  }
+  return Math.round(number);
+}
+
+/**
+ * Updates the user settings
+ * Each section in `changes` is merged into the stored section of the same name.
+ * 
+ * @param {Object<string, Object>} changes - Settings sections to update
+ * @returns {Promise<TabManager.UserSettings>} - The updated settings
+ */
+async function updateSettings(changes) {
+  const settings = await getSettings();
+  
+  for (const [name, values] of Object.entries(changes || {})) {
+    if (!(name in DEFAULT_SETTINGS)) {
+      throw new Error(`Unknown settings section: ${name}`);
+    }
+    const section = /** @type {keyof TabManager.UserSettings} */ (name);
+    Object.assign(settings[section], values);
+  }
+  
+  settings.autoArchive.idleMinutes = validateNumberSetting(settings.autoArchive.idleMinutes, 5, 'The idle period');
+  settings.snapshots.intervalMinutes = validateNumberSetting(settings.snapshots.intervalMinutes, 5, 'The snapshot interval');
+  settings.snapshots.maxSnapshots = validateNumberSetting(settings.snapshots.maxSnapshots, 1, 'The number of snapshots');
+  settings.snapshots.maxAgeDays = validateNumberSetting(settings.snapshots.maxAgeDays, 1, 'The snapshot age');
+  settings.history.maxHistoryItems = validateNumberSetting(settings.history.maxHistoryItems, 100, 'The number of history entries');
+  settings.history.maxAgeDays = validateNumberSetting(settings.history.maxAgeDays, 1, 'The history age');
+  settings.history.idleMinutes = validateNumberSetting(settings.history.idleMinutes, 1, 'The away time');
+  settings.analytics.retentionDays = validateNumberSetting(settings.analytics.retentionDays, 7, 'The analytics retention');
+  settings.guardrails.softTabsPerWindow = validateNumberSetting(settings.guardrails.softTabsPerWindow, 1, 'The warning limit per window');
+  settings.guardrails.hardTabsPerWindow = validateNumberSetting(settings.guardrails.hardTabsPerWindow, settings.guardrails.softTabsPerWindow, 'The hard limit per window');
+  settings.guardrails.softTotalTabs = validateNumberSetting(settings.guardrails.softTotalTabs, 1, 'The warning limit in total');
+  settings.guardrails.hardTotalTabs = validateNumberSetting(settings.guardrails.hardTotalTabs, settings.guardrails.softTotalTabs, 'The hard limit in total');
+  
+  await chrome.storage.local.set({ settings });
+  return settings;
+}
+
+// Listen for messages related to settings
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getSettings') {
+    getSettings()
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to load settings' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'updateSettings') {
+    updateSettings(request.changes)
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to update settings' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Auto-Archive Idle Windows ----------
+
+// Windows are archived once they have not been used for the configured idle
+// period. Activity is tracked per window in session storage; time the user
+// spends away from the computer (chrome.idle) does not count as inactivity.
+
+const AUTO_ARCHIVE_ALARM = 'autoArchiveIdleWindows';
+const AUTO_ARCHIVE_NOTIFICATION_PREFIX = 'autoArchive:';
+
+/**
+ * Loads the last activity time of each window
+ * 
+ * @returns {Promise<{windowActivity: Object<string, number>, idleSince: number|null}>}
+ */
+async function loadWindowActivity() {
+  const { windowActivity, idleSince } = await chrome.storage.session.get(['windowActivity', 'idleSince']);
+  return { windowActivity: windowActivity || {}, idleSince: idleSince || null };
+}
+
+/**
+ * Records that a window is being used right now
+ * 
+ * @param {number} windowId - The window that was used
+ */
+async function markWindowActive(windowId) {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+  
+  const { windowActivity } = await loadWindowActivity();
+  windowActivity[windowId] = Date.now();
+  await chrome.storage.session.set({ windowActivity });
+}
+
+/**
+ * Shifts all activity timestamps forward by the time the user was away,
+ * so that a lunch break does not archive every window at once
+ * 
+ * @param {number} awayMs - How long the user was idle or locked
+ */
+async function discountAwayTime(awayMs) {
+  const { windowActivity } = await loadWindowActivity();
+  
+  for (const windowId of Object.keys(windowActivity)) {
+    windowActivity[windowId] += awayMs;
+  }
+  
+  await chrome.storage.session.set({ windowActivity, idleSince: null });
+}
+
+/**
+ * Checks whether a tab has form fields the user changed but did not submit
+ * Pages that cannot be inspected count as having unsaved changes, unless
+ * they are browser pages that cannot hold user input.
+ * 
+ * @param {chrome.tabs.Tab} tab - The tab to inspect
+ * @returns {Promise<boolean>}
+ */
+async function hasUnsavedFormState(tab) {
+  if (!tab.id || !tab.url || !/^(https?|file):/.test(tab.url) || tab.discarded) {
+    return false;
+  }
+  
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      world: 'MAIN',
+      func: () => {
+        if (typeof window.onbeforeunload === 'function') return true;
+        
+        const isDirty = (/** @type {Element} */ element) => {
+          if (element instanceof HTMLInputElement) {
+            if (element.type === 'checkbox' || element.type === 'radio') {
+              return element.checked !== element.defaultChecked;
+            }
+            if (['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes(element.type)) {
+              return false;
+            }
+            return element.value !== element.defaultValue;
+          }
+          if (element instanceof HTMLTextAreaElement) {
+            return element.value !== element.defaultValue;
+          }
+          if (element instanceof HTMLSelectElement) {
+            return Array.from(element.options).some(option => option.selected !== option.defaultSelected);
+          }
+          return false;
+        };
+        
+        return Array.from(document.querySelectorAll('input, textarea, select')).some(isDirty) ||
+          Array.from(document.querySelectorAll('[contenteditable="true"], [contenteditable=""]'))
+            .some(element => (element.textContent || '').trim().length > 0);
+      }
+    });
+    return Boolean(injection && injection.result);
+  } catch (error) {
+    // Without host access we cannot tell, so keep the window open
+    console.debug('Could not inspect form state of tab', tab.id, error);
+    return true;
+  }
+}
+
+/**
+ * Returns why a window must not be auto-archived, or null if it may be
+ * 
+ * @param {chrome.tabs.Tab[]} tabs - The tabs of the window
+ * @param {TabManager.AutoArchiveSettings} options - Auto-archive settings
+ * @returns {Promise<string|null>}
+ */
+async function getAutoArchiveExclusion(tabs, options) {
+  if (options.excludePinned && tabs.some(tab => tab.pinned)) {
+    return 'pinned tabs';
+  }
+  
+  if (options.excludeAudible && tabs.some(tab => tab.audible)) {
+    return 'audible tabs';
+  }
+  
+  if (options.excludeUnsavedForms) {
+    for (const tab of tabs) {
+      if (await hasUnsavedFormState(tab)) {
+        return 'unsaved form state';
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Archives all windows that have been idle for longer than the configured period
+ * The focused window and the last remaining normal window are never archived.
+ * 
+ * @returns {Promise<string[]>} - IDs of the inactive window records created
+ */
+async function autoArchiveIdleWindows() {
+  const { autoArchive } = await getSettings();
+  if (!autoArchive.enabled) return [];
+  
+  // While the user is away, time does not count against any window
+  const idleState = await chrome.idle.queryState(60);
+  if (idleState !== 'active') return [];
+  
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const { windowActivity } = await loadWindowActivity();
+  const now = Date.now();
+  const idleLimitMs = autoArchive.idleMinutes * 60 * 1000;
+  
+  // Windows seen for the first time start their idle period now
+  let activityChanged = false;
+  for (const window of windows) {
+    if (window.id !== undefined && (window.focused || !windowActivity[window.id])) {
+      windowActivity[window.id] = now;
+      activityChanged = true;
+    }
+  }
+  if (activityChanged) {
+    await chrome.storage.session.set({ windowActivity });
+  }
+  
+  const idleWindows = windows.filter(window =>
+    window.id !== undefined && now - windowActivity[window.id] >= idleLimitMs
+  );
+  
+  const archivedIds = [];
+  let remainingWindows = windows.length;
+  
+  for (const window of idleWindows) {
+    if (remainingWindows <= 1) break;
+    if (window.id === undefined) continue;
+    
+    const exclusion = await getAutoArchiveExclusion(window.tabs || [], autoArchive);
+    if (exclusion) {
+      console.debug(`Not auto-archiving window ${window.id}: it has ${exclusion}`);
+      continue;
+    }
+    
+    const windowRecordId = await deactivateWindow(window.id, { autoArchived: true });
+    if (windowRecordId) {
+      archivedIds.push(windowRecordId);
+      remainingWindows--;
+      showAutoArchiveNotification(windowRecordId, (window.tabs || []).length, autoArchive.idleMinutes);
+    }
+  }
+  
+  if (archivedIds.length > 0) {
+    notifyTabsUpdated();
+  }
+  
+  return archivedIds;
+}
+
+/**
+ * Tells the user that a window was archived and offers to undo it
+ * 
+ * @param {string} windowRecordId - The ID of the new inactive window record
+ * @param {number} tabCount - Number of tabs in the archived window
+ * @param {number} idleMinutes - The idle period that elapsed
+ */
+function showAutoArchiveNotification(windowRecordId, tabCount, idleMinutes) {
+  chrome.notifications.create(AUTO_ARCHIVE_NOTIFICATION_PREFIX + windowRecordId, {
+    type: 'basic',
+    iconUrl: 'generated-icon.png',
+    title: 'Idle window archived',
+    message: `A window with ${tabCount} tab${tabCount !== 1 ? 's' : ''} was unused for ${idleMinutes} minutes and has been archived.`,
+    buttons: [{ title: 'Undo' }],
+    requireInteraction: false
+  });
+}
+
+/**
+ * Makes sure the periodic auto-archive check is scheduled
+ */
+async function ensureAutoArchiveAlarm() {
+  const alarm = await chrome.alarms.get(AUTO_ARCHIVE_ALARM);
+  if (!alarm) {
+    await chrome.alarms.create(AUTO_ARCHIVE_ALARM, { periodInMinutes: 5 });
+  }
+}
+
+// Track which windows are being used
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  markWindowActive(windowId);
+});
+
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  markWindowActive(activeInfo.windowId);
+});
+
+chrome.tabs.onCreated.addListener((tab) => {
+  markWindowActive(tab.windowId);
+});
+
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  const { windowActivity } = await loadWindowActivity();
+  if (windowActivity[windowId]) {
+    delete windowActivity[windowId];
+    await chrome.storage.session.set({ windowActivity });
+  }
+});
+
+// Time spent away from the computer does not make windows idle
+chrome.idle.onStateChanged.addListener(async (state) => {
+  const { idleSince } = await loadWindowActivity();
+  
+  if (state === 'active') {
+    if (idleSince) {
+      await discountAwayTime(Date.now() - idleSince);
+    }
+  } else if (!idleSince) {
+    await chrome.storage.session.set({ idleSince: Date.now() });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTO_ARCHIVE_ALARM) {
+    autoArchiveIdleWindows().catch(error => {
+      console.error('Error auto-archiving idle windows:', error);
+    });
+  }
+});
+
+// Undo an auto-archive from its notification
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(AUTO_ARCHIVE_NOTIFICATION_PREFIX) || buttonIndex !== 0) return;
+  
+  const windowRecordId = notificationId.slice(AUTO_ARCHIVE_NOTIFICATION_PREFIX.length);
+  reactivateWindow(windowRecordId)
+    .catch(error => console.error('Error undoing auto-archive:', error))
+    .finally(() => chrome.notifications.clear(notificationId));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  ensureAutoArchiveAlarm();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  ensureAutoArchiveAlarm();
+});
+
+// ---------- Undo Journal ----------
+
+// Destructive actions started from the tab manager are recorded with enough
+// data to reverse them. The journal is a stack: undoing without an entry ID
+// reverses the most recent action.
+
+const MAX_UNDO_ENTRIES = 25;
+
+/**
+ * Adds an entry to the undo journal
+ * 
+ * @param {TabManager.UndoEntry['type']} type - Kind of action
+ * @param {string} description - Human readable description shown in the undo toast
+ * @param {Object} data - Data needed to reverse the action
+ * @returns {Promise<{id: string, description: string}>} - Summary of the new entry
+ */
+async function recordUndoEntry(type, description, data) {
+  const entry = /** @type {TabManager.UndoEntry} */ ({
+    id: crypto.randomUUID(),
+    type,
+    description,
+    createdAt: Date.now(),
+    data
+  });
+  
+  await updateStore('undoJournal', journal => [...journal, entry].slice(-MAX_UNDO_ENTRIES));
+  
+  return { id: entry.id, description };
+}
+
+/**
+ * Closes tabs and records them so they can be reopened in the same place
+ * 
+ * @param {number[]} tabIds - IDs of the tabs to close
+ * @returns {Promise<{id: string, description: string}|null>} - The undo entry, or null if no tab was open
+ */
+async function closeTabsWithUndo(tabIds) {
+  const relationships = await readStore('tabRelationships');
+  
+  /** @type {TabManager.ClosedTabRecord[]} */
+  const closedTabs = [];
+  for (const tabId of tabIds) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab || tab.id === undefined) continue;
+    
+    closedTabs.push({
+      originalId: tab.id,
+      url: tab.url || tab.pendingUrl || '',
+      title: tab.title,
+      favIconUrl: tab.favIconUrl,
+      pinned: tab.pinned,
+      windowId: tab.windowId,
+      index: tab.index,
+      nativeGroupId: tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE ? tab.groupId : undefined,
+      parentTabId: relationships[tab.id] ? relationships[tab.id].parentTabId : undefined,
+      closedAt: Date.now()
+    });
+  }
+  
+  if (closedTabs.length === 0) {
+    return null;
+  }
+  
+  const description = closedTabs.length === 1
+    ? `Closed "${closedTabs[0].title || closedTabs[0].url}"`
+    : `Closed ${closedTabs.length} tabs`;
+  const entry = await recordUndoEntry('closeTabs', description, { tabs: closedTabs });
+  
+  await chrome.tabs.remove(closedTabs.map(tab => tab.originalId));
+  return entry;
+}
+
+/**
+ * Deletes a custom group and records it so it can be restored
+ * 
+ * @param {string} groupId - ID of the custom group
+ * @returns {Promise<{id: string, description: string}>} - The undo entry
+ */
+async function deleteCustomGroupWithUndo(groupId) {
+  /** @type {TabManager.CustomTabGroup|undefined} */
+  let deletedGroup;
+  
+  await updateCustomGroups(customGroups => {
+    const index = customGroups.findIndex(g => g.id === groupId);
+    if (index === -1) {
+      throw new Error(`Group ${groupId} no longer exists`);
+    }
+    [deletedGroup] = customGroups.splice(index, 1);
+    return true;
+  });
+  
+  const group = /** @type {TabManager.CustomTabGroup} */ (deletedGroup);
+  const entry = await recordUndoEntry('deleteGroup', `Deleted group "${group.name}"`, { group });
+  
+  await syncTabGroups([group]);
+  return entry;
+}
+
+/**
+ * Reopens closed tabs in their original window and position
+ * Parent links are restored, and tabs that were children of a closed tab are
+ * attached to its reopened copy again.
+ * 
+ * @param {TabManager.ClosedTabRecord[]} closedTabs - The closed tabs
+ * @returns {Promise<Object<number, number>>} - New tab IDs by the IDs the tabs had before they were closed
+ */
+async function reopenClosedTabs(closedTabs) {
+  const openWindows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  const openWindowIds = new Set(openWindows.map(window => window.id));
+  
+  /** @type {number|undefined} */
+  let fallbackWindowId;
+  
+  /** @type {Object<number, number>} */
+  const tabIdMapping = {};
+  
+  // Reopen in ascending index order so the saved indices stay valid
+  const sortedTabs = [...closedTabs].sort((a, b) => a.index - b.index);
+  
+  for (const closedTab of sortedTabs) {
+    let windowId = closedTab.windowId;
+    
+    if (!openWindowIds.has(windowId)) {
+      if (fallbackWindowId === undefined) {
+        const newWindow = await chrome.windows.create({ focused: false });
+        fallbackWindowId = newWindow.id;
+      }
+      windowId = /** @type {number} */ (fallbackWindowId);
+    }
+    
+    const index = windowId === closedTab.windowId ? closedTab.index : undefined;
+    const tab = await restoreFromBrowserSessions(closedTab, windowId, index) || await chrome.tabs.create({
+      windowId,
+      index,
+      url: closedTab.url,
+      pinned: closedTab.pinned,
+      active: false
+    });
+    if (tab.id === undefined) continue;
+    
+    tabIdMapping[closedTab.originalId] = tab.id;
+    
+    // Put the tab back into its native group if the group still exists
+    if (closedTab.nativeGroupId !== undefined && windowId === closedTab.windowId) {
+      const group = await chrome.tabGroups.get(closedTab.nativeGroupId).catch(() => null);
+      if (group && group.windowId === windowId) {
+        await chrome.tabs.group({ groupId: group.id, tabIds: tab.id });
+      }
+    }
+  }
+  
+  // Remove the blank tab a fallback window is created with
+  if (fallbackWindowId !== undefined) {
+    const fallbackTabs = await chrome.tabs.query({ windowId: fallbackWindowId });
+    const reopenedIds = new Set(Object.values(tabIdMapping));
+    const blankTabIds = fallbackTabs
+      .filter(tab => tab.id !== undefined && !reopenedIds.has(tab.id))
+      .map(tab => /** @type {number} */ (tab.id));
+    if (blankTabIds.length > 0) {
+      await chrome.tabs.remove(blankTabIds);
+    }
+  }
+  
+  /** @type {Object<number, number>} */
+  const restoredParents = {};
+  
+  for (const closedTab of closedTabs) {
+    const newTabId = tabIdMapping[closedTab.originalId];
+    if (!newTabId || !closedTab.parentTabId) continue;
+    
+    // The parent was either closed along with the tab or is still open
+    const parentTabId = tabIdMapping[closedTab.parentTabId] ||
+      (await chrome.tabs.get(closedTab.parentTabId).then(tab => tab.id).catch(() => undefined));
+    
+    if (parentTabId) {
+      restoredParents[newTabId] = parentTabId;
+    }
+  }
+  
+  await updateStore('tabRelationships', relationships => {
+    for (const [newTabId, parentTabId] of Object.entries(restoredParents)) {
+      relationships[newTabId] = { parentTabId, createdAt: Date.now() };
+    }
+    
+    // Children still point at the closed tab's old ID
+    for (const relationship of Object.values(relationships)) {
+      const newParentId = relationship.parentTabId !== undefined ? tabIdMapping[relationship.parentTabId] : undefined;
+      if (newParentId) {
+        relationship.parentTabId = newParentId;
+      }
+    }
+    
+    return relationships;
+  });
+  await forgetReopenedTabs(tabIdMapping);
+  notifyTabsUpdated();
+  
+  return tabIdMapping;
+}
+
+/**
+ * Reverses a journal entry
+ * 
+ * @param {TabManager.UndoEntry} entry - The entry to reverse
+ * @returns {Promise<void>}
+ */
+async function applyUndoEntry(entry) {
+  switch (entry.type) {
+    case 'closeTabs':
+      await reopenClosedTabs(entry.data.tabs);
+      break;
+    
+    case 'deleteGroup': {
+      const restored = await updateCustomGroups(customGroups => {
+        if (customGroups.some(g => g.id === entry.data.group.id)) {
+          return false;
+        }
+        
+        // The old native group was ungrouped, so a new one is created on sync
+        const group = { ...entry.data.group };
+        delete group.nativeGroupId;
+        delete group.nativeSessionId;
+        customGroups.push(group);
+        return true;
+      });
+      if (restored) {
+        await syncTabGroups();
+      }
+      break;
+    }
+    
+    case 'deactivateWindow':
+      if (!await reactivateWindow(entry.data.windowRecordId)) {
+        throw new Error('Failed to reopen the window');
+      }
+      notifyTabsUpdated();
+      break;
+    
+    case 'importWindows': {
+      const importedIds = new Set(entry.data.windowRecordIds);
+      const previousVersions = new Map(entry.data.replacedRecords.map(record => [record.id, record]));
+      await updateInactiveWindows(inactiveWindows => inactiveWindows
+        .filter(record => !importedIds.has(record.id))
+        .map(record => previousVersions.get(record.id) || record));
+      break;
+    }
+  }
+}
+
+/**
+ * Undoes a journal entry, by default the most recent one
+ * The entry is removed from the journal even if reversing it fails, since a
+ * failed undo (e.g. of a window that was restored manually) cannot succeed later.
+ * 
+ * @param {string} [entryId] - ID of the entry to undo
+ * @returns {Promise<string>} - Description of the undone action
+ */
+async function undoAction(entryId) {
+  /** @type {TabManager.UndoEntry|undefined} */
+  let undoneEntry;
+  
+  // Taking the entry out within the update makes sure it is only applied once
+  await updateStore('undoJournal', journal => {
+    const index = entryId
+      ? journal.findIndex(entry => entry.id === entryId)
+      : journal.length - 1;
+    
+    if (index === -1) {
+      throw new Error(entryId ? 'This action can no longer be undone' : 'Nothing to undo');
+    }
+    
+    [undoneEntry] = journal.splice(index, 1);
+    return journal;
+  });
+  
+  const entry = /** @type {TabManager.UndoEntry} */ (undoneEntry);
+  await applyUndoEntry(entry);
+  return entry.description;
+}
+
+// Listen for messages related to destructive actions and undoing them
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'closeTabs') {
+    closeTabsWithUndo(request.tabIds || [])
+      .then(undoEntry => sendResponse({ success: true, undoEntry }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to close tabs' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'deleteCustomGroup') {
+    deleteCustomGroupWithUndo(request.groupId)
+      .then(undoEntry => sendResponse({ success: true, undoEntry }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to delete group' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'undoAction') {
+    undoAction(request.entryId)
+      .then(description => sendResponse({ success: true, description }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to undo' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Recently Closed Tabs ----------
+
+// Closed tabs are logged with their place in the tab tree, so they can be
+// reopened under their original parent, or together with the closed tabs
+// below them. The tab can no longer be queried once onRemoved fires, so its
+// URL, title and position come from the tab fingerprints. Where the browser
+// supports chrome.sessions, tabs are restored from its own list of recently
+// closed tabs, which brings back their back/forward history.
+
+const MAX_RECENTLY_CLOSED = 100;
+
+/** How far the browser's close time may be off from ours, in milliseconds */
+const SESSION_MATCH_TOLERANCE_MS = 10000;
+
+/** Windows closed by deactivateWindow(), whose tabs are kept in the inactive window record */
+/** @type {Set<number>} */
+const deactivatingWindowIds = new Set();
+
+/**
+ * Adds a closed tab to the recently closed log
+ * 
+ * @param {number} tabId - The closed tab
+ * @param {chrome.tabs.TabRemoveInfo} removeInfo - Window of the tab and whether it closed too
+ * @param {number|undefined} parentTabId - Parent of the tab in the tab tree
+ * @param {number[]} childTabIds - Tabs that had the tab as their parent
+ * @returns {Promise<void>}
+ */
+async function recordClosedTab(tabId, removeInfo, parentTabId, childTabIds) {
+  if (deactivatingWindowIds.has(removeInfo.windowId)) return;
+  
+  const sessionId = await getTrackingSessionId();
+  const { tabFingerprints } = await chrome.storage.local.get(['tabFingerprints']);
+  const fingerprint = tabFingerprints && tabFingerprints.sessionId === sessionId ? tabFingerprints.tabs[tabId] : undefined;
+  
+  // Tabs closed right after opening have no fingerprint yet, and new tab
+  // pages or extension pages are not worth reopening
+  if (!fingerprint || !fingerprint.url.startsWith('http')) return;
+  
+  /** @type {TabManager.RecentlyClosedTab} */
+  const entry = {
+    id: crypto.randomUUID(),
+    sessionId,
+    originalId: tabId,
+    url: fingerprint.url,
+    title: fingerprint.title,
+    pinned: fingerprint.pinned,
+    windowId: removeInfo.windowId,
+    index: fingerprint.index,
+    parentTabId,
+    childTabIds,
+    closedAt: Date.now(),
+    windowClosing: removeInfo.isWindowClosing
+  };
+  
+  await updateStore('recentlyClosed', recentlyClosed => [entry, ...recentlyClosed].slice(0, MAX_RECENTLY_CLOSED));
+}
+
+/**
+ * Reopens a tab from the browser's own list of recently closed tabs
+ * Only tabs that were closed on their own are listed there; tabs closed with
+ * their window are part of the window's entry and are not restored this way.
+ * An entry must have the tab's URL, have been closed at about the same time
+ * and, if the original window is known, come from that window; of several
+ * such entries the one closed nearest to the recorded time is used.
+ * 
+ * @param {TabManager.ClosedTabRecord} closedTab - The tab to reopen
+ * @param {number} windowId - Window to put the tab in
+ * @param {number|undefined} index - Position of the tab in the window
+ * @returns {Promise<chrome.tabs.Tab|null>} - The restored tab, or null if the browser has no entry for it
+ */
+async function restoreFromBrowserSessions(closedTab, windowId, index) {
+  if (!chrome.sessions) return null;
+  
+  try {
+    const sessions = await chrome.sessions.getRecentlyClosed();
+    /** @param {chrome.sessions.Session} s */
+    const closeTimeOffset = s => Math.abs(s.lastModified * 1000 - closedTab.closedAt);
+    const session = sessions
+      .filter(s => s.tab && s.tab.sessionId && s.tab.url === closedTab.url &&
+        (closedTab.windowId === chrome.windows.WINDOW_ID_NONE || s.tab.windowId === closedTab.windowId) &&
+        closeTimeOffset(s) <= SESSION_MATCH_TOLERANCE_MS)
+      .sort((a, b) => closeTimeOffset(a) - closeTimeOffset(b))[0];
+    if (!session || !session.tab || !session.tab.sessionId) return null;
+    
+    const { tab } = await chrome.sessions.restore(session.tab.sessionId);
+    if (!tab || tab.id === undefined) return null;
+    
+    // The browser restores the tab where it thinks it belongs
+    if (tab.windowId !== windowId || (index !== undefined && tab.index !== index)) {
+      return await chrome.tabs.move(tab.id, { windowId, index: index ?? -1 });
+    }
+    return tab;
+  } catch (error) {
+    console.warn('Could not restore tab from browser sessions:', error);
+    return null;
+  }
+}
+
+/**
+ * Removes reopened tabs from the recently closed log
+ * Entries that pointed at a reopened tab as their parent or child point at
+ * its new ID afterwards, so reopening them later attaches them to it.
+ * 
+ * @param {Object<number, number>} tabIdMapping - New tab IDs by the IDs the tabs had before they were closed
+ * @returns {Promise<void>}
+ */
+async function forgetReopenedTabs(tabIdMapping) {
+  if (Object.keys(tabIdMapping).length === 0) return;
+  
+  const sessionId = await getTrackingSessionId();
+  await updateStore('recentlyClosed', recentlyClosed => recentlyClosed
+    .filter(entry => entry.sessionId !== sessionId || !tabIdMapping[entry.originalId])
+    .map(entry => {
+      if (entry.sessionId !== sessionId) return entry;
+      
+      const parentTabId = entry.parentTabId !== undefined ? tabIdMapping[entry.parentTabId] : undefined;
+      return {
+        ...entry,
+        parentTabId: parentTabId || entry.parentTabId,
+        childTabIds: entry.childTabIds.map(id => tabIdMapping[id] || id)
+      };
+    }));
+}
+
+/**
+ * Returns an entry and the closed tabs below it in the tab tree
+ * 
+ * @param {TabManager.RecentlyClosedTab[]} recentlyClosed - The log
+ * @param {TabManager.RecentlyClosedTab} root - Entry at the top of the subtree
+ * @returns {TabManager.RecentlyClosedTab[]} - The entries of the subtree, root first
+ */
+function getClosedSubtree(recentlyClosed, root) {
+  const subtree = [root];
+  const tabIds = new Set([root.originalId]);
+  
+  // Each pass adds the entries whose parent was added in the previous one
+  let added = true;
+  while (added) {
+    added = false;
+    for (const entry of recentlyClosed) {
+      if (entry.sessionId !== root.sessionId || tabIds.has(entry.originalId)) continue;
+      if (entry.parentTabId !== undefined && tabIds.has(entry.parentTabId)) {
+        subtree.push(entry);
+        tabIds.add(entry.originalId);
+        added = true;
+      }
+    }
+  }
+  return subtree;
+}
+
+/**
+ * Returns the recently closed log for display
+ * 
+ * @returns {Promise<Array<TabManager.RecentlyClosedTab & {subtreeSize: number, previousSession: boolean}>>} - Entries, newest
+ *   first, with the number of closed tabs in their subtree and whether they were closed before the browser restarted
+ */
+async function getRecentlyClosedTabs() {
+  const [recentlyClosed, sessionId] = await Promise.all([readStore('recentlyClosed'), getTrackingSessionId()]);
+  
+  return recentlyClosed.map(entry => ({
+    ...entry,
+    subtreeSize: getClosedSubtree(recentlyClosed, entry).length,
+    previousSession: entry.sessionId !== sessionId
+  }));
+}
+
+/**
+ * Reopens a tab from the recently closed log
+ * 
+ * The tab goes back under its parent if the parent is open, and the tabs
+ * that were its children are attached to it again. Tabs closed before the
+ * browser restarted are reopened in a new window, since their tab and window
+ * IDs may belong to other tabs by now.
+ * 
+ * @param {string} entryId - ID of the log entry
+ * @param {Object} [options] - Reopen options
+ * @param {boolean} [options.subtree=false] - Also reopen the closed tabs below it
+ * @returns {Promise<number>} - Number of reopened tabs
+ */
+async function reopenRecentlyClosed(entryId, { subtree = false } = {}) {
+  const [recentlyClosed, sessionId] = await Promise.all([readStore('recentlyClosed'), getTrackingSessionId()]);
+  const entry = recentlyClosed.find(e => e.id === entryId);
+  
+  if (!entry) {
+    throw new Error('This tab is no longer in the recently closed list');
+  }
+  
+  const entries = subtree ? getClosedSubtree(recentlyClosed, entry) : [entry];
+  
+  /** @type {TabManager.ClosedTabRecord[]} */
+  let closedTabs = entries;
+  if (entry.sessionId !== sessionId) {
+    // Negative IDs cannot match a live tab, so only the links between the
+    // reopened tabs are restored
+    const oldIds = entries.map(e => e.originalId);
+    closedTabs = entries.map(e => ({
+      ...e,
+      originalId: -1 - oldIds.indexOf(e.originalId),
+      parentTabId: e.parentTabId !== undefined && oldIds.includes(e.parentTabId) ? -1 - oldIds.indexOf(e.parentTabId) : undefined,
+      windowId: chrome.windows.WINDOW_ID_NONE
+    }));
+  }
+  
+  const tabIdMapping = await reopenClosedTabs(closedTabs);
+  
+  const reopenedIds = new Set(entries.map(e => e.id));
+  await updateStore('recentlyClosed', log => log.filter(e => !reopenedIds.has(e.id)));
+  
+  return Object.keys(tabIdMapping).length;
+}
+
+/**
+ * Removes all entries from the recently closed log
+ * 
+ * @returns {Promise<void>}
+ */
+async function clearRecentlyClosed() {
+  await writeStore('recentlyClosed', []);
+  await flushStore();
+}
+
+// Listen for messages related to the recently closed log
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getRecentlyClosed') {
+    getRecentlyClosedTabs()
+      .then(entries => sendResponse({ success: true, entries }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to load recently closed tabs' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'reopenRecentlyClosed') {
+    reopenRecentlyClosed(request.entryId, { subtree: !!request.subtree })
+      .then(count => sendResponse({ success: true, count }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to reopen tab' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'clearRecentlyClosed') {
+    clearRecentlyClosed()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to clear recently closed tabs' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Session Snapshots ----------
+
+// The whole browser state is saved periodically so that any earlier session
+// can be browsed and restored. Windows are stored in the inactive window
+// record format, so restoring reuses restoreArchivedTabs().
+
+const SNAPSHOT_ALARM = 'sessionSnapshot';
+
+/**
+ * Loads all session snapshots, newest first
+ * 
+ * @returns {Promise<TabManager.SessionSnapshot[]>}
+ */
+function loadSessionSnapshots() {
+  return readStore('sessionSnapshots');
+}
+
+/**
+ * Finds a snapshot by its ID
+ * 
+ * @param {TabManager.SessionSnapshot[]} snapshots - All snapshots
+ * @param {string} snapshotId - The ID of the snapshot
+ * @returns {TabManager.SessionSnapshot}
+ */
+function getSessionSnapshot(snapshots, snapshotId) {
+  const snapshot = snapshots.find(s => s.id === snapshotId);
+  
+  if (!snapshot) {
+    throw new Error(`Snapshot ${snapshotId} no longer exists`);
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Summarizes a snapshot for listing
+ * 
+ * @param {TabManager.SessionSnapshot} snapshot - The snapshot
+ * @returns {TabManager.SessionSnapshotSummary}
+ */
+function summarizeSessionSnapshot(snapshot) {
+  return {
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    trigger: snapshot.trigger,
+    windowCount: snapshot.windows.length,
+    tabCount: snapshot.windows.reduce((count, window) => count + window.tabs.length, 0),
+    groupCount: snapshot.customGroups.length
+  };
+}
+
+/**
+ * Builds a key that only changes when the open windows or their tabs change
+ * 
+ * @param {TabManager.InactiveWindow[]} windows - Captured windows
+ * @returns {string}
+ */
+function getSnapshotStateKey(windows) {
+  return JSON.stringify(windows.map(window => window.tabs.map(tab => tab.url)));
+}
+
+/**
+ * Drops automatic snapshots beyond the configured count or age
+ * Manual snapshots are kept until the user deletes them.
+ * 
+ * @param {TabManager.SessionSnapshot[]} snapshots - All snapshots, newest first
+ * @param {TabManager.SnapshotSettings} options - Snapshot settings
+ * @returns {TabManager.SessionSnapshot[]}
+ */
+function pruneSessionSnapshots(snapshots, options) {
+  const oldestAllowed = Date.now() - options.maxAgeDays * 24 * 60 * 60 * 1000;
+  let autoCount = 0;
+  
+  return snapshots.filter(snapshot => {
+    if (snapshot.trigger === 'manual') return true;
+    
+    autoCount++;
+    return autoCount <= options.maxSnapshots && snapshot.createdAt >= oldestAllowed;
+  });
+}
+
+/**
+ * Saves the state of all normal windows, custom groups and YouTube queues
+ * Automatic snapshots are skipped when nothing changed since the last snapshot.
+ * 
+ * @param {'auto'|'manual'} [trigger='manual'] - What caused the snapshot
+ * @returns {Promise<TabManager.SessionSnapshotSummary|null>} - The new snapshot, or null if skipped
+ */
+async function takeSessionSnapshot(trigger = 'manual') {
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const customGroups = await readStore('customGroups');
+  const tabRelationships = await readStore('tabRelationships');
+  const youtubeQueues = await readStore('youtubeQueues');
+  
+  /** @type {TabManager.InactiveWindow[]} */
+  const windowRecords = [];
+  for (const window of windows) {
+    if (window.id === undefined || !window.tabs || window.tabs.length === 0) continue;
+    windowRecords.push(await captureWindowRecord(window.id, window.tabs, tabRelationships));
+  }
+  
+  if (windowRecords.length === 0) {
+    return null;
+  }
+  
+  /** @type {TabManager.SessionSnapshot} */
+  const snapshot = {
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    trigger,
+    windows: windowRecords,
+    customGroups,
+    youtubeQueues
+  };
+  
+  const { snapshots: snapshotSettings } = await getSettings();
+  let saved = false;
+  await updateStore('sessionSnapshots', snapshots => {
+    if (trigger === 'auto' && snapshots.length > 0 &&
+        getSnapshotStateKey(snapshots[0].windows) === getSnapshotStateKey(windowRecords)) {
+      return snapshots;
+    }
+    
+    saved = true;
+    return pruneSessionSnapshots([snapshot, ...snapshots], snapshotSettings);
+  });
+  
+  return saved ? summarizeSessionSnapshot(snapshot) : null;
+}
+
+/**
+ * Deletes a snapshot
+ * 
+ * @param {string} snapshotId - The ID of the snapshot
+ * @returns {Promise<boolean>} - Promise resolving to true if successful
+ */
+async function deleteSessionSnapshot(snapshotId) {
+  await updateStore('sessionSnapshots', snapshots => {
+    getSessionSnapshot(snapshots, snapshotId);
+    return snapshots.filter(snapshot => snapshot.id !== snapshotId);
+  });
+  return true;
+}
+
+/**
+ * Compares the tabs of a snapshot with another snapshot or with the open tabs
+ * Tabs are matched by URL, so a URL open twice needs two matches.
+ * 
+ * @param {string} snapshotId - The ID of the snapshot
+ * @param {string} [compareToId] - Snapshot to compare with; the open tabs when omitted
+ * @returns {Promise<{missing: Array<{url: string, title?: string}>, added: Array<{url: string, title?: string}>}>}
+ *   Tabs only in the snapshot, and tabs only in the compared state
+ */
+async function diffSessionSnapshot(snapshotId, compareToId) {
+  const snapshots = await loadSessionSnapshots();
+  const snapshot = getSessionSnapshot(snapshots, snapshotId);
+  
+  /** @type {Array<{url: string, title?: string}>} */
+  let compareTabs;
+  if (compareToId) {
+    compareTabs = getSessionSnapshot(snapshots, compareToId).windows
+      .flatMap(window => window.tabs)
+      .map(tab => ({ url: tab.url || '', title: tab.title }));
+  } else {
+    const openTabs = await chrome.tabs.query({ windowType: 'normal' });
+    compareTabs = openTabs.map(tab => ({ url: tab.url || tab.pendingUrl || '', title: tab.title }));
+  }
+  
+  // Count the compared URLs, then consume a count for every snapshot tab
+  /** @type {Map<string, number>} */
+  const remaining = new Map();
+  for (const tab of compareTabs) {
+    remaining.set(tab.url, (remaining.get(tab.url) || 0) + 1);
+  }
+  
+  /** @type {Array<{url: string, title?: string}>} */
+  const missing = [];
+  for (const tab of snapshot.windows.flatMap(window => window.tabs)) {
+    const url = tab.url || '';
+    const count = remaining.get(url) || 0;
+    if (count > 0) {
+      remaining.set(url, count - 1);
+    } else {
+      missing.push({ url, title: tab.title });
+    }
+  }
+  
+  const added = compareTabs.filter(tab => {
+    const count = remaining.get(tab.url) || 0;
+    if (count === 0) return false;
+    remaining.set(tab.url, count - 1);
+    return true;
+  });
+  
+  return { missing, added };
+}
+
+/**
+ * Restores a snapshot, fully or selectively
+ * Each selected window is reopened as a new window. Custom groups and YouTube
+ * queues of the snapshot are merged back in without overwriting existing ones.
+ * 
+ * @param {string} snapshotId - The ID of the snapshot
+ * @param {Array<{windowRecordId: string, tabIndices?: number[]}>} [selection] - Windows to restore,
+ *   optionally limited to some of their tabs; all windows when omitted
+ * @returns {Promise<number>} - Number of windows opened
+ */
+async function restoreSessionSnapshot(snapshotId, selection) {
+  const snapshots = await loadSessionSnapshots();
+  const snapshot = getSessionSnapshot(snapshots, snapshotId);
+  
+  /** @type {Array<{windowRecordId: string, tabIndices?: number[]}>} */
+  const windowSelection = selection || snapshot.windows.map(window => ({ windowRecordId: window.id }));
+  let restoredCount = 0;
+  
+  for (const { windowRecordId, tabIndices } of windowSelection) {
+    const windowData = snapshot.windows.find(window => window.id === windowRecordId);
+    if (!windowData) continue;
+    
+    const tabs = tabIndices
+      ? windowData.tabs.filter((tab, i) => tabIndices.includes(i))
+      : windowData.tabs;
+    if (tabs.length === 0) continue;
+    
+    const windowId = await restoreArchivedTabs(tabs, {
+      groups: windowData.groups,
+      bounds: windowData.bounds,
+      state: tabIndices ? undefined : windowData.state
+    });
+    if (windowId) {
+      restoredCount++;
+    }
+  }
+  
+  // Bring back custom groups that were deleted since the snapshot
+  const groupsRestored = await updateCustomGroups(customGroups => {
+    const missingGroups = snapshot.customGroups
+      .filter(group => !customGroups.some(g => g.id === group.id))
+      .map(group => {
+        const restoredGroup = { ...group };
+        delete restoredGroup.nativeGroupId;
+        delete restoredGroup.nativeSessionId;
+        return restoredGroup;
+      });
+    
+    customGroups.push(...missingGroups);
+    return missingGroups.length > 0;
+  });
+  if (groupsRestored) {
+    await syncTabGroups();
+  }
+  
+  // Queues are only kept under their base URL, tab IDs don't survive a restore
+  await updateStore('youtubeQueues', queues => {
+    for (const [key, queueData] of Object.entries(snapshot.youtubeQueues)) {
+      const baseUrl = key.startsWith('tab-') ? queueData.baseUrl : key;
+      if (baseUrl && !queues[baseUrl]) {
+        queues[baseUrl] = { videos: queueData.videos, timestamp: queueData.timestamp || snapshot.createdAt };
+      }
+    }
+    return queues;
+  });
+  
+  notifyTabsUpdated();
+  return restoredCount;
+}
+
+/**
+ * Schedules automatic snapshots according to the settings
+ * The alarm is only recreated when its period changes, so that saving
+ * unrelated settings does not postpone the next snapshot.
+ */
+async function scheduleSnapshotAlarm() {
+  const { snapshots: snapshotSettings } = await getSettings();
+  const alarm = await chrome.alarms.get(SNAPSHOT_ALARM);
+  
+  if (!snapshotSettings.enabled) {
+    if (alarm) await chrome.alarms.clear(SNAPSHOT_ALARM);
+    return;
+  }
+  
+  if (!alarm || alarm.periodInMinutes !== snapshotSettings.intervalMinutes) {
+    await chrome.alarms.create(SNAPSHOT_ALARM, { periodInMinutes: snapshotSettings.intervalMinutes });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SNAPSHOT_ALARM) {
+    takeSessionSnapshot('auto').catch(error => {
+      console.error('Error taking session snapshot:', error);
+    });
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.settings) {
+    scheduleSnapshotAlarm();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleSnapshotAlarm();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  scheduleSnapshotAlarm();
+});
+
+// Listen for messages related to session snapshots
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getSessionSnapshots') {
+    loadSessionSnapshots()
+      .then(snapshots => sendResponse({ success: true, snapshots: snapshots.map(summarizeSessionSnapshot) }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to load snapshots' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'getSessionSnapshot') {
+    loadSessionSnapshots()
+      .then(snapshots => sendResponse({ success: true, snapshot: getSessionSnapshot(snapshots, request.snapshotId) }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to load snapshot' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'takeSessionSnapshot') {
+    takeSessionSnapshot('manual')
+      .then(snapshot => sendResponse({ success: snapshot !== null, snapshot }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to take snapshot' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'deleteSessionSnapshot') {
+    deleteSessionSnapshot(request.snapshotId)
+      .then(success => sendResponse({ success }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to delete snapshot' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'diffSessionSnapshot') {
+    diffSessionSnapshot(request.snapshotId, request.compareToId)
+      .then(diff => sendResponse({ success: true, ...diff }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to compare snapshot' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'restoreSessionSnapshot') {
+    restoreSessionSnapshot(request.snapshotId, request.selection)
+      .then(windowCount => sendResponse({ success: windowCount > 0, windowCount }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to restore snapshot' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Archive Sync ----------
+// Opt-in sync of inactive windows and custom groups through
+// chrome.storage.sync. The synced data is gzip-compressed, base64-encoded
+// and split into chunks that fit the per-item quota. Each device merges the
+// remote copy with its own by record ID: the most recently updated version
+// wins, and deletions are carried as tombstones so they are not undone by
+// devices that still have the record.
+
+const ARCHIVE_SYNC_ALARM = 'archiveSync';
+
+/** Key of the description of the synced chunks in chrome.storage.sync */
+const ARCHIVE_SYNC_META_KEY = 'archiveSyncMeta';
+
+/** Prefix of the chunk keys in chrome.storage.sync */
+const ARCHIVE_SYNC_CHUNK_PREFIX = 'archiveSyncChunk';
+
+/** Characters per chunk; leaves room for the key and the JSON quotes in the per-item quota */
+const ARCHIVE_SYNC_CHUNK_SIZE = chrome.storage.sync.QUOTA_BYTES_PER_ITEM - 200;
+
+/** Tombstones are kept long enough for every device to see them */
+const ARCHIVE_SYNC_TOMBSTONE_MAX_AGE = 60 * 24 * 60 * 60 * 1000;
+
+/** Local changes are pushed after this delay, so bursts of edits become one write */
+const ARCHIVE_SYNC_DEBOUNCE_MS = 30 * 1000;
+
+/** @type {ReturnType<typeof setTimeout>|undefined} */
+let archiveSyncTimer;
+
+/** @type {Promise<TabManager.ArchiveSyncStatus>|null} */
+let archiveSyncInProgress = null;
+
+/**
+ * Compresses text with gzip
+ * 
+ * @param {string} text - Text to compress
+ * @returns {Promise<string>} - The compressed bytes in base64
+ */
+async function compressText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return bytesToBase64(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+/**
+ * Decompresses text compressed by compressText()
+ * 
+ * @param {string} base64 - The compressed bytes in base64
+ * @returns {Promise<string>} - The original text
+ */
+async function decompressText(base64) {
+  const stream = new Blob([base64ToBytes(base64)]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>} - Hex encoded SHA-256 of the text
+ */
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Returns when a record was last changed, for conflict resolution
+ * 
+ * @param {{updatedAt?: number, deactivatedAt?: number, createdAt?: number}} record - Inactive window or custom group
+ * @returns {number}
+ */
+function getSyncTimestamp(record) {
+  return record.updatedAt || record.deactivatedAt || record.createdAt || 0;
+}
+
+/**
+ * Removes the fields of a custom group that only make sense on this device
+ * Native group IDs and member tab IDs are only valid in the tracking session
+ * they were recorded in, so other devices could never use them.
+ * 
+ * @param {TabManager.CustomTabGroup} group - Custom group
+ * @returns {TabManager.CustomTabGroup} - Copy of the group without device-specific fields
+ */
+function toSyncedCustomGroup(group) {
+  const { nativeGroupId, nativeSessionId, ...syncedGroup } = group;
+  return {
+    ...syncedGroup,
+    members: group.members.map(({ tabId, sessionId, ...member }) => member)
+  };
+}
+
+/**
+ * Applies a remote version of a custom group, keeping this device's native
+ * group link and member bindings
+ * 
+ * @param {TabManager.CustomTabGroup} remote - Group as synced from another device
+ * @param {TabManager.CustomTabGroup} [local] - Group as stored on this device
+ * @returns {TabManager.CustomTabGroup}
+ */
+function applyRemoteCustomGroup(remote, local) {
+  if (!local) return remote;
+  
+  return {
+    ...remote,
+    nativeGroupId: local.nativeGroupId,
+    nativeSessionId: local.nativeSessionId,
+    members: remote.members.map(member => {
+      const localMember = local.members.find(m => m.url === member.url);
+      return localMember ? { ...member, tabId: localMember.tabId, sessionId: localMember.sessionId } : member;
+    })
+  };
+}
+
+/**
+ * Merges the local and remote versions of a list of records by ID
+ * 
+ * The most recently updated version of a record wins. A tombstone removes a
+ * record unless the record was changed after it was deleted, or it was
+ * re-added on this device since the last sync (e.g. by undoing a delete).
+ * 
+ * @template {{id: string, updatedAt?: number, deactivatedAt?: number, createdAt?: number}} T
+ * @param {T[]} localRecords - Records on this device
+ * @param {T[]} remoteRecords - Records in chrome.storage.sync
+ * @param {Object<string, number>} tombstones - Deletion times by record ID, updated in place
+ * @param {Set<string>} knownIds - IDs that were on this device after the last sync
+ * @param {(remote: T, local: T|undefined) => T} applyRemote - Turns a winning remote record into a local one
+ * @returns {T[]} - The merged records, local order first
+ */
+function mergeSyncedRecords(localRecords, remoteRecords, tombstones, knownIds, applyRemote) {
+  const remoteById = new Map(remoteRecords.map(record => [record.id, record]));
+  /** @type {T[]} */
+  const merged = [];
+  
+  for (const local of localRecords) {
+    const remote = remoteById.get(local.id);
+    remoteById.delete(local.id);
+    
+    if (tombstones[local.id] !== undefined) {
+      if (!knownIds.has(local.id)) {
+        // Re-added here since the last sync; that is newer than any deletion
+        delete tombstones[local.id];
+      } else if (tombstones[local.id] >= getSyncTimestamp(local)) {
+        continue;
+      }
+    }
+    
+    merged.push(remote && getSyncTimestamp(remote) > getSyncTimestamp(local) ? applyRemote(remote, local) : local);
+  }
+  
+  // Records that only exist remotely were added on another device
+  for (const remote of remoteById.values()) {
+    const deletedAt = tombstones[remote.id];
+    if (deletedAt === undefined || getSyncTimestamp(remote) > deletedAt) {
+      merged.push(applyRemote(remote, undefined));
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Reads the synced data from chrome.storage.sync
+ * 
+ * @returns {Promise<{payload: TabManager.ArchiveSyncPayload, payloadHash?: string}>} - The remote data; empty if nothing was synced yet
+ * @throws {Error} When the chunks are incomplete or damaged
+ */
+async function readArchiveSyncPayload() {
+  const { [ARCHIVE_SYNC_META_KEY]: meta } = await chrome.storage.sync.get([ARCHIVE_SYNC_META_KEY]);
+  if (!meta) {
+    return { payload: { windows: [], groups: [], tombstones: {} } };
+  }
+  
+  const chunkKeys = Array.from({ length: meta.chunkCount }, (_, i) => `${ARCHIVE_SYNC_CHUNK_PREFIX}${i}`);
+  const chunks = await chrome.storage.sync.get(chunkKeys);
+  if (chunkKeys.some(key => typeof chunks[key] !== 'string')) {
+    throw new Error('The synced data is incomplete; another device may still be writing it');
+  }
+  
+  const text = await decompressText(chunkKeys.map(key => chunks[key]).join(''));
+  if (await hashText(text) !== meta.payloadHash) {
+    throw new Error('The synced data is damaged');
+  }
+  
+  return { payload: JSON.parse(text), payloadHash: meta.payloadHash };
+}
+
+/**
+ * Writes the synced data to chrome.storage.sync and removes stale chunks
+ * 
+ * @param {string} text - Payload JSON
+ * @param {string} payloadHash - Hash of the payload JSON
+ * @returns {Promise<number>} - Number of chunks written
+ * @throws {Error} When the compressed data does not fit the sync quota
+ */
+async function writeArchiveSyncPayload(text, payloadHash) {
+  const compressed = await compressText(text);
+  const chunkCount = Math.ceil(compressed.length / ARCHIVE_SYNC_CHUNK_SIZE);
+  
+  /** @type {Object<string, any>} */
+  const items = {
+    [ARCHIVE_SYNC_META_KEY]: { chunkCount, payloadHash, updatedAt: Date.now() }
+  };
+  for (let i = 0; i < chunkCount; i++) {
+    items[`${ARCHIVE_SYNC_CHUNK_PREFIX}${i}`] = compressed.slice(i * ARCHIVE_SYNC_CHUNK_SIZE, (i + 1) * ARCHIVE_SYNC_CHUNK_SIZE);
+  }
+  
+  // Every item is stored as its key plus its JSON value
+  const bytes = Object.entries(items).reduce((total, [key, value]) => total + key.length + JSON.stringify(value).length, 0);
+  if (bytes > chrome.storage.sync.QUOTA_BYTES || chunkCount + 1 > chrome.storage.sync.MAX_ITEMS) {
+    throw new Error(`The archive is too large to sync (${Math.ceil(bytes / 1024)} KB compressed, ` +
+      `limit ${Math.floor(chrome.storage.sync.QUOTA_BYTES / 1024)} KB). Delete some inactive windows or turn sync off.`);
+  }
+  
+  const { [ARCHIVE_SYNC_META_KEY]: previousMeta } = await chrome.storage.sync.get([ARCHIVE_SYNC_META_KEY]);
+  await chrome.storage.sync.set(items);
+  
+  const staleKeys = [];
+  for (let i = chunkCount; i < (previousMeta ? previousMeta.chunkCount : 0); i++) {
+    staleKeys.push(`${ARCHIVE_SYNC_CHUNK_PREFIX}${i}`);
+  }
+  if (staleKeys.length > 0) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
+  
+  return chunkCount;
+}
+
+/**
+ * Loads the sync state of this device
+ * 
+ * @returns {Promise<TabManager.ArchiveSyncState>}
+ */
+async function loadArchiveSyncState() {
+  const { archiveSyncState } = await chrome.storage.local.get(['archiveSyncState']);
+  return archiveSyncState || { knownIds: [], tombstones: {} };
+}
+
+/**
+ * Merges this device's inactive windows and custom groups with the synced copy
+ * 
+ * Local deletions since the last sync become tombstones. The merged data is
+ * saved locally when it differs from the local data, and pushed when it
+ * differs from the remote data.
+ * 
+ * @returns {Promise<TabManager.ArchiveSyncStatus>} - The status after the sync
+ */
+async function performArchiveSync() {
+  const state = await loadArchiveSyncState();
+  const now = Date.now();
+  
+  try {
+    const { payload: remote, payloadHash: remoteHash } = await readArchiveSyncPayload();
+    const knownIds = new Set(state.knownIds);
+    
+    // Tombstones from both sides, plus what was deleted here since the last sync
+    /** @type {Object<string, number>} */
+    const tombstones = { ...remote.tombstones };
+    for (const [id, deletedAt] of Object.entries(state.tombstones)) {
+      tombstones[id] = Math.max(tombstones[id] || 0, deletedAt);
+    }
+    
+    /**
+     * Adds tombstones for records known at the last sync that are gone here
+     * @param {Set<string>} localIds - IDs of all windows and groups on this device
+     */
+    const addLocalDeletions = (localIds) => {
+      for (const id of knownIds) {
+        if (!localIds.has(id) && tombstones[id] === undefined) {
+          tombstones[id] = now;
+        }
+      }
+    };
+    
+    // The merges run inside the updates, so records archived or edited while
+    // the remote copy was being read are merged instead of overwritten
+    const localGroupIds = (await readStore('customGroups')).map(group => group.id);
+    let windowsChanged = false;
+    const windows = await updateInactiveWindows(localWindows => {
+      addLocalDeletions(new Set([...localWindows.map(record => record.id), ...localGroupIds]));
+      const merged = mergeSyncedRecords(localWindows, remote.windows, tombstones, knownIds, remoteRecord => remoteRecord);
+      windowsChanged = JSON.stringify(merged) !== JSON.stringify(localWindows);
+      return merged;
+    });
+    if (windowsChanged) {
+      await flushStore();
+      notifyTabsUpdated();
+    }
+    
+    /** @type {TabManager.CustomTabGroup[]} */
+    let groups = [];
+    /** @type {TabManager.CustomTabGroup[]} */
+    let removedGroups = [];
+    const groupsChanged = await updateCustomGroups(localGroups => {
+      addLocalDeletions(new Set([...windows.map(record => record.id), ...localGroups.map(group => group.id)]));
+      groups = mergeSyncedRecords(localGroups, remote.groups, tombstones, knownIds, applyRemoteCustomGroup);
+      if (JSON.stringify(groups) === JSON.stringify(localGroups)) {
+        return false;
+      }
+      
+      const mergedIds = new Set(groups.map(group => group.id));
+      removedGroups = localGroups.filter(group => !mergedIds.has(group.id));
+      localGroups.splice(0, localGroups.length, ...groups);
+      return true;
+    });
+    if (groupsChanged) {
+      await syncTabGroups(removedGroups);
+    }
+    
+    for (const [id, deletedAt] of Object.entries(tombstones)) {
+      if (now - deletedAt > ARCHIVE_SYNC_TOMBSTONE_MAX_AGE) {
+        delete tombstones[id];
+      }
+    }
+    
+    // Push what changed for the other devices
+    /** @type {TabManager.ArchiveSyncPayload} */
+    const payload = { windows, groups: groups.map(toSyncedCustomGroup), tombstones };
+    const text = JSON.stringify(payload);
+    const payloadHash = await hashText(text);
+    if (payloadHash !== remoteHash) {
+      await writeArchiveSyncPayload(text, payloadHash);
+    }
+    
+    /** @type {TabManager.ArchiveSyncState} */
+    const newState = {
+      knownIds: [...windows.map(record => record.id), ...groups.map(group => group.id)],
+      tombstones,
+      lastSyncAt: now
+    };
+    await chrome.storage.local.set({ archiveSyncState: newState });
+  } catch (error) {
+    console.error('Error syncing archive:', error);
+    await chrome.storage.local.set({
+      archiveSyncState: { ...state, lastError: error instanceof Error ? error.message : String(error), lastErrorAt: now }
+    });
+  }
+  
+  return getArchiveSyncStatus();
+}
+
+/**
+ * Syncs now, unless sync is off; concurrent calls share one sync
+ * 
+ * @returns {Promise<TabManager.ArchiveSyncStatus>}
+ */
+async function syncArchive() {
+  const settings = await getSettings();
+  if (!settings.archiveSync.enabled) {
+    return getArchiveSyncStatus();
+  }
+  
+  if (!archiveSyncInProgress) {
+    archiveSyncInProgress = performArchiveSync().finally(() => {
+      archiveSyncInProgress = null;
+    });
+  }
+  return archiveSyncInProgress;
+}
+
+/**
+ * Syncs after a delay, restarting the delay on every call
+ */
+function scheduleArchiveSync() {
+  clearTimeout(archiveSyncTimer);
+  archiveSyncTimer = setTimeout(() => {
+    syncArchive();
+  }, ARCHIVE_SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Describes the sync state and the sync quota usage for the tab manager
+ * 
+ * @returns {Promise<TabManager.ArchiveSyncStatus>}
+ */
+async function getArchiveSyncStatus() {
+  const settings = await getSettings();
+  const state = await loadArchiveSyncState();
+  const bytesInUse = await chrome.storage.sync.getBytesInUse(null);
+  
+  return {
+    enabled: settings.archiveSync.enabled,
+    lastSyncAt: state.lastSyncAt,
+    // An error is only current if no sync succeeded after it
+    lastError: state.lastError && (state.lastErrorAt || 0) > (state.lastSyncAt || 0) ? state.lastError : undefined,
+    bytesInUse,
+    quotaBytes: chrome.storage.sync.QUOTA_BYTES
+  };
+}
+
+/**
+ * Creates or clears the periodic sync alarm to match the settings
+ * 
+ * @returns {Promise<void>}
+ */
+async function scheduleArchiveSyncAlarm() {
+  const settings = await getSettings();
+  
+  if (!settings.archiveSync.enabled) {
+    await chrome.alarms.clear(ARCHIVE_SYNC_ALARM);
+    return;
+  }
+  
+  const existing = await chrome.alarms.get(ARCHIVE_SYNC_ALARM);
+  if (!existing) {
+    chrome.alarms.create(ARCHIVE_SYNC_ALARM, { periodInMinutes: 15 });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ARCHIVE_SYNC_ALARM) {
+    syncArchive();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.settings) {
+    const oldValue = changes.settings.oldValue || {};
+    const newValue = changes.settings.newValue || {};
+    const wasEnabled = Boolean(oldValue.archiveSync && oldValue.archiveSync.enabled);
+    const isEnabled = Boolean(newValue.archiveSync && newValue.archiveSync.enabled);
+    
+    scheduleArchiveSyncAlarm();
+    if (isEnabled && !wasEnabled) {
+      syncArchive();
+    }
+  }
+  
+  // Local edits are pushed after a quiet period
+  if (areaName === 'local' && (changes.inactiveWindows || changes.customGroups) && !archiveSyncInProgress) {
+    scheduleArchiveSync();
+  }
+  
+  // Another device pushed its changes
+  if (areaName === 'sync' && changes[ARCHIVE_SYNC_META_KEY] && !archiveSyncInProgress) {
+    syncArchive();
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  scheduleArchiveSyncAlarm();
+  syncArchive();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  scheduleArchiveSyncAlarm();
+});
+
+// Listen for messages related to archive sync
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getArchiveSyncStatus') {
+    getArchiveSyncStatus()
+      .then(status => sendResponse({ success: true, status }))
+      .catch(error => sendResponse({ 
         success: false, 
-        error: error.message || 'Failed to export inactive windows' 
+        error: error.message || 'Failed to load sync status' 
       }));
     return true;
   }
   
-  if (request.action === 'importInactiveWindows') {
-    importInactiveWindows(request.data)
-      .then(result => sendResponse(result))
+  if (request.action === 'syncArchiveNow') {
+    syncArchive()
+      .then(status => sendResponse({ success: !status.lastError, status, error: status.lastError }))
       .catch(error => sendResponse({ 
         success: false, 
-        message: error.message || 'Failed to import inactive windows',
-        count: 0
+        error: error.message || 'Failed to sync' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Storage Maintenance ----------
+// Removes stored data that no longer refers to anything: relationships and
+// queues of tabs that closed while the service worker was not running,
+// custom group members still bound to tabs that are gone, and saved queues
+// that are too old to be restored. Runs periodically and from the tab
+// manager, which also shows how much storage each key uses.
+
+const STORAGE_MAINTENANCE_ALARM = 'storageMaintenance';
+
+/** Queues saved under a base URL are dropped after this long */
+const YOUTUBE_QUEUE_ARCHIVE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/** Queues saved under a base URL kept at most, most recent first */
+const YOUTUBE_QUEUE_ARCHIVE_MAX_COUNT = 200;
+
+/** Parked data of a previous session that was never recovered is dropped after this long */
+const PREVIOUS_SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Removes the relationships of tabs that are no longer open
+ * Relationships of open tabs whose parent closed are kept, so that undoing
+ * the close can re-attach them.
+ * 
+ * @returns {Promise<number>} - Number of removed relationships
+ */
+async function pruneTabRelationships() {
+  let removed = 0;
+  
+  await updateStore('tabRelationships', async relationships => {
+    // Tabs are queried inside the update so relationships of tabs opened meanwhile are kept
+    const openTabIds = new Set((await chrome.tabs.query({})).map(tab => String(tab.id)));
+    
+    for (const tabId of Object.keys(relationships)) {
+      if (!openTabIds.has(tabId)) {
+        delete relationships[tabId];
+        removed++;
+      }
+    }
+    return relationships;
+  });
+  
+  return removed;
+}
+
+/**
+ * Removes queues of closed tabs and caps the queues saved under base URLs
+ * Queues of closed tabs are first saved under their base URL, as onRemoved
+ * does, so they can still be restored.
+ * 
+ * @param {number} now - Current time
+ * @returns {Promise<number>} - Number of removed queue entries
+ */
+async function pruneYouTubeQueues(now) {
+  let removed = 0;
+  
+  await updateStore('youtubeQueues', async queues => {
+    const openTabIds = new Set((await chrome.tabs.query({})).map(tab => String(tab.id)));
+    
+    for (const [key, queueData] of Object.entries(queues)) {
+      if (!key.startsWith('tab-') || openTabIds.has(key.slice('tab-'.length))) continue;
+      
+      if (queueData.baseUrl && !queues[queueData.baseUrl]) {
+        queues[queueData.baseUrl] = { videos: queueData.videos, timestamp: queueData.timestamp || now };
+      }
+      delete queues[key];
+      removed++;
+    }
+    
+    Object.entries(queues)
+      .filter(([key]) => !key.startsWith('tab-'))
+      .sort(([, a], [, b]) => (b.timestamp || 0) - (a.timestamp || 0))
+      .forEach(([key, queueData], position) => {
+        if (position >= YOUTUBE_QUEUE_ARCHIVE_MAX_COUNT || now - (queueData.timestamp || 0) > YOUTUBE_QUEUE_ARCHIVE_MAX_AGE) {
+          delete queues[key];
+          removed++;
+        }
+      });
+    
+    return queues;
+  });
+  
+  return removed;
+}
+
+/**
+ * Unbinds custom group members from tabs that are closed or belong to an
+ * earlier tracking session
+ * The members themselves are kept and are matched by URL again.
+ * 
+ * @returns {Promise<number>} - Number of unbound members
+ */
+async function pruneGroupMemberBindings() {
+  let unbound = 0;
+  
+  await updateCustomGroups((customGroups, sessionId, tabs) => {
+    const openTabIds = new Set(tabs.map(tab => tab.id));
+    
+    for (const group of customGroups) {
+      for (const member of group.members || []) {
+        if (member.tabId === undefined) continue;
+        if (member.sessionId === sessionId && openTabIds.has(member.tabId)) continue;
+        
+        delete member.tabId;
+        delete member.sessionId;
+        unbound++;
+      }
+    }
+    
+    return unbound > 0;
+  });
+  return unbound;
+}
+
+/**
+ * Removes data parked for tab tree recovery that was never recovered
+ * 
+ * @param {number} now - Current time
+ * @returns {Promise<boolean>} - Whether the data was removed
+ */
+async function prunePreviousSession(now) {
+  const { previousSession } = await chrome.storage.local.get(['previousSession']);
+  
+  if (!previousSession || now - (previousSession.savedAt || 0) <= PREVIOUS_SESSION_MAX_AGE) {
+    return false;
+  }
+  
+  await chrome.storage.local.remove('previousSession');
+  return true;
+}
+
+/**
+ * Removes orphaned and expired entries from storage
+ * 
+ * @returns {Promise<TabManager.StorageCompactionResult>} - What was removed
+ */
+async function compactStorage() {
+  // Relationships of a previous session must be parked before pruning
+  await getTrackingSessionId();
+  const now = Date.now();
+  
+  /** @type {TabManager.StorageCompactionResult} */
+  const result = {
+    relationships: await pruneTabRelationships(),
+    youtubeQueues: await pruneYouTubeQueues(now),
+    groupMembers: await pruneGroupMemberBindings(),
+    previousSession: await prunePreviousSession(now)
+  };
+  
+  await flushStore();
+  await chrome.storage.local.set({ storageMaintenance: { lastRunAt: now, lastResult: result } });
+  
+  console.log('Storage compacted:', result);
+  return result;
+}
+
+/**
+ * Reports how much storage each key uses
+ * 
+ * @returns {Promise<TabManager.StorageReport>}
+ */
+async function getStorageReport() {
+  // Pending changes would make the sizes out of date
+  await flushStore();
+  
+  const items = await chrome.storage.local.get(null);
+  const keys = await Promise.all(Object.keys(items).map(async key => ({
+    key,
+    bytes: await chrome.storage.local.getBytesInUse(key)
+  })));
+  keys.sort((a, b) => b.bytes - a.bytes);
+  
+  const maintenance = items.storageMaintenance || {};
+  return {
+    keys,
+    totalBytes: await chrome.storage.local.getBytesInUse(null),
+    lastRunAt: maintenance.lastRunAt,
+    lastResult: maintenance.lastResult
+  };
+}
+
+/**
+ * Makes sure the periodic storage maintenance is scheduled
+ */
+async function ensureStorageMaintenanceAlarm() {
+  const alarm = await chrome.alarms.get(STORAGE_MAINTENANCE_ALARM);
+  if (!alarm) {
+    await chrome.alarms.create(STORAGE_MAINTENANCE_ALARM, { periodInMinutes: 60 });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === STORAGE_MAINTENANCE_ALARM) {
+    compactStorage().catch(error => {
+      console.error('Error compacting storage:', error);
+    });
+  }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  ensureStorageMaintenanceAlarm();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  ensureStorageMaintenanceAlarm();
+});
+
+// Listen for messages related to storage maintenance
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getStorageReport') {
+    getStorageReport()
+      .then(report => sendResponse({ success: true, report }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to load storage usage' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'compactStorage') {
+    compactStorage()
+      .then(async result => {
+        notifyTabsUpdated();
+        sendResponse({ success: true, result, report: await getStorageReport() });
+      })
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to compact storage' 
+      }));
+    return true;
+  }
+  
+  return false;
+});
+
+// ---------- Tab Guardrails ----------
+
+// Soft and hard limits on the number of tabs in each window and in total.
+// Going over a soft limit turns the badge amber and shows a warning banner in
+// the tab manager; going over a hard limit turns the badge red. The banner
+// offers remedies: discarding the least recently used tabs, archiving the
+// window that has gone unused the longest, and closing duplicate tabs.
+// Discarded tabs use no memory, so by default they do not count.
+
+/** Badge background colors by guardrail level */
+const GUARDRAIL_BADGE_COLORS = {
+  ok: '#4285F4',
+  soft: '#F29900',
+  hard: '#D93025'
+};
+
+/**
+ * Returns the level of a count against a soft and a hard limit
+ * 
+ * @param {number} count - Number of tabs
+ * @param {number} softLimit - Limit above which a warning is shown
+ * @param {number} hardLimit - Limit above which the warning is urgent
+ * @returns {TabManager.GuardrailLevel}
+ */
+function getGuardrailLevel(count, softLimit, hardLimit) {
+  if (count > hardLimit) return 'hard';
+  if (count > softLimit) return 'soft';
+  return 'ok';
+}
+
+/**
+ * Returns the tabs that count towards the limits
+ * The tab manager's own page is never counted.
+ * 
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {TabManager.GuardrailSettings} guardrails - Limit settings
+ * @returns {chrome.tabs.Tab[]}
+ */
+function getCountedTabs(tabs, guardrails) {
+  const tabManagerUrl = chrome.runtime.getURL('tab-manager.html');
+  return tabs.filter(tab => tab.url !== tabManagerUrl && (guardrails.countDiscarded || !tab.discarded));
+}
+
+/**
+ * Compares the tab counts with the limits
+ * 
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {TabManager.GuardrailSettings} guardrails - Limit settings
+ * @returns {{level: TabManager.GuardrailLevel, totalTabs: number, totalLevel: TabManager.GuardrailLevel, windows: TabManager.GuardrailWindow[]}} - The
+ *   worst level overall, the counted total and its level, and the windows over a limit
+ */
+function evaluateGuardrails(tabs, guardrails) {
+  const countedTabs = getCountedTabs(tabs, guardrails);
+  
+  if (!guardrails.enabled) {
+    return { level: 'ok', totalTabs: countedTabs.length, totalLevel: 'ok', windows: [] };
+  }
+  
+  /** @type {Map<number, number>} */
+  const windowCounts = new Map();
+  countedTabs.forEach(tab => windowCounts.set(tab.windowId, (windowCounts.get(tab.windowId) || 0) + 1));
+  
+  /** @type {TabManager.GuardrailWindow[]} */
+  const windows = [];
+  windowCounts.forEach((tabCount, windowId) => {
+    const level = getGuardrailLevel(tabCount, guardrails.softTabsPerWindow, guardrails.hardTabsPerWindow);
+    if (level !== 'ok') {
+      windows.push({ windowId, tabCount, level });
+    }
+  });
+  windows.sort((a, b) => b.tabCount - a.tabCount);
+  
+  const totalLevel = getGuardrailLevel(countedTabs.length, guardrails.softTotalTabs, guardrails.hardTotalTabs);
+  const levels = [totalLevel, ...windows.map(window => window.level)];
+  const level = levels.includes('hard') ? 'hard' : levels.includes('soft') ? 'soft' : 'ok';
+  
+  return { level, totalTabs: countedTabs.length, totalLevel, windows };
+}
+
+/**
+ * Picks the least recently used tabs whose discarding brings the counts back
+ * under the soft limits
+ * Windows over their limit give up their own tabs first. Active, pinned and
+ * audible tabs are never picked. Discarding only lowers the counts when
+ * discarded tabs do not count, so nothing is picked otherwise.
+ * 
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {TabManager.GuardrailSettings} guardrails - Limit settings
+ * @param {Map<number, number>} lastAccessTimes - Last access time by tab ID
+ * @returns {chrome.tabs.Tab[]} - Tabs to discard
+ */
+function selectTabsToDiscard(tabs, guardrails, lastAccessTimes) {
+  if (!guardrails.enabled || guardrails.countDiscarded) return [];
+  
+  const countedTabs = getCountedTabs(tabs, guardrails);
+  const candidates = countedTabs
+    .filter(tab => tab.id !== undefined && !tab.active && !tab.pinned && !tab.audible)
+    .sort((a, b) => (lastAccessTimes.get(/** @type {number} */ (a.id)) || 0) - (lastAccessTimes.get(/** @type {number} */ (b.id)) || 0));
+  
+  /** @type {Set<chrome.tabs.Tab>} */
+  const selected = new Set();
+  
+  const windowIds = new Set(countedTabs.map(tab => tab.windowId));
+  windowIds.forEach(windowId => {
+    const excess = countedTabs.filter(tab => tab.windowId === windowId).length - guardrails.softTabsPerWindow;
+    candidates
+      .filter(tab => tab.windowId === windowId)
+      .slice(0, Math.max(0, excess))
+      .forEach(tab => selected.add(tab));
+  });
+  
+  const totalExcess = countedTabs.length - selected.size - guardrails.softTotalTabs;
+  candidates
+    .filter(tab => !selected.has(tab))
+    .slice(0, Math.max(0, totalExcess))
+    .forEach(tab => selected.add(tab));
+  
+  return [...selected];
+}
+
+/**
+ * Finds tabs that show the same page as another open tab
+ * Of each set of duplicates, the active tab is kept, otherwise a pinned one,
+ * otherwise the most recently used one. URLs are compared without their
+ * fragment.
+ * 
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {Map<number, number>} lastAccessTimes - Last access time by tab ID
+ * @returns {chrome.tabs.Tab[]} - The duplicates to close
+ */
+function findDuplicateTabs(tabs, lastAccessTimes) {
+  /** @type {Map<string, chrome.tabs.Tab[]>} */
+  const tabsByUrl = new Map();
+  
+  tabs.forEach(tab => {
+    if (!tab.url || tab.id === undefined || !/^(https?|file):/.test(tab.url)) return;
+    const url = tab.url.split('#')[0];
+    tabsByUrl.set(url, [...(tabsByUrl.get(url) || []), tab]);
+  });
+  
+  /** @type {chrome.tabs.Tab[]} */
+  const duplicates = [];
+  tabsByUrl.forEach(sameUrlTabs => {
+    if (sameUrlTabs.length < 2) return;
+    
+    const [, ...others] = [...sameUrlTabs].sort((a, b) =>
+      Number(b.active) - Number(a.active) ||
+      Number(b.pinned) - Number(a.pinned) ||
+      (lastAccessTimes.get(/** @type {number} */ (b.id)) || 0) - (lastAccessTimes.get(/** @type {number} */ (a.id)) || 0));
+    duplicates.push(...others);
+  });
+  return duplicates;
+}
+
+/**
+ * Finds the window that has gone unused the longest
+ * A window was last used when any of its tabs was. The only open window is
+ * never picked, since archiving it would close the browser.
+ * 
+ * @param {chrome.tabs.Tab[]} tabs - All open tabs
+ * @param {Map<number, number>} lastAccessTimes - Last access time by tab ID
+ * @returns {Promise<number|undefined>} - ID of the window, if there is one to archive
+ */
+async function findOldestWindow(tabs, lastAccessTimes) {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  if (windows.length < 2) return undefined;
+  
+  /** @type {number|undefined} */
+  let oldestWindowId;
+  let oldestUse = Infinity;
+  
+  for (const window of windows) {
+    if (window.id === undefined) continue;
+    const lastUse = Math.max(0, ...tabs
+      .filter(tab => tab.windowId === window.id && tab.id !== undefined)
+      .map(tab => lastAccessTimes.get(/** @type {number} */ (tab.id)) || 0));
+    
+    // Window IDs grow, so a lower ID breaks ties as the older window
+    if (lastUse < oldestUse || (lastUse === oldestUse && oldestWindowId !== undefined && window.id < oldestWindowId)) {
+      oldestWindowId = window.id;
+      oldestUse = lastUse;
+    }
+  }
+  return oldestWindowId;
+}
+
+/**
+ * Returns the state of the limits along with what each remedy would do
+ * 
+ * @returns {Promise<TabManager.GuardrailStatus>}
+ */
+async function getGuardrailStatus() {
+  const [tabs, { guardrails }] = await Promise.all([chrome.tabs.query({}), getSettings()]);
+  const evaluation = evaluateGuardrails(tabs, guardrails);
+  
+  if (evaluation.level === 'ok') {
+    return { ...evaluation, limits: guardrails, discardableCount: 0, duplicateCount: 0 };
+  }
+  
+  const lastAccessTimes = await getLastAccessTimes(tabs);
+  return {
+    ...evaluation,
+    limits: guardrails,
+    discardableCount: selectTabsToDiscard(tabs, guardrails, lastAccessTimes).length,
+    duplicateCount: findDuplicateTabs(tabs, lastAccessTimes).length,
+    archivableWindowId: await findOldestWindow(tabs, lastAccessTimes)
+  };
+}
+
+/**
+ * Applies one of the guardrail remedies
+ * 
+ * @param {'discard'|'archive'|'duplicates'} remedy - What to do
+ * @returns {Promise<{description: string, undoEntry?: {id: string, description: string}|null}>} - What
+ *   was done, and the undo journal entry of archived windows and closed tabs
+ */
+async function applyGuardrailRemedy(remedy) {
+  const [tabs, { guardrails }] = await Promise.all([chrome.tabs.query({}), getSettings()]);
+  const lastAccessTimes = await getLastAccessTimes(tabs);
+  
+  switch (remedy) {
+    case 'discard': {
+      const results = await Promise.all(selectTabsToDiscard(tabs, guardrails, lastAccessTimes)
+        .map(tab => chrome.tabs.discard(/** @type {number} */ (tab.id)).catch(() => null)));
+      const discarded = results.filter(Boolean).length;
+      notifyTabsUpdated();
+      return { description: `Discarded ${discarded} tab${discarded !== 1 ? 's' : ''}` };
+    }
+    
+    case 'archive': {
+      const windowId = await findOldestWindow(tabs, lastAccessTimes);
+      if (windowId === undefined) {
+        throw new Error('There is no other window to archive');
+      }
+      const windowRecordId = await deactivateWindow(windowId);
+      if (!windowRecordId) {
+        throw new Error('Failed to archive the window');
+      }
+      const undoEntry = await recordUndoEntry('deactivateWindow', 'Archived the oldest window', { windowRecordId });
+      return { description: undoEntry.description, undoEntry };
+    }
+    
+    case 'duplicates': {
+      const duplicates = findDuplicateTabs(tabs, lastAccessTimes);
+      const undoEntry = await closeTabsWithUndo(duplicates.map(tab => /** @type {number} */ (tab.id)));
+      return { description: undoEntry ? undoEntry.description : 'No duplicate tabs to close', undoEntry };
+    }
+    
+    default:
+      throw new Error(`Unknown remedy: ${remedy}`);
+  }
+}
+
+// Discarding tabs and moving them between windows change the counts without
+// a tabsUpdated notification
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.discarded !== undefined) {
+    updateBadgeWithTabCount();
+  }
+});
+chrome.tabs.onAttached.addListener(() => updateBadgeWithTabCount());
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.settings) {
+    updateBadgeWithTabCount();
+  }
+});
+
+// Listen for messages related to the tab limits
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getGuardrailStatus') {
+    getGuardrailStatus()
+      .then(status => sendResponse({ success: true, status }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to check tab limits' 
+      }));
+    return true;
+  }
+  
+  if (request.action === 'applyGuardrailRemedy') {
+    applyGuardrailRemedy(request.remedy)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ 
+        success: false, 
+        error: error.message || 'Failed to apply remedy' 
       }));
     return true;
   }
+  
+  return false;
 });
@@ -0,0 +1,136 @@
+// @ts-check
+/// <reference path="./types/extension.d.ts" />
+/**
+ * @fileoverview Renderers that turn a selection of tabs into shareable text
+ *
+ * Supported formats:
+ * - Markdown, with a heading per window, domain or group and a link per tab
+ * - CSV with the columns title, url, domain, window, parent and lastAccessed
+ *
+ * The renderers only see plain rows, so the same code exports live tabs,
+ * custom groups, tree subtrees and archived windows.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} ExportRow
+ * @property {string} title - Title of the tab
+ * @property {string} url - URL of the tab
+ * @property {string} domain - Domain of the tab
+ * @property {string} window - Name of the window the tab is (or was) in
+ * @property {string} [group] - Name of the custom or native group of the tab
+ * @property {string} [parent] - Title of the tab that opened this tab
+ * @property {number} [lastAccessed] - When the tab was last active
+ */
+
+/** Column order of the CSV export */
+const CSV_COLUMNS = ['title', 'url', 'domain', 'window', 'parent', 'lastAccessed'];
+
+/** Heading used for rows that have no value for the Markdown grouping */
+const UNGROUPED_HEADING = 'Ungrouped';
+
+/**
+ * Escapes Markdown metacharacters and joins lines, so page titles show as
+ * plain text in link texts and headings
+ *
+ * @param {string} text - Link text or heading
+ * @returns {string} Text that is safe inside [...] and after ##
+ *
+ * @example
+ * // Returns "\\[WIP\\] Fix \\*all\\* the things"
+ * escapeMarkdownText('[WIP] Fix *all* the\nthings')
+ */
+function escapeMarkdownText(text) {
+  return text.replace(/\s+/g, ' ').trim().replace(/([\\`*_[\]<>#!|~])/g, '\\$1');
+}
+
+/**
+ * Writes a URL as a Markdown link destination in angle brackets
+ * Inside <...> only angle brackets and whitespace would end it early, so
+ * those are percent-encoded; parentheses can stay.
+ *
+ * @param {string} url - Link destination
+ * @returns {string} The destination, including the angle brackets
+ */
+function escapeMarkdownUrl(url) {
+  return `<${url.replace(/[<>\s]/g, char => encodeURIComponent(char))}>`;
+}
+
+/**
+ * Renders rows as a Markdown document with one section per window, domain or group
+ *
+ * Sections keep the order in which they first appear in the rows; tabs keep
+ * their order within a section.
+ *
+ * @param {ExportRow[]} rows - Tabs to export
+ * @param {'window'|'domain'|'group'} groupBy - What the section headings are
+ * @param {string} [title] - Optional document title
+ * @returns {string} The Markdown document
+ *
+ * @example
+ * // "## example.com\n\n- [Example](<https://example.com/>)\n"
+ * renderMarkdown([{ title: 'Example', url: 'https://example.com/', domain: 'example.com', window: 'Window 1' }], 'domain')
+ */
+function renderMarkdown(rows, groupBy, title) {
+  /** @type {Map<string, ExportRow[]>} */
+  const sections = new Map();
+
+  rows.forEach(row => {
+    const heading = row[groupBy] || UNGROUPED_HEADING;
+    if (!sections.has(heading)) {
+      sections.set(heading, []);
+    }
+    sections.get(heading)?.push(row);
+  });
+
+  const lines = title ? [`# ${escapeMarkdownText(title)}`, ''] : [];
+
+  sections.forEach((sectionRows, heading) => {
+    lines.push(`## ${escapeMarkdownText(heading)}`, '');
+    sectionRows.forEach(row => {
+      lines.push(`- [${escapeMarkdownText(row.title || row.url)}](${escapeMarkdownUrl(row.url)})`);
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180)
+ *
+ * Values starting with =, +, - or @ are prefixed with an apostrophe so that
+ * spreadsheet applications don't evaluate a page title as a formula.
+ *
+ * @param {string} value - Field value
+ * @returns {string} The field as it appears in the CSV
+ */
+function formatCsvField(value) {
+  const safeValue = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safeValue) ? `"${safeValue.replace(/"/g, '""')}"` : safeValue;
+}
+
+/**
+ * Renders rows as CSV with a header line
+ *
+ * @param {ExportRow[]} rows - Tabs to export
+ * @returns {string} The CSV document, with CRLF line endings
+ */
+function renderCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  rows.forEach(row => {
+    lines.push([
+      row.title,
+      row.url,
+      row.domain,
+      row.window,
+      row.parent || '',
+      row.lastAccessed ? new Date(row.lastAccessed).toISOString() : ''
+    ].map(formatCsvField).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,688 @@
+// @ts-check
+/// <reference path="./types/extension.d.ts" />
+/**
+ * @fileoverview Importers that turn exports of other tab managers into inactive window records
+ *
+ * Supported formats:
+ * - Tab Tracker's own JSON export ({ inactiveWindows: [...] })
+ * - Session Buddy JSON backups (sessions with windows, or collections with folders)
+ * - OneTab's "url | title" text export, with blank lines between tab groups
+ * - Netscape bookmarks HTML, as exported by every browser
+ * - Plain lists of URLs, one per line
+ *
+ * Every imported record is checked against the inactive window schema:
+ * unknown fields are dropped, dangerous URLs are removed and oversized data
+ * is rejected or truncated, with an error reported per record. Tab Tracker
+ * exports of older versions are upgraded by the migrations in
+ * EXPORT_MIGRATIONS before they are checked.
+ *
+ * The parsers only use string functions, so they run in the background
+ * service worker where DOMParser is not available.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} ImportedTab
+ * @property {string} url - URL of the tab
+ * @property {string} [title] - Title of the tab
+ * @property {string} [favIconUrl] - Favicon of the tab
+ * @property {boolean} [pinned] - Whether the tab was pinned
+ */
+
+/**
+ * @typedef {Object} ImportedWindow
+ * @property {string} name - Display name of the window
+ * @property {ImportedTab[]} tabs - Tabs of the window
+ * @property {number} [createdAt] - When the window was saved by the other tool
+ * @property {string[]} [tags] - Tags of the window
+ * @property {string} [notes] - Notes of the window
+ */
+
+/**
+ * @typedef {Object} ParsedImport
+ * @property {'tabtracker'|'sessionbuddy'|'onetab'|'bookmarks'|'urls'} format - Detected format
+ * @property {string} formatLabel - Human readable name of the format
+ * @property {TabManager.InactiveWindow[]} windows - Inactive window records to import
+ * @property {string[]} errors - Problems found in individual records; affected records or tabs were fixed or skipped
+ */
+
+/**
+ * @typedef {Object} ExportMigration
+ * @property {string} from - Version the migration upgrades from
+ * @property {string} to - Version the migration upgrades to
+ * @property {(data: any) => void} migrate - Upgrades the export data in place
+ */
+
+/** Matches a line that starts with an absolute URL */
+const URL_LINE_PATTERN = /^[a-z][a-z0-9+.-]*:\S+/i;
+
+/** Human readable names of the import formats */
+const IMPORT_FORMAT_LABELS = {
+  tabtracker: 'Tab Tracker export',
+  sessionbuddy: 'Session Buddy backup',
+  onetab: 'OneTab export',
+  bookmarks: 'bookmarks file',
+  urls: 'URL list'
+};
+
+/** Version of the format written by Tab Tracker's JSON export */
+const EXPORT_FORMAT_VERSION = '2.0';
+
+/**
+ * Upgrades of Tab Tracker's JSON export between format versions
+ *
+ * When the export format changes, bump EXPORT_FORMAT_VERSION and add a
+ * migration from the previous version, so that old backups keep importing.
+ *
+ * @type {ExportMigration[]}
+ */
+const EXPORT_MIGRATIONS = [
+  {
+    // 1.0 records were keyed by their numeric window ID and had no UUID, notes or tags
+    from: '1.0',
+    to: '2.0',
+    migrate: data => {
+      for (const record of data.inactiveWindows) {
+        if (!record || typeof record !== 'object') continue;
+        if (typeof record.id === 'number') {
+          record.originalWindowId = record.id;
+          delete record.id;
+        }
+        if (typeof record.tags === 'string') {
+          record.tags = parseTags(record.tags);
+        }
+      }
+    }
+  }
+];
+
+/** Limits that keep a malformed or hostile import from filling up storage */
+const IMPORT_LIMITS = {
+  maxDataLength: 10 * 1024 * 1024,      // Characters of import data
+  maxWindows: 500,
+  maxTabsPerWindow: 1000,
+  maxUrlLength: 8192,
+  maxTitleLength: 1024,                 // Window names and tab titles
+  maxNotesLength: 10000,
+  maxTags: 50
+};
+
+/** URL schemes of tabs that can be restored safely; browser-internal pages are never opened from an import */
+const ALLOWED_TAB_URL_SCHEMES = ['http:', 'https:', 'ftp:', 'file:'];
+
+/** Values of the enumerations in inactive window records */
+const WINDOW_STATES = ['normal', 'minimized', 'maximized', 'fullscreen', 'locked-fullscreen'];
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Decodes the HTML entities used in bookmarks files
+ *
+ * @param {string} text - Text with HTML entities
+ * @returns {string} Decoded text
+ *
+ * @example
+ * // Returns 'Tom & Jerry "1940"'
+ * decodeHTMLEntities('Tom &amp; Jerry &quot;1940&quot;')
+ */
+function decodeHTMLEntities(text) {
+  /** @type {Object<string, string>} */
+  const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : entity;
+    }
+    return namedEntities[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Creates an inactive window record for imported tabs
+ *
+ * @param {ImportedWindow} importedWindow - The window as read from the import
+ * @param {string} importedFrom - Label of the source format
+ * @returns {TabManager.InactiveWindow}
+ */
+function createImportedWindowRecord(importedWindow, importedFrom) {
+  return {
+    id: crypto.randomUUID(),
+    name: importedWindow.name,
+    deactivatedAt: importedWindow.createdAt || Date.now(),
+    importedFrom,
+    ...(importedWindow.tags && importedWindow.tags.length > 0 ? { tags: parseTags(importedWindow.tags) } : {}),
+    ...(importedWindow.notes ? { notes: importedWindow.notes } : {}),
+    tabs: importedWindow.tabs.map((tab, index) => ({
+      url: tab.url,
+      title: tab.title || tab.url,
+      favIconUrl: tab.favIconUrl,
+      pinned: Boolean(tab.pinned),
+      active: index === 0,
+      index
+    }))
+  };
+}
+
+/**
+ * Reads a Session Buddy JSON backup
+ *
+ * Older backups contain sessions made of windows with tabs, newer ones
+ * contain collections made of folders with links. Each window or folder
+ * becomes one inactive window.
+ *
+ * @param {any} data - Parsed JSON of the backup
+ * @returns {ImportedWindow[]}
+ */
+function parseSessionBuddy(data) {
+  /** @type {ImportedWindow[]} */
+  const windows = [];
+
+  /**
+   * @param {any} tab
+   * @returns {ImportedTab|null}
+   */
+  const toTab = tab => tab && typeof tab.url === 'string'
+    ? { url: tab.url, title: tab.title, favIconUrl: tab.favIconUrl, pinned: tab.pinned }
+    : null;
+
+  /** @param {any[]} items */
+  const toTabs = items => (Array.isArray(items) ? items : [])
+    .map(toTab)
+    .filter(/** @returns {tab is ImportedTab} */ tab => tab !== null);
+
+  for (const session of Array.isArray(data.sessions) ? data.sessions : []) {
+    const sessionName = session.name || `Session Buddy ${session.type || 'session'}`;
+    const sessionWindows = Array.isArray(session.windows) ? session.windows : [];
+
+    sessionWindows.forEach((/** @type {any} */ sessionWindow, /** @type {number} */ i) => {
+      windows.push({
+        name: sessionWindows.length > 1 ? `${sessionName} (window ${i + 1})` : sessionName,
+        createdAt: session.generated || session.created || session.modified,
+        tabs: toTabs(sessionWindow.tabs)
+      });
+    });
+  }
+
+  for (const collection of Array.isArray(data.collections) ? data.collections : []) {
+    const collectionName = collection.title || collection.name || 'Session Buddy collection';
+    const folders = Array.isArray(collection.folders) ? collection.folders : [];
+
+    folders.forEach((/** @type {any} */ folder, /** @type {number} */ i) => {
+      windows.push({
+        name: folder.title || (folders.length > 1 ? `${collectionName} (window ${i + 1})` : collectionName),
+        createdAt: collection.created || collection.updated,
+        tabs: toTabs(folder.links || folder.tabs)
+      });
+    });
+  }
+
+  return windows.filter(window => window.tabs.length > 0);
+}
+
+/**
+ * Reads blank-line separated blocks of URL lines
+ * Used for OneTab exports ("url | title") and for plain URL lists.
+ *
+ * @param {string} text - The text to read
+ * @param {string} namePrefix - Prefix of the window names
+ * @returns {ImportedWindow[]}
+ */
+function parseUrlBlocks(text, namePrefix) {
+  const blocks = text.split(/\r?\n\s*\r?\n/)
+    .map(block => block.split(/\r?\n/).map(line => line.trim()).filter(Boolean))
+    .filter(lines => lines.length > 0);
+
+  return blocks.map((lines, i) => ({
+    name: blocks.length > 1 ? `${namePrefix} ${i + 1}` : namePrefix,
+    tabs: lines.map(line => {
+      const separator = line.indexOf(' | ');
+      return separator === -1
+        ? { url: line }
+        : { url: line.slice(0, separator).trim(), title: line.slice(separator + 3).trim() };
+    })
+  }));
+}
+
+/**
+ * Reads a Netscape bookmarks HTML file
+ *
+ * Every folder that directly contains bookmarks becomes a window. Folder
+ * descriptions become notes and the bookmarks' TAGS become the window's tags,
+ * which round-trips Tab Tracker's own bookmarks export.
+ *
+ * @param {string} html - The bookmarks file
+ * @returns {ImportedWindow[]}
+ */
+function parseBookmarksHtml(html) {
+  /** @type {ImportedWindow[]} */
+  const windows = [];
+
+  /** @type {ImportedWindow[]} */
+  const folderStack = [];
+
+  /** @type {ImportedWindow} */
+  const looseBookmarks = { name: 'Imported bookmarks', tabs: [] };
+
+  /**
+   * @param {string} attributes - Attribute list of a tag
+   * @param {string} name - Attribute name
+   * @returns {string|undefined}
+   */
+  const getAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+    return match ? decodeHTMLEntities(match[1]) : undefined;
+  };
+
+  /** @type {string|null} */
+  let pendingFolder = null;
+  let pendingFolderDate = 0;
+  /** @type {string|undefined} */
+  let pendingFolderNotes;
+
+  const tokenPattern = /<H3([^>]*)>([\s\S]*?)<\/H3>|<A([^>]*)>([\s\S]*?)<\/A>|<DD>([^<]*)|<DL>|<\/DL>/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [token, folderAttributes, folderName, linkAttributes, linkTitle, description] = match;
+
+    if (folderName !== undefined) {
+      // The folder's contents start with the next <DL>
+      pendingFolder = decodeHTMLEntities(folderName.trim());
+      const addDate = Number(getAttribute(folderAttributes, 'ADD_DATE'));
+      pendingFolderDate = addDate > 0 ? addDate * 1000 : 0;
+      pendingFolderNotes = undefined;
+    } else if (linkAttributes !== undefined) {
+      const url = getAttribute(linkAttributes, 'HREF');
+      if (!url || /^(javascript|place):/i.test(url)) continue;
+
+      const folder = folderStack[folderStack.length - 1] || looseBookmarks;
+      const tags = getAttribute(linkAttributes, 'TAGS');
+      if (tags) {
+        folder.tags = [...(folder.tags || []), ...parseTags(tags)];
+      }
+      folder.tabs.push({
+        url,
+        title: decodeHTMLEntities(linkTitle.replace(/<[^>]*>/g, '').trim()) || url
+      });
+    } else if (description !== undefined) {
+      // A description between a folder heading and its list belongs to the folder
+      if (pendingFolder && description.trim()) {
+        pendingFolderNotes = decodeHTMLEntities(description.trim());
+      }
+    } else if (/^<DL>$/i.test(token)) {
+      // The root list has no heading
+      folderStack.push({
+        name: pendingFolder || 'Bookmarks',
+        tabs: [],
+        createdAt: pendingFolderDate || undefined,
+        notes: pendingFolderNotes
+      });
+      pendingFolder = null;
+      pendingFolderDate = 0;
+      pendingFolderNotes = undefined;
+    } else {
+      const folder = folderStack.pop();
+      if (folder && folder.tabs.length > 0) {
+        windows.push(folder);
+      }
+    }
+  }
+
+  // Unclosed folders of a truncated file
+  while (folderStack.length > 0) {
+    const folder = /** @type {ImportedWindow} */ (folderStack.pop());
+    if (folder.tabs.length > 0) windows.push(folder);
+  }
+
+  if (looseBookmarks.tabs.length > 0) {
+    windows.push(looseBookmarks);
+  }
+
+  return windows;
+}
+
+/**
+ * Compares two dotted format versions numerically
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative when a is older than b, 0 when equal, positive when newer
+ */
+function compareFormatVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Upgrades a Tab Tracker export to the current format version
+ * Exports without a version predate versioning and are treated as 1.0.
+ *
+ * @param {any} data - Parsed JSON of the export, upgraded in place
+ * @returns {any} The upgraded export
+ * @throws {Error} When the export was made by a newer version or no migration path exists
+ */
+function migrateExportData(data) {
+  let version = data.version === undefined ? '1.0' : String(data.version);
+
+  if (!/^\d+(\.\d+)*$/.test(version)) {
+    throw new Error(`Unknown export version "${version}"`);
+  }
+  if (compareFormatVersions(version, EXPORT_FORMAT_VERSION) > 0) {
+    throw new Error(`This export was made by a newer version of Tab Tracker (format ${version}); please update the extension`);
+  }
+
+  while (compareFormatVersions(version, EXPORT_FORMAT_VERSION) < 0) {
+    const migration = EXPORT_MIGRATIONS.find(m => compareFormatVersions(m.from, version) === 0);
+    if (!migration) {
+      throw new Error(`Exports of format ${version} can no longer be imported`);
+    }
+    migration.migrate(data);
+    version = migration.to;
+  }
+
+  data.version = version;
+  return data;
+}
+
+/**
+ * Checks whether a tab URL is well-formed and uses a scheme that is safe to open
+ *
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isSafeTabUrl(url) {
+  try {
+    return ALLOWED_TAB_URL_SCHEMES.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalizes an imported favicon URL
+ *
+ * @param {string|undefined} value - Favicon URL from the import
+ * @returns {string|undefined} The re-serialized URL if it is an http(s) or image data URL, otherwise undefined
+ *
+ * @example
+ * // Returns 'data:image/png,%22%3E%3Cb%3E'
+ * sanitizeFavIconUrl('data:image/png,"><b>')
+ */
+function sanitizeFavIconUrl(value) {
+  if (!value || !/^(https?:|data:image\/)/i.test(value)) return undefined;
+  try {
+    // URL serialization keeps quotes and angle brackets in data URLs, so they are percent-encoded here
+    return new URL(value).href.replace(/["'<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Shortens text that exceeds a length limit
+ *
+ * @param {unknown} value - Value that should be a string
+ * @param {number} maxLength - Maximum length
+ * @returns {string|undefined} The string, truncated if needed, or undefined if the value is not a string
+ */
+function limitText(value, maxLength) {
+  if (typeof value !== 'string') return undefined;
+  return value.length > maxLength ? value.slice(0, maxLength) : value;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {number|undefined} The value if it is a finite number
+ */
+function optionalNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Checks an imported record against the inactive window schema
+ *
+ * Only known fields are kept. Tabs without a URL, with an unsafe URL or with
+ * an oversized URL are skipped; oversized text is truncated and favicons that
+ * are not web or image data URLs are dropped. Records without a valid tab are
+ * rejected.
+ *
+ * @param {any} raw - The record as found in the import
+ * @param {number} position - Position of the record in the import, for error messages
+ * @returns {{record: TabManager.InactiveWindow|null, errors: string[]}} The clean record, or null if it was rejected, and the problems found
+ */
+function validateInactiveWindowRecord(raw, position) {
+  /** @type {string[]} */
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { record: null, errors: [`Window ${position + 1}: not a window record (skipped)`] };
+  }
+
+  const name = limitText(raw.name, IMPORT_LIMITS.maxTitleLength);
+  const label = name ? `Window ${position + 1} ("${name}")` : `Window ${position + 1}`;
+
+  if (!Array.isArray(raw.tabs)) {
+    return { record: null, errors: [`${label}: has no tab list (skipped)`] };
+  }
+
+  let rawTabs = raw.tabs;
+  if (rawTabs.length > IMPORT_LIMITS.maxTabsPerWindow) {
+    errors.push(`${label}: only the first ${IMPORT_LIMITS.maxTabsPerWindow} of ${rawTabs.length} tabs were kept`);
+    rawTabs = rawTabs.slice(0, IMPORT_LIMITS.maxTabsPerWindow);
+  }
+
+  /** @type {TabManager.InactiveWindowTab[]} */
+  const tabs = [];
+  rawTabs.forEach((/** @type {any} */ tab, /** @type {number} */ tabIndex) => {
+    const tabLabel = `${label}, tab ${tabIndex + 1}`;
+
+    if (!tab || typeof tab !== 'object' || typeof tab.url !== 'string' || !tab.url.trim()) {
+      errors.push(`${tabLabel}: has no URL (skipped)`);
+      return;
+    }
+    const url = tab.url.trim();
+    if (url.length > IMPORT_LIMITS.maxUrlLength) {
+      errors.push(`${tabLabel}: URL is longer than ${IMPORT_LIMITS.maxUrlLength} characters (skipped)`);
+      return;
+    }
+    if (!isSafeTabUrl(url)) {
+      errors.push(`${tabLabel}: unsafe or invalid URL "${url.slice(0, 60)}" (skipped)`);
+      return;
+    }
+
+    tabs.push({
+      url,
+      title: limitText(tab.title, IMPORT_LIMITS.maxTitleLength) || url,
+      favIconUrl: sanitizeFavIconUrl(limitText(tab.favIconUrl, IMPORT_LIMITS.maxUrlLength)),
+      pinned: tab.pinned === true,
+      active: tab.active === true,
+      index: optionalNumber(tab.index),
+      groupId: optionalNumber(tab.groupId),
+      originalId: optionalNumber(tab.originalId),
+      parentTabId: optionalNumber(tab.parentTabId)
+    });
+  });
+
+  if (tabs.length === 0) {
+    errors.push(`${label}: has no valid tabs (skipped)`);
+    return { record: null, errors };
+  }
+
+  /** @type {TabManager.InactiveWindow} */
+  const record = {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : crypto.randomUUID(),
+    name: name || `Imported window ${position + 1}`,
+    deactivatedAt: optionalNumber(raw.deactivatedAt) || Date.now(),
+    tabs
+  };
+
+  const originalWindowId = optionalNumber(raw.originalWindowId);
+  if (originalWindowId !== undefined) record.originalWindowId = originalWindowId;
+
+  const updatedAt = optionalNumber(raw.updatedAt);
+  if (updatedAt !== undefined) record.updatedAt = updatedAt;
+
+  if (typeof raw.notes === 'string' && raw.notes) {
+    if (raw.notes.length > IMPORT_LIMITS.maxNotesLength) {
+      errors.push(`${label}: notes were shortened to ${IMPORT_LIMITS.maxNotesLength} characters`);
+    }
+    record.notes = limitText(raw.notes, IMPORT_LIMITS.maxNotesLength);
+  }
+
+  if (Array.isArray(raw.tags) || typeof raw.tags === 'string') {
+    const tags = parseTags(Array.isArray(raw.tags) ? raw.tags.filter((/** @type {unknown} */ tag) => typeof tag === 'string') : raw.tags);
+    if (tags.length > IMPORT_LIMITS.maxTags) {
+      errors.push(`${label}: only the first ${IMPORT_LIMITS.maxTags} tags were kept`);
+    }
+    if (tags.length > 0) {
+      record.tags = tags.slice(0, IMPORT_LIMITS.maxTags).map(tag => tag.slice(0, IMPORT_LIMITS.maxTitleLength));
+    }
+  }
+
+  if (raw.autoArchived === true) record.autoArchived = true;
+
+  const importedFrom = limitText(raw.importedFrom, IMPORT_LIMITS.maxTitleLength);
+  if (importedFrom) record.importedFrom = importedFrom;
+
+  if (WINDOW_STATES.includes(raw.state)) record.state = raw.state;
+
+  if (raw.bounds && typeof raw.bounds === 'object') {
+    record.bounds = {
+      left: optionalNumber(raw.bounds.left),
+      top: optionalNumber(raw.bounds.top),
+      width: optionalNumber(raw.bounds.width),
+      height: optionalNumber(raw.bounds.height)
+    };
+  }
+
+  if (Array.isArray(raw.groups)) {
+    record.groups = raw.groups
+      .filter((/** @type {any} */ group) => group && typeof group.id === 'number' && GROUP_COLORS.includes(group.color))
+      .map((/** @type {any} */ group) => ({
+        id: group.id,
+        title: limitText(group.title, IMPORT_LIMITS.maxTitleLength),
+        color: group.color,
+        collapsed: group.collapsed === true
+      }));
+  }
+
+  return { record, errors };
+}
+
+/**
+ * Checks all imported records against the inactive window schema
+ *
+ * @param {any[]} rawRecords - Records as found in the import
+ * @returns {{windows: TabManager.InactiveWindow[], errors: string[]}} The valid records and the problems found
+ * @throws {Error} When no record is valid
+ */
+function validateInactiveWindowRecords(rawRecords) {
+  /** @type {string[]} */
+  const errors = [];
+  let records = rawRecords;
+
+  if (records.length > IMPORT_LIMITS.maxWindows) {
+    errors.push(`Only the first ${IMPORT_LIMITS.maxWindows} of ${records.length} windows were kept`);
+    records = records.slice(0, IMPORT_LIMITS.maxWindows);
+  }
+
+  /** @type {TabManager.InactiveWindow[]} */
+  const windows = [];
+  records.forEach((raw, position) => {
+    const result = validateInactiveWindowRecord(raw, position);
+    errors.push(...result.errors);
+    if (result.record) windows.push(result.record);
+  });
+
+  if (windows.length === 0) {
+    throw new Error(`No valid windows found${errors.length > 0 ? `: ${errors.slice(0, 3).join('; ')}` : ''}`);
+  }
+
+  return { windows, errors };
+}
+
+/**
+ * Detects the format of import data and turns it into inactive window records
+ *
+ * @param {string} text - The data to import
+ * @returns {ParsedImport}
+ * @throws {Error} When the format is not recognized, the data is too large or it contains no valid tabs
+ */
+function parseImportData(text) {
+  const trimmed = (text || '').trim();
+
+  if (!trimmed) {
+    throw new Error('No data provided');
+  }
+  if (trimmed.length > IMPORT_LIMITS.maxDataLength) {
+    throw new Error(`The data is too large to import (limit: ${IMPORT_LIMITS.maxDataLength / (1024 * 1024)} MB)`);
+  }
+
+  /** @type {ParsedImport['format']} */
+  let format;
+  /** @type {ImportedWindow[]} */
+  let importedWindows = [];
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('The data looks like JSON but could not be parsed');
+    }
+
+    if (data && Array.isArray(data.inactiveWindows)) {
+      const { windows, errors } = validateInactiveWindowRecords(migrateExportData(data).inactiveWindows);
+      return {
+        format: 'tabtracker',
+        formatLabel: IMPORT_FORMAT_LABELS.tabtracker,
+        windows,
+        errors
+      };
+    }
+
+    if (data && (Array.isArray(data.sessions) || Array.isArray(data.collections))) {
+      format = 'sessionbuddy';
+      importedWindows = parseSessionBuddy(data);
+    } else {
+      throw new Error('Unrecognized JSON format');
+    }
+  } else if (/^<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(trimmed) || /<DL>/i.test(trimmed)) {
+    format = 'bookmarks';
+    importedWindows = parseBookmarksHtml(trimmed);
+  } else {
+    const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    if (!lines.every(line => URL_LINE_PATTERN.test(line))) {
+      throw new Error('Unrecognized format: expected JSON, bookmarks HTML, OneTab text or one URL per line');
+    }
+
+    format = lines.some(line => line.includes(' | ')) ? 'onetab' : 'urls';
+    importedWindows = parseUrlBlocks(trimmed, format === 'onetab' ? 'OneTab group' : 'Imported URLs');
+  }
+
+  if (importedWindows.length === 0) {
+    throw new Error(`No tabs found in the ${IMPORT_FORMAT_LABELS[format]}`);
+  }
+
+  const { windows, errors } = validateInactiveWindowRecords(
+    importedWindows.map(window => createImportedWindowRecord(window, IMPORT_FORMAT_LABELS[format]))
+  );
+
+  return {
+    format,
+    formatLabel: IMPORT_FORMAT_LABELS[format],
+    windows,
+    errors
+  };
+}
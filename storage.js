@@ -0,0 +1,337 @@
+// @ts-check
+/// <reference path="./types/extension.d.ts" />
+/**
+ * @fileoverview Storage layer for the background service worker
+ *
+ * Owns the chrome.storage.local keys that many event listeners update
+ * concurrently: tabRelationships, youtubeQueues, tabHistory, inactiveWindows,
+ * recentlyClosed, focusTime, customGroups, undoJournal and sessionSnapshots.
+ * Without it, two listeners that each get, modify and set the same key (e.g.
+ * several tabs opening at once) overwrite each other's changes.
+ *
+ * - Values are cached in memory after the first read
+ * - Updates of a key run one at a time, in the order they were requested,
+ *   each on the result of the previous one
+ * - Changed keys are written to chrome.storage.local after a short delay, so
+ *   bursts of updates become one write; flushStore() writes them right away
+ *
+ * It also keeps the layout of all stored data versioned. The version is saved
+ * under `schemaVersion`, and migrateStorage() upgrades data saved by older
+ * versions of the extension with the steps in STORAGE_MIGRATIONS.
+ *
+ * Only the background service worker may write these keys. Other pages can
+ * read them from chrome.storage.local once they have been flushed.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} StoredValues
+ * @property {TabManager.TabRelationships} tabRelationships - Parent-child relationships by tab ID
+ * @property {TabManager.YouTubeQueues} youtubeQueues - YouTube queues by "tab-<id>" or by base URL
+ * @property {TabManager.TabHistoryEntry[]} tabHistory - Recently activated tabs, newest first
+ * @property {TabManager.InactiveWindow[]} inactiveWindows - Archived windows
+ * @property {TabManager.RecentlyClosedTab[]} recentlyClosed - Recently closed tabs, newest first
+ * @property {TabManager.FocusTimeDays} focusTime - Focused time statistics by day
+ * @property {TabManager.CustomTabGroup[]} customGroups - Custom tab groups
+ * @property {TabManager.UndoEntry[]} undoJournal - Reversible actions, oldest first
+ * @property {TabManager.SessionSnapshot[]} sessionSnapshots - Saved browser sessions, newest first
+ */
+
+/** @typedef {keyof StoredValues} StoredKey */
+
+/**
+ * @typedef {Object} StorageMigration
+ * @property {number} version - Schema version the migration upgrades to
+ * @property {string[]} keys - Storage keys the migration reads and writes back
+ * @property {(items: Object<string, any>) => void | Promise<void>} migrate - Upgrades the items in place; keys that were never saved are missing
+ */
+
+/**
+ * Values of keys that were never written
+ *
+ * @returns {StoredValues}
+ */
+function getStoreDefaults() {
+  return {
+    tabRelationships: {},
+    youtubeQueues: {},
+    tabHistory: [],
+    inactiveWindows: [],
+    recentlyClosed: [],
+    focusTime: {},
+    customGroups: [],
+    undoJournal: [],
+    sessionSnapshots: []
+  };
+}
+
+/** Delay before changed keys are written */
+const STORE_FLUSH_DELAY_MS = 300;
+
+/** @type {Map<StoredKey, any>} */
+const storeCache = new Map();
+
+/** @type {Map<StoredKey, Promise<any>>} */
+const storeLoads = new Map();
+
+/** Last queued update of each key; the next update waits for it */
+/** @type {Map<StoredKey, Promise<any>>} */
+const storeQueues = new Map();
+
+/** @type {Set<StoredKey>} */
+const dirtyStoreKeys = new Set();
+
+/** @type {ReturnType<typeof setTimeout>|undefined} */
+let storeFlushTimer;
+
+/** Running migrations; keys are only loaded once they are done */
+let storeMigrations = Promise.resolve();
+
+/**
+ * Loads a key into the cache on first use
+ *
+ * @template {StoredKey} K
+ * @param {K} key - Key to load
+ * @returns {Promise<StoredValues[K]>} - The cached value
+ */
+function loadStoreKey(key) {
+  if (storeCache.has(key)) {
+    return Promise.resolve(storeCache.get(key));
+  }
+
+  if (!storeLoads.has(key)) {
+    storeLoads.set(key, storeMigrations.then(() => chrome.storage.local.get([key])).then(result => {
+      // An update may have filled the cache while the read was in flight
+      if (!storeCache.has(key)) {
+        storeCache.set(key, result[key] ?? getStoreDefaults()[key]);
+      }
+      storeLoads.delete(key);
+      return storeCache.get(key);
+    }));
+  }
+  return /** @type {Promise<StoredValues[K]>} */ (storeLoads.get(key));
+}
+
+/**
+ * Reads a stored value
+ * Waits for queued updates of the key, and returns a copy that can be
+ * changed freely without affecting the store.
+ *
+ * @template {StoredKey} K
+ * @param {K} key - Key to read
+ * @returns {Promise<StoredValues[K]>}
+ *
+ * @example
+ * const relationships = await readStore('tabRelationships');
+ */
+async function readStore(key) {
+  await storeQueues.get(key)?.catch(() => {
+    // The caller of the failed update has been told
+  });
+  return structuredClone(await loadStoreKey(key));
+}
+
+/**
+ * Updates a stored value
+ *
+ * The updater receives a copy of the current value and returns the new
+ * value. Updates of the same key never overlap: each one sees the result of
+ * the previous one. If the updater throws, the value is left unchanged and
+ * the error is passed on to the caller.
+ *
+ * @template {StoredKey} K
+ * @param {K} key - Key to update
+ * @param {(value: StoredValues[K]) => StoredValues[K] | Promise<StoredValues[K]>} updater - Returns the new value
+ * @returns {Promise<StoredValues[K]>} - The new value
+ *
+ * @example
+ * await updateStore('tabRelationships', relationships => {
+ *   delete relationships[tabId];
+ *   return relationships;
+ * });
+ */
+function updateStore(key, updater) {
+  const previous = storeQueues.get(key) || Promise.resolve();
+
+  const update = previous.catch(() => {
+    // A failed update must not block the ones after it
+  }).then(async () => {
+    const value = await updater(structuredClone(await loadStoreKey(key)));
+    storeCache.set(key, value);
+    dirtyStoreKeys.add(key);
+    scheduleStoreFlush();
+    return structuredClone(value);
+  });
+
+  storeQueues.set(key, update);
+  update.finally(() => {
+    // Forget the queue once it is drained, so it does not grow forever
+    if (storeQueues.get(key) === update) {
+      storeQueues.delete(key);
+    }
+  }).catch(() => {});
+
+  return update;
+}
+
+/**
+ * Replaces a stored value
+ *
+ * @template {StoredKey} K
+ * @param {K} key - Key to replace
+ * @param {StoredValues[K]} value - The new value
+ * @returns {Promise<StoredValues[K]>} - The new value
+ */
+function writeStore(key, value) {
+  return updateStore(key, () => value);
+}
+
+/**
+ * Writes changed keys STORE_FLUSH_DELAY_MS after the first change
+ * The delay is not restarted by later changes, so a steady stream of updates
+ * still gets written.
+ */
+function scheduleStoreFlush() {
+  if (storeFlushTimer !== undefined) return;
+  storeFlushTimer = setTimeout(() => {
+    flushStore().catch(error => console.error('Error writing storage:', error));
+  }, STORE_FLUSH_DELAY_MS);
+}
+
+/**
+ * Writes all changed keys to chrome.storage.local now
+ * Call it before other pages read the keys from storage.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushStore() {
+  clearTimeout(storeFlushTimer);
+  storeFlushTimer = undefined;
+  if (dirtyStoreKeys.size === 0) return;
+
+  /** @type {Object<string, any>} */
+  const items = {};
+  for (const key of dirtyStoreKeys) {
+    items[key] = storeCache.get(key);
+  }
+  dirtyStoreKeys.clear();
+
+  try {
+    await chrome.storage.local.set(items);
+  } catch (error) {
+    // Retry with the next flush
+    Object.keys(items).forEach(key => dirtyStoreKeys.add(/** @type {StoredKey} */ (key)));
+    throw error;
+  }
+}
+
+// ---------- Schema Migrations ----------
+
+/**
+ * Version of the stored data layout
+ * Data saved before versioning was introduced has version 0.
+ */
+const STORAGE_SCHEMA_VERSION = 1;
+
+/**
+ * Steps that upgrade stored data from one schema version to the next
+ *
+ * When the layout of stored data changes, bump STORAGE_SCHEMA_VERSION and add
+ * a migration to the new version, so that existing users' data is upgraded
+ * when the extension updates instead of breaking the code that reads it.
+ *
+ * @type {StorageMigration[]}
+ */
+const STORAGE_MIGRATIONS = [
+  {
+    // Fill in fields that older versions did not save
+    version: 1,
+    keys: ['customGroups', 'inactiveWindows'],
+    migrate: async items => {
+      // Tab IDs are still valid when the extension updates, so groups that
+      // listed tab IDs are converted to members of the tabs that are open
+      const tabs = await chrome.tabs.query({});
+      
+      for (const group of items.customGroups || []) {
+        // Groups are created with Date.now() as their ID
+        const createdAt = group.createdAt || Number(group.id) || Date.now();
+        group.createdAt = createdAt;
+        group.updatedAt = group.updatedAt || createdAt;
+        
+        if (!Array.isArray(group.members)) {
+          const tabIds = Array.isArray(group.tabIds) ? group.tabIds : [];
+          group.members = tabs
+            .filter(tab => tabIds.includes(tab.id))
+            .map(tab => createGroupMember(tab, undefined));
+        }
+        delete group.tabIds;
+        
+        for (const member of group.members) {
+          member.addedAt = member.addedAt || createdAt;
+        }
+      }
+      
+      for (const record of items.inactiveWindows || []) {
+        if (typeof record.id !== 'string' || !record.id) {
+          if (typeof record.id === 'number') {
+            record.originalWindowId = record.id;
+          }
+          record.id = crypto.randomUUID();
+        }
+        record.updatedAt = record.updatedAt || record.deactivatedAt;
+      }
+    }
+  }
+];
+
+/**
+ * Upgrades stored data to STORAGE_SCHEMA_VERSION
+ *
+ * Each migration's data is written together with its version, so a failed
+ * migration leaves the earlier ones in place and is retried next time.
+ *
+ * @returns {Promise<number>} - The schema version of the stored data afterwards
+ */
+async function runStorageMigrations() {
+  const { schemaVersion = 0 } = await chrome.storage.local.get(['schemaVersion']);
+  
+  if (schemaVersion > STORAGE_SCHEMA_VERSION) {
+    console.warn(`Stored data has schema version ${schemaVersion}, newer than ${STORAGE_SCHEMA_VERSION}; leaving it unchanged`);
+    return schemaVersion;
+  }
+  
+  // Cached values must not overwrite migrated data later
+  await flushStore();
+  
+  let version = schemaVersion;
+  for (const migration of STORAGE_MIGRATIONS) {
+    if (migration.version <= version) continue;
+    
+    console.log(`Migrating stored data to schema version ${migration.version}`);
+    const items = await chrome.storage.local.get(migration.keys);
+    await migration.migrate(items);
+    await chrome.storage.local.set({ ...items, schemaVersion: migration.version });
+    
+    migration.keys.forEach(key => storeCache.delete(/** @type {StoredKey} */ (key)));
+    version = migration.version;
+  }
+  
+  if (version !== schemaVersion) {
+    console.log(`Stored data migrated from schema version ${schemaVersion} to ${version}`);
+  }
+  return version;
+}
+
+/**
+ * Runs the migrations, holding back loads of stored keys until they are done
+ *
+ * @returns {Promise<void>}
+ */
+function migrateStorage() {
+  storeMigrations = storeMigrations
+    .then(() => runStorageMigrations())
+    .then(() => {}, error => console.error('Error migrating stored data:', error));
+  return storeMigrations;
+}
@@ -35,6 +35,10 @@ document.addEventListener('DOMContentLoaded', () => {
   const filterAllButton = document.getElementById('filter-all');
   const filterCurrentWindowButton = document.getElementById('filter-current-window');
   const filterInactiveButton = document.getElementById('filter-inactive');
+  const filterSessionsButton = document.getElementById('filter-sessions');
+  const filterTimelineButton = document.getElementById('filter-timeline');
+  const filterClosedButton = document.getElementById('filter-closed');
+  const filterDashboardButton = document.getElementById('filter-dashboard');
   const sortButton = document.getElementById('sort-button');
   const groupButton = document.getElementById('group-button');
   const dropdownContent = document.querySelectorAll('.dropdown-content');
@@ -43,10 +47,52 @@ document.addEventListener('DOMContentLoaded', () => {
   const inactiveWindowsContainer = document.querySelector('.inactive-windows-container');
   const inactiveWindowsList = document.getElementById('inactive-windows-list');
   const noInactiveWindows = document.getElementById('no-inactive-windows');
+  const noTaggedWindows = document.getElementById('no-tagged-windows');
+  const inactiveTagFilters = document.getElementById('inactive-tag-filters');
   const inactiveWindowsCount = document.getElementById('inactive-windows-count');
   const inactiveWindowsLoadingIndicator = document.getElementById('inactive-windows-loading');
   const deactivateWindowButton = document.getElementById('deactivate-window-button');
+  
+  // Session snapshot elements
+  const sessionsContainer = document.querySelector('.sessions-container');
+  const sessionsList = document.getElementById('sessions-list');
+  const sessionsLoadingIndicator = document.getElementById('sessions-loading');
+  const noSessions = document.getElementById('no-sessions');
+  const takeSnapshotButton = document.getElementById('take-snapshot-button');
+  
+  // Timeline elements
+  const timelineContainer = document.querySelector('.timeline-container');
+  const timelineList = document.getElementById('timeline-list');
+  const timelineRangeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('timeline-range'));
+  const timelineTotal = /** @type {HTMLElement} */ (document.getElementById('timeline-total'));
+  const timelineLoadingIndicator = document.getElementById('timeline-loading');
+  const noTimeline = document.getElementById('no-timeline');
+  
+  // Analytics dashboard elements
+  const dashboardContainer = document.querySelector('.dashboard-container');
+  const dashboardRangeSelect = /** @type {HTMLSelectElement} */ (document.getElementById('dashboard-range'));
+  const dashboardTotal = /** @type {HTMLElement} */ (document.getElementById('dashboard-total'));
+  const dashboardContent = /** @type {HTMLElement} */ (document.getElementById('dashboard-content'));
+  const dashboardDailyTitle = /** @type {HTMLElement} */ (document.getElementById('dashboard-daily-title'));
+  const dashboardDailyChart = /** @type {HTMLElement} */ (document.getElementById('dashboard-daily-chart'));
+  const dashboardWeeklyChart = /** @type {HTMLElement} */ (document.getElementById('dashboard-weekly-chart'));
+  const dashboardDomains = /** @type {HTMLElement} */ (document.getElementById('dashboard-domains'));
+  const dashboardGroups = /** @type {HTMLElement} */ (document.getElementById('dashboard-groups'));
+  const dashboardTabs = /** @type {HTMLElement} */ (document.getElementById('dashboard-tabs'));
+  const dashboardLoadingIndicator = document.getElementById('dashboard-loading');
+  const noDashboard = /** @type {HTMLElement} */ (document.getElementById('no-dashboard'));
+  const noDashboardMessage = /** @type {HTMLElement} */ (document.getElementById('no-dashboard-message'));
+  
+  // Recently closed tabs elements
+  const closedTabsContainer = document.querySelector('.closed-tabs-container');
+  const closedTabsList = document.getElementById('closed-tabs-list');
+  const closedTabsCount = /** @type {HTMLElement} */ (document.getElementById('closed-tabs-count'));
+  const closedTabsLoadingIndicator = document.getElementById('closed-tabs-loading');
+  const noClosedTabs = document.getElementById('no-closed-tabs');
+  const clearClosedTabsButton = document.getElementById('clear-closed-tabs-button');
   const importExportButton = document.getElementById('import-export-button');
+  const settingsButton = /** @type {HTMLButtonElement} */ (document.getElementById('settings-button'));
+  const exportTabsButton = /** @type {HTMLButtonElement} */ (document.getElementById('export-tabs-button'));
   
   // Modal elements
   const createGroupModal = document.getElementById('create-group-modal');
@@ -59,25 +105,131 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Import/Export modal elements
   const importExportModal = document.getElementById('import-export-modal');
-  const exportDataTextarea = document.getElementById('export-data');
+  const exportDataTextarea = /** @type {HTMLTextAreaElement|null} */ (document.getElementById('export-data'));
   const exportButton = document.getElementById('export-button');
-  const importButton = document.getElementById('import-button');
+  const exportBookmarksButton = document.getElementById('export-bookmarks-button');
+  const importButton = /** @type {HTMLButtonElement|null} */ (document.getElementById('import-button'));
+  const importFileInput = /** @type {HTMLInputElement|null} */ (document.getElementById('import-file'));
+  const backupPassphraseInput = /** @type {HTMLInputElement|null} */ (document.getElementById('backup-passphrase'));
+  const importPreview = document.getElementById('import-preview');
+  const confirmImportButton = /** @type {HTMLButtonElement|null} */ (document.getElementById('confirm-import-button'));
+  const cancelImportButton = document.getElementById('cancel-import-button');
   const closeImportExportButton = document.getElementById('close-import-export-button');
   const importExportStatus = document.querySelector('.import-export-status');
   const importExportMessage = document.getElementById('import-export-message');
+  
+  // Settings modal elements
+  const settingsModal = document.getElementById('settings-modal');
+  const autoArchiveEnabledInput = /** @type {HTMLInputElement} */ (document.getElementById('auto-archive-enabled'));
+  const autoArchiveIdleMinutesInput = /** @type {HTMLInputElement} */ (document.getElementById('auto-archive-idle-minutes'));
+  const autoArchiveExcludePinnedInput = /** @type {HTMLInputElement} */ (document.getElementById('auto-archive-exclude-pinned'));
+  const autoArchiveExcludeAudibleInput = /** @type {HTMLInputElement} */ (document.getElementById('auto-archive-exclude-audible'));
+  const autoArchiveExcludeFormsInput = /** @type {HTMLInputElement} */ (document.getElementById('auto-archive-exclude-forms'));
+  const snapshotsEnabledInput = /** @type {HTMLInputElement} */ (document.getElementById('snapshots-enabled'));
+  const snapshotsIntervalInput = /** @type {HTMLInputElement} */ (document.getElementById('snapshots-interval-minutes'));
+  const snapshotsMaxCountInput = /** @type {HTMLInputElement} */ (document.getElementById('snapshots-max-count'));
+  const snapshotsMaxAgeInput = /** @type {HTMLInputElement} */ (document.getElementById('snapshots-max-age-days'));
+  const historyEnabledInput = /** @type {HTMLInputElement} */ (document.getElementById('history-enabled'));
+  const historyMaxItemsInput = /** @type {HTMLInputElement} */ (document.getElementById('history-max-items'));
+  const historyMaxAgeInput = /** @type {HTMLInputElement} */ (document.getElementById('history-max-age-days'));
+  const historyIdleMinutesInput = /** @type {HTMLInputElement} */ (document.getElementById('history-idle-minutes'));
+  const analyticsEnabledInput = /** @type {HTMLInputElement} */ (document.getElementById('analytics-enabled'));
+  const analyticsRetentionInput = /** @type {HTMLInputElement} */ (document.getElementById('analytics-retention-days'));
+  const guardrailsEnabledInput = /** @type {HTMLInputElement} */ (document.getElementById('guardrails-enabled'));
+  const guardrailsSoftPerWindowInput = /** @type {HTMLInputElement} */ (document.getElementById('guardrails-soft-per-window'));
+  const guardrailsHardPerWindowInput = /** @type {HTMLInputElement} */ (document.getElementById('guardrails-hard-per-window'));
+  const guardrailsSoftTotalInput = /** @type {HTMLInputElement} */ (document.getElementById('guardrails-soft-total'));
+  const guardrailsHardTotalInput = /** @type {HTMLInputElement} */ (document.getElementById('guardrails-hard-total'));
+  const guardrailsCountDiscardedInput = /** @type {HTMLInputElement} */ (document.getElementById('guardrails-count-discarded'));
+  const archiveSyncEnabledInput = /** @type {HTMLInputElement} */ (document.getElementById('archive-sync-enabled'));
+  const archiveSyncStatus = /** @type {HTMLElement} */ (document.getElementById('archive-sync-status'));
+  const archiveSyncQuotaBar = /** @type {HTMLElement} */ (document.getElementById('archive-sync-quota-bar'));
+  const syncNowButton = /** @type {HTMLButtonElement} */ (document.getElementById('sync-now-button'));
+  const storageReportSummary = /** @type {HTMLElement} */ (document.getElementById('storage-report-summary'));
+  const storageReportTable = /** @type {HTMLElement} */ (document.getElementById('storage-report-table'));
+  const compactStorageButton = /** @type {HTMLButtonElement} */ (document.getElementById('compact-storage-button'));
+  const saveSettingsButton = /** @type {HTMLButtonElement} */ (document.getElementById('save-settings-button'));
+  const cancelSettingsButton = /** @type {HTMLButtonElement} */ (document.getElementById('cancel-settings-button'));
+  const settingsMessage = document.getElementById('settings-message');
+  
+  // Undo toast elements
+  const undoToast = document.getElementById('undo-toast');
+  const undoToastMessage = /** @type {HTMLElement} */ (document.getElementById('undo-toast-message'));
+  const undoToastButton = /** @type {HTMLButtonElement} */ (document.getElementById('undo-toast-button'));
+  const undoToastCloseButton = document.getElementById('undo-toast-close');
+  
+  // Tab limit warning elements
+  const guardrailBanner = document.getElementById('guardrail-banner');
+  const guardrailMessage = /** @type {HTMLElement} */ (document.getElementById('guardrail-message'));
+  const guardrailDiscardButton = /** @type {HTMLButtonElement} */ (document.getElementById('guardrail-discard-button'));
+  const guardrailArchiveButton = /** @type {HTMLButtonElement} */ (document.getElementById('guardrail-archive-button'));
+  const guardrailDuplicatesButton = /** @type {HTMLButtonElement} */ (document.getElementById('guardrail-duplicates-button'));
+  const guardrailDismissButton = /** @type {HTMLButtonElement} */ (document.getElementById('guardrail-dismiss-button'));
+  
+  // Edit inactive window modal elements
+  const editWindowModal = document.getElementById('edit-window-modal');
+  const editWindowNameInput = /** @type {HTMLInputElement} */ (document.getElementById('edit-window-name'));
+  const editWindowTagsInput = /** @type {HTMLInputElement} */ (document.getElementById('edit-window-tags'));
+  const editWindowNotesInput = /** @type {HTMLTextAreaElement} */ (document.getElementById('edit-window-notes'));
+  const saveWindowButton = /** @type {HTMLButtonElement} */ (document.getElementById('save-window-button'));
+  const cancelWindowButton = /** @type {HTMLButtonElement} */ (document.getElementById('cancel-window-button'));
+  
+  // Export tabs modal elements
+  const exportTabsModal = document.getElementById('export-tabs-modal');
+  const exportTabsSelectionSelect = /** @type {HTMLSelectElement} */ (document.getElementById('export-tabs-selection'));
+  const exportTabsFormatSelect = /** @type {HTMLSelectElement} */ (document.getElementById('export-tabs-format'));
+  const exportTabsGroupBySelect = /** @type {HTMLSelectElement} */ (document.getElementById('export-tabs-group-by'));
+  const exportTabsOutput = /** @type {HTMLTextAreaElement} */ (document.getElementById('export-tabs-output'));
+  const exportTabsMessage = /** @type {HTMLElement} */ (document.getElementById('export-tabs-message'));
+  const copyExportTabsButton = /** @type {HTMLButtonElement} */ (document.getElementById('copy-export-tabs-button'));
+  const downloadExportTabsButton = /** @type {HTMLButtonElement} */ (document.getElementById('download-export-tabs-button'));
+  const closeExportTabsButton = /** @type {HTMLButtonElement} */ (document.getElementById('close-export-tabs-button'));
 
   // State variables
+  /** @type {TabManager.TabWithRelationship[]} */
   let allTabs = [];
+  /** @type {TabManager.TabWithRelationship[]} */
   let filteredTabs = [];
   let currentFilter = 'all';
   let currentSort = 'recent';
   let currentGrouping = 'tree'; // Set tree view as default
+  /** @type {TabManager.CustomTabGroup[]} */
   let customGroups = [];
   let expandedGroups = {}; // Store the expanded/collapsed state of groups
   let searchQuery = '';
   let currentWindowTabCount = 0;
   let currentWindowId = null;
+  /** @type {TabManager.InactiveWindow[]} */
   let inactiveWindows = []; // Store inactive windows
+  let expandedInactiveWindows = new Set(); // Keys of inactive windows showing their tab list
+  /** @type {TabManager.SessionSnapshotSummary[]} */
+  let sessionSnapshots = []; // Summaries of the saved session snapshots
+  /** @type {Object<string, TabManager.SessionSnapshot>} */
+  let loadedSnapshots = {}; // Full snapshots that were opened, by ID
+  /** @type {Object<string, {missing: Array<{url: string, title?: string}>, added: Array<{url: string, title?: string}>}>} */
+  let snapshotDiffs = {}; // Comparisons of snapshots with the open tabs, by ID
+  let expandedSnapshots = new Set(); // IDs of snapshots showing their windows
+  /** @type {Array<TabManager.TabHistoryEntry & {active?: boolean}>} */
+  let timelineEntries = []; // History entries shown in the timeline, newest first
+  /** @type {Array<TabManager.RecentlyClosedTab & {subtreeSize: number, previousSession: boolean}>} */
+  let closedTabEntries = []; // Recently closed tabs, newest first
+  /** @type {{enabled: boolean, days: TabManager.FocusTimeDays, tabs: Object<string, number>}|null} */
+  let dashboardData = null; // Focused time statistics shown in the dashboard
+  /** @type {TabManager.GuardrailLevel} */
+  let dismissedGuardrailLevel = 'ok'; // Level at which the tab limit warning was hidden
+  /** @type {string|null} */
+  let activeInactiveTag = null; // Tag the inactive windows view is filtered by
+  /** @type {ReturnType<typeof setTimeout>|undefined} */
+  let undoToastTimer; // Hides the undo toast
+  /** @type {string|null} */
+  let pendingImportData = null; // Import data shown in the preview, imported on confirmation
+  let pendingImportPassphrase = ''; // Passphrase that decrypted the previewed data
+  /** @type {string|null} */
+  let editingWindowRecordId = null; // Inactive window shown in the edit modal
+  /** @type {{data: string, count: number, filename: string} | null} */
+  let exportTabsResult = null; // Last Markdown or CSV export shown in the export tabs modal
+  /** @type {string|undefined} */
+  let trackingSessionId; // Session in which custom group member tab IDs are valid
 
   // Fetch all tabs
   const fetchTabs = async () => {
@@ -86,6 +238,10 @@ document.addEventListener('DOMContentLoaded', () => {
       const response = await chrome.runtime.sendMessage({ action: 'getTabs' });
       allTabs = response.tabs || [];
       
+      // Custom group members only keep their tab IDs within one tracking session
+      const sessionData = await chrome.storage.session.get(['trackingSessionId']);
+      trackingSessionId = sessionData.trackingSessionId;
+      
       // Get tab relationships from storage to build parent-child hierarchy
       chrome.storage.local.get(['tabRelationships'], (result) => {
         const relationships = result.tabRelationships || {};
@@ -213,6 +369,62 @@ document.addEventListener('DOMContentLoaded', () => {
       // Hide all other containers
       if (tabList) tabList.style.display = 'none';
       return; // Skip applySearchAndSort for inactive windows
+    } else if (currentFilter === 'sessions') {
+      // Like inactive windows, session snapshots replace the tab list
+      if (tabList) tabList.innerHTML = '';
+      if (noResults) noResults.classList.add('hidden');
+      if (domainListContainer) domainListContainer.classList.remove('visible');
+      if (groupListContainer) groupListContainer.classList.remove('visible');
+      if (treeViewContainer) treeViewContainer.classList.remove('visible');
+      if (tabList) tabList.style.display = 'none';
+      
+      if (sessionsContainer) {
+        sessionsContainer.classList.remove('hidden');
+        renderSessionSnapshots();
+      }
+      return;
+    } else if (currentFilter === 'timeline') {
+      // The timeline replaces the tab list too, and is searched in the background
+      if (tabList) tabList.innerHTML = '';
+      if (noResults) noResults.classList.add('hidden');
+      if (domainListContainer) domainListContainer.classList.remove('visible');
+      if (groupListContainer) groupListContainer.classList.remove('visible');
+      if (treeViewContainer) treeViewContainer.classList.remove('visible');
+      if (tabList) tabList.style.display = 'none';
+      
+      if (timelineContainer) {
+        timelineContainer.classList.remove('hidden');
+        fetchTimeline();
+      }
+      return;
+    } else if (currentFilter === 'dashboard') {
+      // The dashboard replaces the tab list as well
+      if (tabList) tabList.innerHTML = '';
+      if (noResults) noResults.classList.add('hidden');
+      if (domainListContainer) domainListContainer.classList.remove('visible');
+      if (groupListContainer) groupListContainer.classList.remove('visible');
+      if (treeViewContainer) treeViewContainer.classList.remove('visible');
+      if (tabList) tabList.style.display = 'none';
+      
+      if (dashboardContainer) {
+        dashboardContainer.classList.remove('hidden');
+        fetchDashboard();
+      }
+      return;
+    } else if (currentFilter === 'closed') {
+      // Recently closed tabs replace the tab list as well
+      if (tabList) tabList.innerHTML = '';
+      if (noResults) noResults.classList.add('hidden');
+      if (domainListContainer) domainListContainer.classList.remove('visible');
+      if (groupListContainer) groupListContainer.classList.remove('visible');
+      if (treeViewContainer) treeViewContainer.classList.remove('visible');
+      if (tabList) tabList.style.display = 'none';
+      
+      if (closedTabsContainer) {
+        closedTabsContainer.classList.remove('hidden');
+        fetchClosedTabs();
+      }
+      return;
     } else {
       filteredTabs = [...allTabs];
       applySearchAndSort();
@@ -224,6 +436,8 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!inactiveWindowsList) return;
     
     inactiveWindowsList.innerHTML = '';
+    renderInactiveTagFilters();
+    if (noTaggedWindows) noTaggedWindows.classList.add('hidden');
     
     if (inactiveWindows.length === 0) {
       if (noInactiveWindows) noInactiveWindows.classList.remove('hidden');
@@ -235,18 +449,31 @@ document.addEventListener('DOMContentLoaded', () => {
     // Sort inactive windows by deactivation time (newest first)
     const sortedWindows = [...inactiveWindows].sort((a, b) => b.deactivatedAt - a.deactivatedAt);
     
+    // Only show windows carrying the selected tag
+    const filterTag = activeInactiveTag;
+    const visibleWindows = filterTag
+      ? sortedWindows.filter(windowData => hasTag(windowData, filterTag))
+      : sortedWindows;
+    
+    if (visibleWindows.length === 0) {
+      if (noTaggedWindows) noTaggedWindows.classList.remove('hidden');
+      return;
+    }
+    
     // Create a window item for each inactive window
-    sortedWindows.forEach((windowData, index) => {
+    visibleWindows.forEach((windowData) => {
+      const windowRecordId = windowData.id;
+      
       const windowItem = document.createElement('div');
       windowItem.className = 'inactive-window-item';
-      windowItem.dataset.windowIndex = index;
+      windowItem.dataset.windowRecordId = windowRecordId;
       
       // Format date for display
       const deactivatedDate = new Date(windowData.deactivatedAt);
       const dateString = formatDate(deactivatedDate);
       
-      // Get window name or default to Window ID
-      const windowName = windowData.name || `Window ${windowData.id}`;
+      // Get window name or default to the original window ID
+      const windowName = windowData.name || `Window ${windowData.originalWindowId || ''}`.trim();
       
       // Create a preview of the tabs in this window
       const tabPreviews = windowData.tabs.slice(0, 5).map(tab => {
@@ -260,180 +487,1224 @@ document.addEventListener('DOMContentLoaded', () => {
       const moreTabsIndicator = hasMoreTabs ? 
         `<span class="more-tabs-indicator">+${windowData.tabs.length - 5} more</span>` : '';
       
+      const tags = windowData.tags || [];
+      const tagsHTML = tags.length > 0 ? `
+        <div class="window-tags">
+          ${tags.map(tag => `<span class="window-tag">${escapeHTML(tag)}</span>`).join('')}
+        </div>
+      ` : '';
+      const notesHTML = windowData.notes ? 
+        `<div class="window-notes">${escapeHTML(windowData.notes)}</div>` : '';
+      
       windowItem.innerHTML = `
         <div class="window-header">
           <div class="window-title">
             <span data-feather="archive" class="icon"></span>
             <span>${escapeHTML(windowName)}</span>
+            ${windowData.autoArchived ? '<span class="auto-archived-badge" title="Archived automatically after being idle">auto-archived</span>' : ''}
             <span class="tab-count">${windowData.tabs.length} tab${windowData.tabs.length !== 1 ? 's' : ''}</span>
           </div>
           <div class="window-date">${dateString}</div>
         </div>
+        ${tagsHTML}
+        ${notesHTML}
         <div class="window-tabs-preview">
           ${tabPreviews}
           ${moreTabsIndicator}
         </div>
         <div class="window-actions">
+          <button class="toggle-window-tabs-button" title="Show tabs">
+            <span data-feather="chevron-down" class="icon"></span>
+            Tabs
+          </button>
           <button class="restore-window-button" title="Restore window">
             <span data-feather="refresh-cw" class="icon"></span>
             Restore
           </button>
+          <button class="edit-window-button" title="Edit name, tags and notes">
+            <span data-feather="edit-2" class="icon"></span>
+          </button>
+          <button class="export-window-button" title="Export window">
+            <span data-feather="download" class="icon"></span>
+          </button>
+          <button class="share-window-button" title="Export tabs as Markdown or CSV">
+            <span data-feather="share" class="icon"></span>
+          </button>
+          <button class="delete-window-button" title="Delete window">
+            <span data-feather="trash-2" class="icon"></span>
+          </button>
         </div>
       `;
       
+      // Add the expandable tab list for partial restores
+      const tabsPanel = createInactiveWindowTabsPanel(windowData, sortedWindows);
+      windowItem.appendChild(tabsPanel);
+      if (expandedInactiveWindows.has(windowRecordId)) {
+        windowItem.classList.add('expanded');
+      }
+      
       // Initialize feather icons
       feather.replace({ class: 'icon', node: windowItem });
       
+      // Add event listener to toggle the tab list
+      windowItem.querySelector('.toggle-window-tabs-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        windowItem.classList.toggle('expanded');
+        if (windowItem.classList.contains('expanded')) {
+          expandedInactiveWindows.add(windowRecordId);
+        } else {
+          expandedInactiveWindows.delete(windowRecordId);
+        }
+      });
+      
       // Add event listener to restore button
       windowItem.querySelector('.restore-window-button').addEventListener('click', (e) => {
         e.stopPropagation();
-        restoreInactiveWindow(index);
+        restoreInactiveWindow(windowRecordId);
+      });
+      
+      windowItem.querySelector('.edit-window-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showEditWindowModal(windowData);
+      });
+      
+      // Clicking a tag filters the list by it
+      windowItem.querySelectorAll('.window-tag').forEach((tagElement, tagIndex) => {
+        tagElement.addEventListener('click', (e) => {
+          e.stopPropagation();
+          activeInactiveTag = tags[tagIndex];
+          renderInactiveWindows();
+        });
+      });
+      
+      windowItem.querySelector('.export-window-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportInactiveWindowRecords([windowRecordId]);
+      });
+      
+      windowItem.querySelector('.share-window-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showExportTabsModal(`archivedWindow:${windowRecordId}`);
+      });
+      
+      windowItem.querySelector('.delete-window-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (confirm(`Are you sure you want to delete "${windowName}" and its ${windowData.tabs.length} saved tabs?`)) {
+          sendInactiveWindowAction({ action: 'deleteInactiveWindow', windowRecordId }, 'deleting window');
+        }
       });
       
       inactiveWindowsList.appendChild(windowItem);
     });
   };
   
-  // Restore an inactive window
-  const restoreInactiveWindow = (windowIndex) => {
-    // Show loading indicator if we have one
-    if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.remove('hidden');
-    
-    chrome.runtime.sendMessage(
-      { action: 'reactivateWindow', windowIndex },
-      (response) => {
-        // Hide loading indicator when done with the operation
-        const hideLoadingIndicator = () => {
-          if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.add('hidden');
-        };
-        
-        if (chrome.runtime.lastError) {
-          console.error('Error restoring window:', chrome.runtime.lastError.message);
-          hideLoadingIndicator();
-          return;
-        }
-        
-        if (response.success) {
-          console.log('Window restored successfully');
-          // Refresh the inactive windows list
-          fetchInactiveWindows();
-          // Also fetch tabs to update the tab list
-          fetchTabs();
-          // No need to hide the indicator here as fetchInactiveWindows will do it
-        } else {
-          console.error('Failed to restore window:', response.error);
-          hideLoadingIndicator();
-        }
-      }
-    );
+  /**
+   * Format a duration in milliseconds for display
+   * @param {number} ms
+   */
+  const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return '<1 min';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
   };
   
-  // Deactivate the current window
-  const deactivateCurrentWindow = () => {
-    // Show loading indicator if we have one
-    if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.remove('hidden');
+  /**
+   * Time a history entry had focus; the entry being timed counts until now
+   * @param {TabManager.TabHistoryEntry & {active?: boolean}} entry
+   */
+  const getHistoryEntryDuration = (entry) => {
+    if (entry.duration !== undefined) return entry.duration;
+    return entry.active ? Date.now() - entry.timestamp : 0;
+  };
+  
+  // Fetch the history entries of the selected period that match the search
+  const fetchTimeline = () => {
+    const days = parseInt(timelineRangeSelect.value);
+    const startOfToday = new Date().setHours(0, 0, 0, 0);
+    const since = days > 0 ? startOfToday - (days - 1) * 24 * 60 * 60 * 1000 : 0;
     
-    chrome.windows.getCurrent((currentWindow) => {
-      // Always hide loading indicator when we're done with the whole operation
-      const hideLoadingIndicator = () => {
-        if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.add('hidden');
-      };
+    if (timelineLoadingIndicator) timelineLoadingIndicator.classList.remove('hidden');
+    
+    chrome.runtime.sendMessage({ action: 'getTabHistory', query: searchQuery, since }, (response) => {
+      if (timelineLoadingIndicator) timelineLoadingIndicator.classList.add('hidden');
       
-      if (chrome.runtime.lastError) {
-        console.error('Error getting current window:', chrome.runtime.lastError.message);
-        hideLoadingIndicator();
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error fetching tab history:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
         return;
       }
       
-      // Confirm with the user
-      if (confirm(`Are you sure you want to deactivate the current window with ${currentWindowTabCount} tabs?`)) {
-        chrome.runtime.sendMessage(
-          { action: 'deactivateWindow', windowId: currentWindow.id },
-          (response) => {
-            if (chrome.runtime.lastError) {
-              console.error('Error deactivating window:', chrome.runtime.lastError.message);
-              hideLoadingIndicator();
-              return;
-            }
-            
-            if (response.success) {
-              console.log('Window deactivated successfully');
-              // The window will be closed by the background script
-              // No need to hide loading indicator as the window will close
-            } else {
-              console.error('Failed to deactivate window:', response.error);
-              hideLoadingIndicator();
-            }
-          }
-        );
-      } else {
-        // User cancelled the operation
-        hideLoadingIndicator();
+      timelineEntries = response.entries;
+      if (currentFilter === 'timeline') {
+        renderTimeline();
       }
     });
   };
-
-  // Apply search filter and sorting
-  const applySearchAndSort = () => {
-    // Apply search filter if there is a search query
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      filteredTabs = filteredTabs.filter(tab => 
-        tab.title.toLowerCase().includes(query) || 
-        tab.url.toLowerCase().includes(query)
-      );
+  
+  // Render the history grouped by day and hour
+  // Pages visited more than once in an hour are shown once with their total
+  // time; an entry counts towards the hour in which it started.
+  const renderTimeline = () => {
+    if (!timelineList) return;
+    
+    timelineList.innerHTML = '';
+    
+    if (timelineEntries.length === 0) {
+      if (noTimeline) noTimeline.classList.remove('hidden');
+      timelineTotal.textContent = '';
+      return;
     }
-
-    // Apply sorting
-    switch (currentSort) {
-      case 'title':
-        filteredTabs.sort((a, b) => a.title.localeCompare(b.title));
-        break;
-      case 'domain':
-        filteredTabs.sort((a, b) => {
-          const domainA = extractDomain(a.url);
-          const domainB = extractDomain(b.url);
-          return domainA.localeCompare(domainB);
-        });
-        break;
-      case 'recent':
-      default:
-        // Sort by tab index + window id for a rough approximation of recent usage
-        filteredTabs.sort((a, b) => {
-          if (a.windowId === b.windowId) {
-            return a.index - b.index;
+    
+    if (noTimeline) noTimeline.classList.add('hidden');
+    
+    const days = new Map();
+    let total = 0;
+    timelineEntries.forEach(entry => {
+      const date = new Date(entry.timestamp);
+      const dayKey = date.toDateString();
+      const hour = date.getHours();
+      const duration = getHistoryEntryDuration(entry);
+      
+      if (!days.has(dayKey)) {
+        days.set(dayKey, { date, total: 0, hours: new Map() });
+      }
+      const day = days.get(dayKey);
+      if (!day.hours.has(hour)) {
+        day.hours.set(hour, { total: 0, pages: new Map() });
+      }
+      const hourGroup = day.hours.get(hour);
+      if (!hourGroup.pages.has(entry.url)) {
+        hourGroup.pages.set(entry.url, { entry, duration: 0, visits: 0 });
+      }
+      const page = hourGroup.pages.get(entry.url);
+      
+      page.duration += duration;
+      page.visits++;
+      page.active = page.active || entry.active;
+      hourGroup.total += duration;
+      day.total += duration;
+      total += duration;
+    });
+    
+    timelineTotal.textContent = `${formatDuration(total)} in ${timelineEntries.length} visit${timelineEntries.length !== 1 ? 's' : ''}`;
+    
+    days.forEach(day => {
+      const dayItem = document.createElement('div');
+      dayItem.className = 'timeline-day';
+      
+      dayItem.innerHTML = `
+        <div class="timeline-day-header">
+          <span>${day.date.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })}</span>
+          <span class="timeline-duration">${formatDuration(day.total)}</span>
+        </div>
+        ${[...day.hours].map(([hour, hourGroup]) => `
+          <div class="timeline-hour">
+            <div class="timeline-hour-header">
+              <span class="timeline-hour-label">${String(hour).padStart(2, '0')}:00</span>
+              <span class="timeline-duration">${formatDuration(hourGroup.total)}</span>
+            </div>
+            ${[...hourGroup.pages.values()].sort((a, b) => b.duration - a.duration).map(page => `
+              <div class="timeline-page${page.active ? ' active' : ''}" data-url="${encodeHTMLEntities(page.entry.url)}" title="${encodeHTMLEntities(page.entry.url)}">
+                <img src="https://www.google.com/s2/favicons?domain=${extractDomain(page.entry.url)}" alt="" class="tab-favicon">
+                <span class="timeline-page-title">${escapeHTML(page.entry.title || page.entry.url)}</span>
+                <span class="timeline-page-domain">${escapeHTML(extractDomain(page.entry.url))}</span>
+                ${page.visits > 1 ? `<span class="timeline-page-visits">${page.visits}×</span>` : ''}
+                <span class="timeline-duration">${formatDuration(page.duration)}</span>
+              </div>
+            `).join('')}
+          </div>
+        `).join('')}
+      `;
+      
+      // Switch to the page if it is still open, otherwise open it again
+      /** @type {NodeListOf<HTMLElement>} */ (dayItem.querySelectorAll('.timeline-page')).forEach(pageItem => {
+        pageItem.addEventListener('click', () => {
+          const url = pageItem.dataset.url;
+          const openTab = allTabs.find(tab => tab.url === url);
+          if (openTab) {
+            switchToTab(openTab);
+          } else {
+            chrome.tabs.create({ url });
           }
-          return a.windowId - b.windowId;
         });
-        break;
-    }
-
-    updateStats();
-    renderTabs();
+      });
+      
+      timelineList.appendChild(dayItem);
+    });
   };
-
-  // Update statistics
-  const updateStats = () => {
-    // Set total tabs count
-    totalTabsElement.textContent = allTabs.length;
+  
+  // Fetch the focused time statistics for the dashboard
+  const fetchDashboard = () => {
+    if (dashboardLoadingIndicator) dashboardLoadingIndicator.classList.remove('hidden');
     
-    // Get the current window's tab count
-    chrome.windows.getCurrent((currentWindow) => {
-      currentWindowId = currentWindow.id;
-      const windowTabs = allTabs.filter(tab => tab.windowId === currentWindowId);
-      currentWindowTabCount = windowTabs.length;
+    chrome.runtime.sendMessage({ action: 'getFocusAnalytics' }, (response) => {
+      if (dashboardLoadingIndicator) dashboardLoadingIndicator.classList.add('hidden');
       
-      // Update current window tab count
-      currentWindowTabsElement.textContent = currentWindowTabCount;
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error fetching analytics:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      
+      dashboardData = { enabled: response.enabled, days: response.days, tabs: response.tabs };
+      if (currentFilter === 'dashboard') {
+        renderDashboard();
+      }
     });
   };
-
-  // Render tabs in the UI
-  const renderTabs = () => {
-    tabList.innerHTML = '';
+  
+  /**
+   * Render a column chart, scaled to the highest column
+   * @param {HTMLElement} container
+   * @param {{ value: number, label: string, title: string }[]} columns
+   */
+  const renderBarChart = (container, columns) => {
+    const max = Math.max(1, ...columns.map(column => column.value));
     
-    if (filteredTabs.length === 0) {
-      noResults.classList.remove('hidden');
+    container.innerHTML = columns.map(column => `
+      <div class="chart-column" title="${encodeHTMLEntities(`${column.title}: ${formatDuration(column.value)}`)}">
+        <div class="chart-bar-track">
+          <div class="chart-bar" style="height: ${(column.value / max) * 100}%"></div>
+        </div>
+        <span class="chart-label">${escapeHTML(column.label)}</span>
+      </div>
+    `).join('');
+  };
+  
+  /**
+   * Render rows with a bar for their share of the first (largest) row
+   * @param {HTMLElement} container
+   * @param {{ label: string, value: number, title?: string, domain?: string, tab?: chrome.tabs.Tab }[]} rows
+   * @param {string} emptyText
+   */
+  const renderRankedList = (container, rows, emptyText) => {
+    if (rows.length === 0) {
+      container.innerHTML = `<p class="dashboard-empty">${escapeHTML(emptyText)}</p>`;
+      return;
+    }
+    
+    const max = rows[0].value || 1;
+    container.innerHTML = rows.map(row => `
+      <div class="dashboard-row${row.tab ? ' clickable' : ''}" title="${encodeHTMLEntities(row.title || row.label)}">
+        ${row.domain ? `<img src="https://www.google.com/s2/favicons?domain=${row.domain}" alt="" class="tab-favicon">` : ''}
+        <span class="dashboard-row-label">${escapeHTML(row.label)}</span>
+        <div class="dashboard-row-track">
+          <div class="dashboard-row-bar" style="width: ${(row.value / max) * 100}%"></div>
+        </div>
+        <span class="dashboard-row-value">${formatDuration(row.value)}</span>
+      </div>
+    `).join('');
+    
+    container.querySelectorAll('.dashboard-row').forEach((rowElement, i) => {
+      const tab = rows[i].tab;
+      if (tab) {
+        rowElement.addEventListener('click', () => switchToTab(tab));
+      }
+    });
+  };
+  
+  /**
+   * Sort a map of durations, longest first
+   * @param {Object<string, number>} durations
+   * @returns {[string, number][]}
+   */
+  const sortDurations = (durations) => Object.entries(durations)
+    .filter(([, value]) => value > 0)
+    .sort((a, b) => b[1] - a[1]);
+  
+  // Render the charts and rankings for the selected period
+  const renderDashboard = () => {
+    if (!dashboardData) return;
+    
+    const { days, tabs } = dashboardData;
+    const now = Date.now();
+    const rangeDays = parseInt(dashboardRangeSelect.value);
+    const rangeKeys = getRecentDayKeys(now, rangeDays);
+    const range = sumFocusDays(days, rangeKeys);
+    
+    if (Object.keys(days).length === 0) {
+      noDashboardMessage.textContent = dashboardData.enabled
+        ? 'No focused time recorded yet'
+        : 'Time-spent analytics are turned off in the settings';
+      noDashboard.classList.remove('hidden');
+      dashboardContent.classList.add('hidden');
+      dashboardTotal.textContent = '';
+      return;
+    }
+    
+    noDashboard.classList.add('hidden');
+    dashboardContent.classList.remove('hidden');
+    dashboardTotal.textContent = `${formatDuration(range.total)} focused${dashboardData.enabled ? '' : ' (recording is off)'}`;
+    
+    // Today is shown by hour, longer periods by day
+    if (rangeDays === 1) {
+      dashboardDailyTitle.textContent = 'By hour';
+      renderBarChart(dashboardDailyChart, range.hours.map((value, hour) => ({
+        value,
+        label: hour % 6 === 0 ? String(hour) : '',
+        title: `${String(hour).padStart(2, '0')}:00`
+      })));
+    } else {
+      dashboardDailyTitle.textContent = 'By day';
+      renderBarChart(dashboardDailyChart, rangeKeys.map((key, i) => {
+        const date = new Date(`${key}T00:00`);
+        return {
+          value: days[key] ? days[key].total : 0,
+          label: rangeDays <= 7 ? date.toLocaleDateString(undefined, { weekday: 'short' }) : (i % 5 === 0 ? String(date.getDate()) : ''),
+          title: date.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' })
+        };
+      }));
+    }
+    
+    // The last eight weeks, each starting on a Monday
+    const daysSinceMonday = (new Date(now).getDay() + 6) % 7;
+    const weekKeys = getRecentDayKeys(now, daysSinceMonday + 1 + 7 * 7);
+    const weeks = [];
+    for (let i = 0; i < weekKeys.length; i += 7) {
+      weeks.push(weekKeys.slice(i, i + 7));
+    }
+    renderBarChart(dashboardWeeklyChart, weeks.map(keys => {
+      const monday = new Date(`${keys[0]}T00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+      return { value: sumFocusDays(days, keys).total, label: monday, title: `Week of ${monday}` };
+    }));
+    
+    renderRankedList(dashboardDomains, sortDurations(range.domains).slice(0, 10).map(([domain, value]) => ({
+      label: domain, domain, value
+    })), 'No web pages had focus in this period');
+    
+    renderRankedList(dashboardGroups, sortDurations(range.groups).map(([group, value]) => ({
+      label: group, value
+    })), 'No grouped tabs had focus in this period');
+    
+    // Tab IDs only last for the browser session, so only open tabs are listed
+    const tabRows = sortDurations(tabs)
+      .map(([tabId, value]) => ({ tab: allTabs.find(t => t.id === Number(tabId)), value }))
+      .filter(row => row.tab)
+      .slice(0, 10)
+      .map(({ tab, value }) => {
+        const openTab = /** @type {TabManager.TabWithRelationship} */ (tab);
+        return {
+          label: openTab.title || openTab.url || '', title: openTab.url, domain: extractDomain(openTab.url || ''), tab: openTab, value
+        };
+      });
+    renderRankedList(dashboardTabs, tabRows, 'No open tab had focus since the browser started');
+  };
+  
+  // Fetch the log of recently closed tabs
+  const fetchClosedTabs = () => {
+    if (closedTabsLoadingIndicator) closedTabsLoadingIndicator.classList.remove('hidden');
+    
+    chrome.runtime.sendMessage({ action: 'getRecentlyClosed' }, (response) => {
+      if (closedTabsLoadingIndicator) closedTabsLoadingIndicator.classList.add('hidden');
+      
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error fetching closed tabs:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      
+      closedTabEntries = response.entries;
+      if (currentFilter === 'closed') {
+        renderClosedTabs();
+      }
+    });
+  };
+  
+  /**
+   * Reopen a closed tab, or the tab and the closed tabs below it
+   * @param {string} entryId - ID of the log entry
+   * @param {boolean} subtree - Whether to reopen the closed tabs below it too
+   */
+  const reopenClosedTab = (entryId, subtree) => {
+    chrome.runtime.sendMessage({ action: 'reopenRecentlyClosed', entryId, subtree }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error reopening closed tab:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+      }
+      fetchClosedTabs();
+    });
+  };
+  
+  // Render the recently closed tabs
+  // Tabs closed after their parent are nested under it; while searching, the
+  // matching tabs are listed on their own.
+  const renderClosedTabs = () => {
+    if (!closedTabsList) return;
+    
+    closedTabsList.innerHTML = '';
+    
+    const query = searchQuery.toLowerCase();
+    const entries = query
+      ? closedTabEntries.filter(entry => (entry.title || '').toLowerCase().includes(query) || entry.url.toLowerCase().includes(query))
+      : closedTabEntries;
+    
+    closedTabsCount.textContent = entries.length > 0 ? `${entries.length} closed tab${entries.length !== 1 ? 's' : ''}` : '';
+    
+    if (entries.length === 0) {
+      if (noClosedTabs) noClosedTabs.classList.remove('hidden');
+      return;
+    }
+    
+    if (noClosedTabs) noClosedTabs.classList.add('hidden');
+    
+    /**
+     * Finds the closed parent an entry is nested under
+     * @param {typeof closedTabEntries[number]} entry
+     */
+    const findClosedParent = (entry) => entry.parentTabId === undefined ? undefined : entries.find(other =>
+      other.sessionId === entry.sessionId && other.originalId === entry.parentTabId);
+    
+    /**
+     * @param {typeof closedTabEntries[number]} entry
+     * @param {HTMLElement} container
+     */
+    const renderEntry = (entry, container) => {
+      const openParent = !entry.previousSession && entry.parentTabId !== undefined
+        ? allTabs.find(tab => tab.id === entry.parentTabId)
+        : undefined;
+      const details = [
+        formatDate(entry.closedAt),
+        entry.windowClosing ? 'with its window' : '',
+        entry.previousSession ? 'before restart' : '',
+        openParent ? `under "${openParent.title}"` : ''
+      ].filter(Boolean).join(' · ');
+      
+      const item = document.createElement('div');
+      item.className = 'closed-tab';
+      item.innerHTML = `
+        <div class="closed-tab-item" title="${encodeHTMLEntities(entry.url)}">
+          <img src="https://www.google.com/s2/favicons?domain=${extractDomain(entry.url)}" alt="" class="tab-favicon">
+          <div class="closed-tab-info">
+            <span class="closed-tab-title">${escapeHTML(entry.title || entry.url)}</span>
+            <span class="closed-tab-details">${escapeHTML(details)}</span>
+          </div>
+          <div class="closed-tab-actions">
+            <button class="reopen-closed-tab-button" title="Reopen in its place">
+              <span data-feather="rotate-ccw" class="icon"></span>
+            </button>
+            ${entry.subtreeSize > 1 ? `
+              <button class="reopen-closed-subtree-button" title="Reopen with the ${entry.subtreeSize - 1} closed tab${entry.subtreeSize > 2 ? 's' : ''} below it">
+                <span data-feather="git-merge" class="icon"></span>
+                ${entry.subtreeSize}
+              </button>
+            ` : ''}
+          </div>
+        </div>
+        <div class="closed-tab-children"></div>
+      `;
+      
+      item.querySelector('.reopen-closed-tab-button')?.addEventListener('click', () => reopenClosedTab(entry.id, false));
+      const subtreeButton = item.querySelector('.reopen-closed-subtree-button');
+      if (subtreeButton) {
+        subtreeButton.addEventListener('click', () => reopenClosedTab(entry.id, true));
+      }
+      
+      if (!query) {
+        const children = /** @type {HTMLElement} */ (item.querySelector('.closed-tab-children'));
+        entries
+          .filter(other => findClosedParent(other) === entry)
+          .forEach(child => renderEntry(child, children));
+      }
+      
+      container.appendChild(item);
+    };
+    
+    entries
+      .filter(entry => query || !findClosedParent(entry))
+      .forEach(entry => renderEntry(entry, closedTabsList));
+    
+    feather.replace({ class: 'icon', node: closedTabsList });
+  };
+  
+  // Fetch the list of session snapshots
+  const fetchSessionSnapshots = () => {
+    if (sessionsLoadingIndicator) sessionsLoadingIndicator.classList.remove('hidden');
+    
+    chrome.runtime.sendMessage({ action: 'getSessionSnapshots' }, (response) => {
+      if (sessionsLoadingIndicator) sessionsLoadingIndicator.classList.add('hidden');
+      
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error fetching snapshots:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      
+      sessionSnapshots = response.snapshots;
+      if (currentFilter === 'sessions') {
+        renderSessionSnapshots();
+      }
+    });
+  };
+  
+  // Render the session snapshots in the UI
+  const renderSessionSnapshots = () => {
+    if (!sessionsList) return;
+    
+    sessionsList.innerHTML = '';
+    
+    if (sessionSnapshots.length === 0) {
+      if (noSessions) noSessions.classList.remove('hidden');
+      return;
+    }
+    
+    if (noSessions) noSessions.classList.add('hidden');
+    
+    sessionSnapshots.forEach((summary) => {
+      const snapshotItem = document.createElement('div');
+      snapshotItem.className = 'inactive-window-item snapshot-item';
+      snapshotItem.dataset.snapshotId = summary.id;
+      
+      snapshotItem.innerHTML = `
+        <div class="window-header">
+          <div class="window-title">
+            <span data-feather="clock" class="icon"></span>
+            <span>${formatDate(summary.createdAt)}</span>
+            <span class="snapshot-trigger ${summary.trigger}">${summary.trigger === 'auto' ? 'auto' : 'manual'}</span>
+          </div>
+          <div class="window-date">
+            ${summary.windowCount} window${summary.windowCount !== 1 ? 's' : ''},
+            ${summary.tabCount} tab${summary.tabCount !== 1 ? 's' : ''},
+            ${summary.groupCount} group${summary.groupCount !== 1 ? 's' : ''}
+          </div>
+        </div>
+        <div class="window-actions">
+          <button class="browse-snapshot-button" title="Show windows and tabs">
+            <span data-feather="chevron-down" class="icon"></span>
+            Browse
+          </button>
+          <button class="diff-snapshot-button" title="Compare with open tabs">
+            <span data-feather="git-pull-request" class="icon"></span>
+            Compare
+          </button>
+          <button class="restore-snapshot-button" title="Restore all windows">
+            <span data-feather="refresh-cw" class="icon"></span>
+            Restore
+          </button>
+          <button class="delete-snapshot-button" title="Delete snapshot">
+            <span data-feather="trash-2" class="icon"></span>
+          </button>
+        </div>
+        <div class="snapshot-diff"></div>
+        <div class="snapshot-windows"></div>
+      `;
+      
+      if (snapshotDiffs[summary.id]) {
+        renderSnapshotDiff(/** @type {HTMLElement} */ (snapshotItem.querySelector('.snapshot-diff')), snapshotDiffs[summary.id]);
+      }
+      if (expandedSnapshots.has(summary.id) && loadedSnapshots[summary.id]) {
+        renderSnapshotWindows(/** @type {HTMLElement} */ (snapshotItem.querySelector('.snapshot-windows')), loadedSnapshots[summary.id]);
+        snapshotItem.classList.add('expanded');
+      }
+      
+      feather.replace({ class: 'icon', node: snapshotItem });
+      
+      snapshotItem.querySelector('.browse-snapshot-button')?.addEventListener('click', () => {
+        if (expandedSnapshots.has(summary.id)) {
+          expandedSnapshots.delete(summary.id);
+          renderSessionSnapshots();
+          return;
+        }
+        
+        loadSessionSnapshot(summary.id, () => {
+          expandedSnapshots.add(summary.id);
+          renderSessionSnapshots();
+        });
+      });
+      
+      snapshotItem.querySelector('.diff-snapshot-button')?.addEventListener('click', () => {
+        if (snapshotDiffs[summary.id]) {
+          delete snapshotDiffs[summary.id];
+          renderSessionSnapshots();
+          return;
+        }
+        
+        chrome.runtime.sendMessage({ action: 'diffSessionSnapshot', snapshotId: summary.id }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            console.error('Error comparing snapshot:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+            return;
+          }
+          snapshotDiffs[summary.id] = { missing: response.missing, added: response.added };
+          renderSessionSnapshots();
+        });
+      });
+      
+      snapshotItem.querySelector('.restore-snapshot-button')?.addEventListener('click', () => {
+        if (confirm(`Restore ${summary.windowCount} window(s) with ${summary.tabCount} tabs from this snapshot?`)) {
+          restoreSessionSnapshot(summary.id);
+        }
+      });
+      
+      snapshotItem.querySelector('.delete-snapshot-button')?.addEventListener('click', () => {
+        if (confirm('Are you sure you want to delete this snapshot?')) {
+          chrome.runtime.sendMessage({ action: 'deleteSessionSnapshot', snapshotId: summary.id }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+              console.error('Error deleting snapshot:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+            }
+            delete loadedSnapshots[summary.id];
+            fetchSessionSnapshots();
+          });
+        }
+      });
+      
+      sessionsList.appendChild(snapshotItem);
+    });
+  };
+  
+  /**
+   * Load the full contents of a snapshot, once
+   * @param {string} snapshotId
+   * @param {(snapshot: TabManager.SessionSnapshot) => void} onLoaded
+   */
+  const loadSessionSnapshot = (snapshotId, onLoaded) => {
+    if (loadedSnapshots[snapshotId]) {
+      onLoaded(loadedSnapshots[snapshotId]);
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ action: 'getSessionSnapshot', snapshotId }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error loading snapshot:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        fetchSessionSnapshots();
+        return;
+      }
+      
+      loadedSnapshots[snapshotId] = response.snapshot;
+      onLoaded(response.snapshot);
+    });
+  };
+  
+  /**
+   * Render the comparison of a snapshot with the open tabs
+   * @param {HTMLElement} container
+   * @param {{missing: Array<{url: string, title?: string}>, added: Array<{url: string, title?: string}>}} diff
+   */
+  const renderSnapshotDiff = (container, diff) => {
+    /** @param {Array<{url: string, title?: string}>} tabs */
+    const renderList = (tabs) => tabs.map(tab => `
+      <div class="inactive-tab-item" title="${encodeHTMLEntities(tab.url)}">
+        <span class="inactive-tab-title">${escapeHTML(tab.title || tab.url)}</span>
+      </div>
+    `).join('');
+    
+    container.innerHTML = `
+      <div class="snapshot-diff-section">
+        <div class="snapshot-diff-heading missing">Not open now (${diff.missing.length})</div>
+        <div class="inactive-tab-list">${renderList(diff.missing)}</div>
+      </div>
+      <div class="snapshot-diff-section">
+        <div class="snapshot-diff-heading added">Opened since (${diff.added.length})</div>
+        <div class="inactive-tab-list">${renderList(diff.added)}</div>
+      </div>
+    `;
+  };
+  
+  /**
+   * Render the windows and tabs of a snapshot with checkboxes for selective restores
+   * @param {HTMLElement} container
+   * @param {TabManager.SessionSnapshot} snapshot
+   */
+  const renderSnapshotWindows = (container, snapshot) => {
+    container.innerHTML = `
+      <div class="inactive-tabs-toolbar">
+        <button class="secondary-button restore-selected-button" disabled>Restore selected</button>
+      </div>
+      ${snapshot.windows.map(windowData => `
+        <div class="snapshot-window" data-window-record-id="${encodeHTMLEntities(windowData.id)}">
+          <label class="select-all-label snapshot-window-label">
+            <input type="checkbox" class="select-window-checkbox">
+            ${escapeHTML(windowData.name)} (${windowData.tabs.length} tab${windowData.tabs.length !== 1 ? 's' : ''})
+          </label>
+          <div class="inactive-tab-list">
+            ${windowData.tabs.map((tab, tabIndex) => `
+              <div class="inactive-tab-item">
+                <input type="checkbox" class="tab-select-checkbox" data-tab-index="${tabIndex}">
+                <img src="${encodeHTMLEntities(tab.favIconUrl || `https://www.google.com/s2/favicons?domain=${extractDomain(tab.url || '')}`)}" alt="" class="tab-favicon">
+                <span class="inactive-tab-title" title="${encodeHTMLEntities(tab.url || '')}">${escapeHTML(tab.title || tab.url || '')}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `).join('')}
+    `;
+    
+    const restoreSelectedButton = /** @type {HTMLButtonElement} */ (container.querySelector('.restore-selected-button'));
+    const updateRestoreButton = () => {
+      restoreSelectedButton.disabled = !container.querySelector('.tab-select-checkbox:checked');
+    };
+    
+    container.querySelectorAll('.snapshot-window').forEach(windowElement => {
+      const windowCheckbox = /** @type {HTMLInputElement} */ (windowElement.querySelector('.select-window-checkbox'));
+      const tabCheckboxes = /** @type {NodeListOf<HTMLInputElement>} */ (windowElement.querySelectorAll('.tab-select-checkbox'));
+      
+      windowCheckbox.addEventListener('change', () => {
+        tabCheckboxes.forEach(checkbox => { checkbox.checked = windowCheckbox.checked; });
+        updateRestoreButton();
+      });
+      tabCheckboxes.forEach(checkbox => checkbox.addEventListener('change', () => {
+        windowCheckbox.checked = Array.from(tabCheckboxes).every(c => c.checked);
+        updateRestoreButton();
+      }));
+    });
+    
+    restoreSelectedButton.addEventListener('click', () => {
+      const selection = Array.from(/** @type {NodeListOf<HTMLElement>} */ (container.querySelectorAll('.snapshot-window')))
+        .map(windowElement => ({
+          windowRecordId: windowElement.dataset.windowRecordId || '',
+          tabIndices: Array.from(/** @type {NodeListOf<HTMLInputElement>} */ (windowElement.querySelectorAll('.tab-select-checkbox:checked')))
+            .map(checkbox => parseInt(checkbox.dataset.tabIndex || ''))
+        }))
+        .filter(windowSelection => windowSelection.tabIndices.length > 0);
+      
+      restoreSessionSnapshot(snapshot.id, selection);
+    });
+  };
+  
+  /**
+   * Restore a snapshot, optionally only the selected tabs
+   * @param {string} snapshotId
+   * @param {Array<{windowRecordId: string, tabIndices?: number[]}>} [selection] - Windows and tabs to restore, all if omitted
+   */
+  const restoreSessionSnapshot = (snapshotId, selection) => {
+    if (sessionsLoadingIndicator) sessionsLoadingIndicator.classList.remove('hidden');
+    
+    chrome.runtime.sendMessage({ action: 'restoreSessionSnapshot', snapshotId, selection }, (response) => {
+      if (sessionsLoadingIndicator) sessionsLoadingIndicator.classList.add('hidden');
+      
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error;
+        console.error('Error restoring snapshot:', error);
+        if (error) alert(error);
+        return;
+      }
+      
+      snapshotDiffs = {};
+      fetchTabs();
+    });
+  };
+  
+  /**
+   * Whether an inactive window carries a tag (case-insensitive)
+   * @param {TabManager.InactiveWindow} windowData
+   * @param {string} tag
+   */
+  const hasTag = (windowData, tag) => {
+    const key = tag.toLowerCase();
+    return (windowData.tags || []).some(t => t.toLowerCase() === key);
+  };
+  
+  // Render the tag filter chips above the inactive windows list
+  const renderInactiveTagFilters = () => {
+    if (!inactiveTagFilters) return;
+    
+    inactiveTagFilters.innerHTML = '';
+    
+    // Collect every tag once, keeping the first spelling seen
+    const allTags = parseTags(inactiveWindows.flatMap(windowData => windowData.tags || []))
+      .sort((a, b) => a.localeCompare(b));
+    
+    // Forget a filter whose tag no longer exists
+    const activeTagKey = activeInactiveTag && activeInactiveTag.toLowerCase();
+    if (activeTagKey && !allTags.some(tag => tag.toLowerCase() === activeTagKey)) {
+      activeInactiveTag = null;
+    }
+    
+    if (allTags.length === 0) {
+      inactiveTagFilters.classList.add('hidden');
+      return;
+    }
+    
+    inactiveTagFilters.classList.remove('hidden');
+    
+    /**
+     * @param {string} label - Text of the chip
+     * @param {string|null} tag - Tag to filter by, or null for all windows
+     */
+    const createChip = (label, tag) => {
+      const chip = document.createElement('button');
+      chip.className = 'tag-filter-chip';
+      chip.textContent = label;
+      const isActive = tag && activeInactiveTag
+        ? tag.toLowerCase() === activeInactiveTag.toLowerCase()
+        : tag === activeInactiveTag;
+      if (isActive) {
+        chip.classList.add('active');
+      }
+      chip.addEventListener('click', () => {
+        activeInactiveTag = tag;
+        renderInactiveWindows();
+      });
+      inactiveTagFilters.appendChild(chip);
+    };
+    
+    createChip('All', null);
+    allTags.forEach(tag => {
+      const count = inactiveWindows.filter(windowData => hasTag(windowData, tag)).length;
+      createChip(`${tag} (${count})`, tag);
+    });
+  };
+  
+  /**
+   * Show the modal for editing the name, tags and notes of an inactive window
+   * @param {TabManager.InactiveWindow} windowData
+   */
+  const showEditWindowModal = (windowData) => {
+    if (!editWindowModal) return;
+    
+    editingWindowRecordId = windowData.id;
+    editWindowNameInput.value = windowData.name || '';
+    editWindowTagsInput.value = (windowData.tags || []).join(', ');
+    editWindowNotesInput.value = windowData.notes || '';
+    
+    editWindowModal.classList.remove('hidden');
+    editWindowModal.classList.add('visible');
+    editWindowNameInput.focus();
+  };
+  
+  const hideEditWindowModal = () => {
+    if (!editWindowModal) return;
+    
+    editingWindowRecordId = null;
+    editWindowModal.classList.remove('visible');
+    editWindowModal.classList.add('hidden');
+  };
+  
+  // Save the changes made in the edit modal
+  const saveEditedWindow = () => {
+    if (!editingWindowRecordId) return;
+    
+    const name = editWindowNameInput.value.trim();
+    if (!name) {
+      alert('Please enter a window name');
+      return;
+    }
+    
+    const changes = {
+      name,
+      notes: editWindowNotesInput.value,
+      tags: parseTags(editWindowTagsInput.value)
+    };
+    
+    sendInactiveWindowAction(
+      { action: 'updateInactiveWindow', windowRecordId: editingWindowRecordId, changes },
+      'updating window'
+    );
+    hideEditWindowModal();
+  };
+  
+  /**
+   * Create the tab list of an inactive window with per-tab actions
+   * @param {TabManager.InactiveWindow} windowData - The archived window
+   * @param {TabManager.InactiveWindow[]} sortedWindows - All archived windows, offered as move targets
+   */
+  const createInactiveWindowTabsPanel = (windowData, sortedWindows) => {
+    const windowRecordId = windowData.id;
+    const tabsPanel = document.createElement('div');
+    tabsPanel.className = 'inactive-window-tabs';
+    
+    // Other archived windows the selected tabs can be moved to
+    const moveTargets = sortedWindows
+      .filter(other => other !== windowData)
+      .map(other => `<option value="${encodeHTMLEntities(other.id)}">${escapeHTML(other.name || `Window ${other.originalWindowId || ''}`)}</option>`)
+      .join('');
+    
+    const tabRows = windowData.tabs.map((tab, tabIndex) => {
+      const url = tab.url || '';
+      const faviconSrc = tab.favIconUrl || `https://www.google.com/s2/favicons?domain=${extractDomain(url)}`;
+      return `
+        <div class="inactive-tab-item" title="${encodeHTMLEntities(url)}">
+          <input type="checkbox" class="inactive-tab-checkbox" data-tab-index="${tabIndex}">
+          <img src="${encodeHTMLEntities(faviconSrc)}" alt="" class="tab-favicon">
+          <span class="inactive-tab-title">${escapeHTML(tab.title || url)}</span>
+          <button class="tab-action-button delete-inactive-tab" data-tab-index="${tabIndex}" title="Delete from archive">
+            <span data-feather="x" class="icon"></span>
+          </button>
+        </div>
+      `;
+    }).join('');
+    
+    tabsPanel.innerHTML = `
+      <div class="inactive-tabs-toolbar">
+        <label class="select-all-label">
+          <input type="checkbox" class="select-all-inactive-tabs"> All
+        </label>
+        <button class="secondary-button restore-selected-current" title="Restore selected tabs into the current window">Restore here</button>
+        <button class="secondary-button restore-selected-new" title="Restore selected tabs into a new window">New window</button>
+        ${moveTargets ? `
+          <select class="move-target-select" title="Move selected tabs to another archived window">
+            <option value="">Move to...</option>
+            ${moveTargets}
+          </select>
+        ` : ''}
+      </div>
+      <div class="inactive-tab-list">
+        ${tabRows}
+      </div>
+    `;
+    
+    // Tabs are sent by URL and saved index rather than by position, which may
+    // have shifted by the time the background applies the action
+    /** @param {number} tabIndex */
+    const getTabKey = tabIndex => {
+      const tab = windowData.tabs[tabIndex];
+      return { url: tab.url, index: tab.index };
+    };
+    const getSelectedTabKeys = () => Array.from(/** @type {NodeListOf<HTMLInputElement>} */ (tabsPanel.querySelectorAll('.inactive-tab-checkbox:checked')))
+      .map(checkbox => getTabKey(parseInt(checkbox.dataset.tabIndex || '')));
+    
+    tabsPanel.querySelector('.select-all-inactive-tabs')?.addEventListener('change', (e) => {
+      const checked = /** @type {HTMLInputElement} */ (e.target).checked;
+      /** @type {NodeListOf<HTMLInputElement>} */ (tabsPanel.querySelectorAll('.inactive-tab-checkbox')).forEach(checkbox => {
+        checkbox.checked = checked;
+      });
+    });
+    
+    tabsPanel.querySelector('.restore-selected-current')?.addEventListener('click', () => {
+      const tabKeys = getSelectedTabKeys();
+      if (tabKeys.length === 0) return;
+      sendInactiveWindowAction({ action: 'restoreInactiveTabs', windowRecordId, tabKeys, target: 'current' }, 'restoring tabs');
+    });
+    
+    tabsPanel.querySelector('.restore-selected-new')?.addEventListener('click', () => {
+      const tabKeys = getSelectedTabKeys();
+      if (tabKeys.length === 0) return;
+      sendInactiveWindowAction({ action: 'restoreInactiveTabs', windowRecordId, tabKeys, target: 'new' }, 'restoring tabs');
+    });
+    
+    tabsPanel.querySelector('.move-target-select')?.addEventListener('change', (e) => {
+      const moveTargetSelect = /** @type {HTMLSelectElement} */ (e.target);
+      const tabKeys = getSelectedTabKeys();
+      const targetWindowRecordId = moveTargetSelect.value;
+      if (tabKeys.length === 0 || !targetWindowRecordId) {
+        moveTargetSelect.value = '';
+        return;
+      }
+      sendInactiveWindowAction({ action: 'moveInactiveTabs', windowRecordId, tabKeys, targetWindowRecordId }, 'moving tabs');
+    });
+    
+    /** @type {NodeListOf<HTMLElement>} */ (tabsPanel.querySelectorAll('.delete-inactive-tab')).forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const tabIndex = parseInt(button.dataset.tabIndex || '');
+        sendInactiveWindowAction({ action: 'deleteInactiveTabs', windowRecordId, tabKeys: [getTabKey(tabIndex)] }, 'deleting tab');
+      });
+    });
+    
+    return tabsPanel;
+  };
+  
+  /**
+   * Send an inactive window action to the background and refresh the lists when done
+   * @param {Object} message - Message with the action and its parameters
+   * @param {string} description - What the action does, for error messages
+   */
+  const sendInactiveWindowAction = (message, description) => {
+    if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.remove('hidden');
+    
+    chrome.runtime.sendMessage(message, (response) => {
+      const hideLoadingIndicator = () => {
+        if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.add('hidden');
+      };
+      
+      if (chrome.runtime.lastError) {
+        console.error(`Error ${description}:`, chrome.runtime.lastError.message);
+        hideLoadingIndicator();
+        return;
+      }
+      
+      if (response && response.success) {
+        // Refresh the inactive windows list and the tab list
+        fetchInactiveWindows();
+        fetchTabs();
+      } else {
+        console.error(`Failed ${description}:`, response && response.error);
+        
+        // The record may have been changed from another tab manager window
+        if (response && response.error) {
+          alert(response.error);
+        }
+        fetchInactiveWindows();
+      }
+    });
+  };
+  
+  /**
+   * Export selected inactive windows into the import/export modal
+   * @param {string[]} windowRecordIds - IDs of the inactive window records
+   */
+  const exportInactiveWindowRecords = (windowRecordIds) => {
+    chrome.runtime.sendMessage({ action: 'exportInactiveWindows', windowRecordIds }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error exporting window:', chrome.runtime.lastError.message);
+        return;
+      }
+      
+      showImportExportModal();
+      
+      if (response.success) {
+        if (exportDataTextarea) exportDataTextarea.value = response.data;
+      } else {
+        showImportExportResult(false, 'Failed to export: ' + (response.error || 'Unknown error'));
+      }
+    });
+  };
+  
+  /**
+   * Restore an inactive window
+   * @param {string} windowRecordId - ID of the inactive window record
+   */
+  const restoreInactiveWindow = (windowRecordId) => {
+    // Show loading indicator if we have one
+    if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.remove('hidden');
+    
+    chrome.runtime.sendMessage(
+      { action: 'reactivateWindow', windowRecordId },
+      (response) => {
+        // Hide loading indicator when done with the operation
+        const hideLoadingIndicator = () => {
+          if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.add('hidden');
+        };
+        
+        if (chrome.runtime.lastError) {
+          console.error('Error restoring window:', chrome.runtime.lastError.message);
+          hideLoadingIndicator();
+          return;
+        }
+        
+        if (response.success) {
+          console.log('Window restored successfully');
+          // Refresh the inactive windows list
+          fetchInactiveWindows();
+          // Also fetch tabs to update the tab list
+          fetchTabs();
+          // No need to hide the indicator here as fetchInactiveWindows will do it
+        } else {
+          console.error('Failed to restore window:', response.error);
+          
+          // The record may have been restored from another tab manager window
+          if (response.error) {
+            alert(response.error);
+          }
+          fetchInactiveWindows();
+        }
+      }
+    );
+  };
+  
+  // Deactivate the current window
+  const deactivateCurrentWindow = () => {
+    // Show loading indicator if we have one
+    if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.remove('hidden');
+    
+    chrome.windows.getCurrent((currentWindow) => {
+      // Always hide loading indicator when we're done with the whole operation
+      const hideLoadingIndicator = () => {
+        if (inactiveWindowsLoadingIndicator) inactiveWindowsLoadingIndicator.classList.add('hidden');
+      };
+      
+      if (chrome.runtime.lastError) {
+        console.error('Error getting current window:', chrome.runtime.lastError.message);
+        hideLoadingIndicator();
+        return;
+      }
+      
+      // Confirm with the user
+      if (confirm(`Are you sure you want to deactivate the current window with ${currentWindowTabCount} tabs?`)) {
+        chrome.runtime.sendMessage(
+          { action: 'deactivateWindow', windowId: currentWindow.id },
+          (response) => {
+            if (chrome.runtime.lastError) {
+              console.error('Error deactivating window:', chrome.runtime.lastError.message);
+              hideLoadingIndicator();
+              return;
+            }
+            
+            if (response.success) {
+              console.log('Window deactivated successfully');
+              // The window will be closed by the background script
+              // No need to hide loading indicator as the window will close
+              showUndoToast(response.undoEntry);
+            } else {
+              console.error('Failed to deactivate window:', response.error);
+              hideLoadingIndicator();
+            }
+          }
+        );
+      } else {
+        // User cancelled the operation
+        hideLoadingIndicator();
+      }
+    });
+  };
+
+  /**
+   * Orders tabs by window, then by their position in the window
+   * 
+   * @param {TabManager.TabWithRelationship} a - First tab
+   * @param {TabManager.TabWithRelationship} b - Second tab
+   * @returns {number}
+   */
+  const compareTabPositions = (a, b) => {
+    if (a.windowId === b.windowId) {
+      return a.index - b.index;
+    }
+    return a.windowId - b.windowId;
+  };
+
+  // Apply search filter and sorting
+  const applySearchAndSort = () => {
+    // Apply search filter if there is a search query
+    if (searchQuery) {
+      const query = searchQuery.toLowerCase();
+      filteredTabs = filteredTabs.filter(tab => 
+        tab.title.toLowerCase().includes(query) || 
+        tab.url.toLowerCase().includes(query)
+      );
+    }
+
+    // Apply sorting
+    switch (currentSort) {
+      case 'title':
+        filteredTabs.sort((a, b) => a.title.localeCompare(b.title));
+        break;
+      case 'domain':
+        filteredTabs.sort((a, b) => {
+          const domainA = extractDomain(a.url);
+          const domainB = extractDomain(b.url);
+          return domainA.localeCompare(domainB);
+        });
+        break;
+      case 'lru':
+        // Tabs the background has never seen active count as least recently used
+        filteredTabs.sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0) || compareTabPositions(a, b));
+        break;
+      case 'recent':
+      default:
+        filteredTabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0) || compareTabPositions(a, b));
+        break;
+    }
+
+    updateStats();
+    renderTabs();
+  };
+
+  // Update statistics
+  const updateStats = () => {
+    // Set total tabs count
+    totalTabsElement.textContent = allTabs.length;
+    
+    // Get the current window's tab count
+    chrome.windows.getCurrent((currentWindow) => {
+      currentWindowId = currentWindow.id;
+      const windowTabs = allTabs.filter(tab => tab.windowId === currentWindowId);
+      currentWindowTabCount = windowTabs.length;
+      
+      // Update current window tab count
+      currentWindowTabsElement.textContent = currentWindowTabCount;
+    });
+  };
+
+  // Render tabs in the UI
+  const renderTabs = () => {
+    tabList.innerHTML = '';
+    
+    if (filteredTabs.length === 0) {
+      noResults.classList.remove('hidden');
     } else {
       noResults.classList.add('hidden');
 
@@ -743,13 +2014,22 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Render each custom group
     customGroups.forEach(group => {
+      // Bind members against all tabs so that filtering doesn't mark them closed;
+      // the background saves members that moved to other tabs
+      const binding = bindGroupMembers(group, allTabs, trackingSessionId);
+      
       // Find tabs that belong to this group
-      const groupTabs = remainingTabs.filter(tab => 
-        group.tabIds.includes(tab.id)
+      const groupTabs = remainingTabs.filter(tab => binding.tabs.includes(tab));
+      
+      // Members that are no longer open, narrowed down by the search query
+      const query = searchQuery.toLowerCase();
+      const closedMembers = binding.closedMembers.filter(member => !query ||
+        (member.title || '').toLowerCase().includes(query) ||
+        member.url.toLowerCase().includes(query)
       );
       
       // Skip empty groups
-      if (groupTabs.length === 0) return;
+      if (groupTabs.length === 0 && closedMembers.length === 0) return;
       
       // Remove these tabs from remaining tabs
       groupTabs.forEach(tab => {
@@ -768,16 +2048,22 @@ document.addEventListener('DOMContentLoaded', () => {
       groupHeader.className = 'tab-group-header';
       
       // Add tooltip with group info
-      const groupInfo = `${escapeHTML(group.name)} - ${groupTabs.length} tab${groupTabs.length > 1 ? 's' : ''}`;
+      let groupInfo = `${escapeHTML(group.name)} - ${groupTabs.length} tab${groupTabs.length !== 1 ? 's' : ''}`;
+      if (closedMembers.length > 0) {
+        groupInfo += `, ${closedMembers.length} closed`;
+      }
       groupHeader.title = groupInfo;
       
       groupHeader.innerHTML = `
         <div class="tab-group-title">
           <span class="color-badge ${group.color}"></span>
           <span>${escapeHTML(group.name)}</span>
-          <span class="tab-count">(${groupTabs.length})</span>
+          <span class="tab-count">(${groupTabs.length}${closedMembers.length > 0 ? ` + ${closedMembers.length} closed` : ''})</span>
         </div>
         <div class="tab-group-actions">
+          <button class="group-action-button share-group" title="Export tabs as Markdown or CSV">
+            <span data-feather="share" class="icon"></span>
+          </button>
           <button class="group-action-button edit-group" title="Edit group">
             <span data-feather="edit-2" class="icon"></span>
           </button>
@@ -797,6 +2083,11 @@ document.addEventListener('DOMContentLoaded', () => {
         groupContent.appendChild(tabElement);
       });
       
+      // Add closed members after the open tabs
+      closedMembers.forEach(member => {
+        groupContent.appendChild(createClosedMemberElement(group, member));
+      });
+      
       // Add event listeners
       groupHeader.addEventListener('click', (e) => {
         if (!e.target.closest('.tab-group-actions')) {
@@ -813,7 +2104,15 @@ document.addEventListener('DOMContentLoaded', () => {
         groupContent.classList.add('expanded');
       }
       
-      // Add edit and delete button listeners
+      // Add export, edit and delete button listeners
+      const shareButton = groupHeader.querySelector('.share-group');
+      if (shareButton) {
+        shareButton.addEventListener('click', (e) => {
+          e.stopPropagation();
+          showExportTabsModal(`customGroup:${group.id}`);
+        });
+      }
+      
       const editButton = groupHeader.querySelector('.edit-group');
       if (editButton) {
         editButton.addEventListener('click', (e) => {
@@ -891,6 +2190,66 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize feather icons for the group list
     feather.replace({ class: 'icon', node: groupList });
   };
+  
+  /**
+   * Create element for a group member whose tab is no longer open
+   * @param {TabManager.CustomTabGroup} group
+   * @param {TabManager.CustomGroupMember} member
+   */
+  const createClosedMemberElement = (group, member) => {
+    const memberElement = document.createElement('div');
+    memberElement.className = 'tab-item closed-member';
+    memberElement.title = `Closed - click to reopen\n${member.url}`;
+    
+    const faviconUrl = member.favIconUrl || `https://www.google.com/s2/favicons?domain=${extractDomain(member.url)}`;
+    
+    memberElement.innerHTML = `
+      <img class="tab-favicon" src="${encodeHTMLEntities(faviconUrl)}" alt="">
+      <div class="tab-info">
+        <div class="tab-title">${escapeHTML(member.title || member.url)}</div>
+        <span class="closed-badge">closed</span>
+      </div>
+      <div class="tab-actions">
+        <button class="tab-action-button reopen-member" title="Reopen tab">
+          <span data-feather="rotate-ccw" class="icon"></span>
+        </button>
+        <button class="tab-action-button remove-member" title="Remove from group">
+          <span data-feather="x" class="icon"></span>
+        </button>
+      </div>
+    `;
+    
+    feather.replace({ class: 'icon', node: memberElement });
+    
+    memberElement.addEventListener('click', (e) => {
+      if (!/** @type {HTMLElement} */ (e.target).closest('.remove-member')) {
+        e.stopPropagation();
+        reopenGroupMember(member);
+      }
+    });
+    
+    memberElement.querySelector('.remove-member')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      group.members = group.members.filter(m => m !== member);
+      group.updatedAt = Date.now();
+      saveCustomGroup(group);
+      renderTabs();
+    });
+    
+    return memberElement;
+  };
+  
+  /**
+   * Reopen a closed group member; it is re-bound by URL on the next refresh
+   * @param {TabManager.CustomGroupMember} member
+   */
+  const reopenGroupMember = (member) => {
+    chrome.tabs.create({ url: member.url, active: true }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Error reopening group member:', chrome.runtime.lastError.message);
+      }
+    });
+  };
 
   // Render window groups
   const renderWindowGroups = () => {
@@ -1098,6 +2457,10 @@ document.addEventListener('DOMContentLoaded', () => {
     tabHTML += `
       </div>
       <div class="tab-actions">
+        ${tab.childTabs && tab.childTabs.length > 0 ? `
+        <button class="tab-action-button share-subtree" title="Export this tab and the tabs opened from it">
+          <span data-feather="share" class="icon"></span>
+        </button>` : ''}
         <button class="tab-action-button switch-tab" title="Switch to tab">
           <span data-feather="external-link" class="icon"></span>
         </button>
@@ -1129,6 +2492,11 @@ document.addEventListener('DOMContentLoaded', () => {
       closeTab(tab);
     });
     
+    tabElement.querySelector('.share-subtree')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showExportTabsModal(`subtree:${tab.id}`, tab);
+    });
+    
     // Add YouTube queue toggle listener if this tab has a queue
     if (hasYouTubeQueue) {
       const queueToggle = tabElement.querySelector('.youtube-queue-toggle');
@@ -1258,12 +2626,19 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Close tab
   const closeTab = (tab) => {
-    chrome.tabs.remove(tab.id, () => {
+    // Closed through the background so the tab is recorded in the undo journal
+    chrome.runtime.sendMessage({ action: 'closeTabs', tabIds: [tab.id] }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error closing tab:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      
       allTabs = allTabs.filter(t => t.id !== tab.id);
       filteredTabs = filteredTabs.filter(t => t.id !== tab.id);
       
       updateStats();
       renderTabs();
+      showUndoToast(response.undoEntry);
     });
   };
 
@@ -1272,10 +2647,18 @@ document.addEventListener('DOMContentLoaded', () => {
     filterAllButton.classList.add('active');
     filterCurrentWindowButton.classList.remove('active');
     if (filterInactiveButton) filterInactiveButton.classList.remove('active');
+    if (filterSessionsButton) filterSessionsButton.classList.remove('active');
+    if (filterTimelineButton) filterTimelineButton.classList.remove('active');
+    if (filterClosedButton) filterClosedButton.classList.remove('active');
+    if (filterDashboardButton) filterDashboardButton.classList.remove('active');
     currentFilter = 'all';
     
-    // Hide inactive windows container and show tab containers
+    // Hide the inactive windows, sessions, timeline, dashboard and closed tabs containers and show tab containers
     if (inactiveWindowsContainer) inactiveWindowsContainer.classList.add('hidden');
+    if (sessionsContainer) sessionsContainer.classList.add('hidden');
+    if (timelineContainer) timelineContainer.classList.add('hidden');
+    if (closedTabsContainer) closedTabsContainer.classList.add('hidden');
+    if (dashboardContainer) dashboardContainer.classList.add('hidden');
     if (tabList) tabList.style.display = 'block';
     
     applyFilters();
@@ -1285,10 +2668,18 @@ document.addEventListener('DOMContentLoaded', () => {
     filterAllButton.classList.remove('active');
     filterCurrentWindowButton.classList.add('active');
     if (filterInactiveButton) filterInactiveButton.classList.remove('active');
+    if (filterSessionsButton) filterSessionsButton.classList.remove('active');
+    if (filterTimelineButton) filterTimelineButton.classList.remove('active');
+    if (filterClosedButton) filterClosedButton.classList.remove('active');
+    if (filterDashboardButton) filterDashboardButton.classList.remove('active');
     currentFilter = 'current-window';
     
-    // Hide inactive windows container and show tab containers
+    // Hide the inactive windows, sessions, timeline, dashboard and closed tabs containers and show tab containers
     if (inactiveWindowsContainer) inactiveWindowsContainer.classList.add('hidden');
+    if (sessionsContainer) sessionsContainer.classList.add('hidden');
+    if (timelineContainer) timelineContainer.classList.add('hidden');
+    if (closedTabsContainer) closedTabsContainer.classList.add('hidden');
+    if (dashboardContainer) dashboardContainer.classList.add('hidden');
     if (tabList) tabList.style.display = 'block';
     
     applyFilters();
@@ -1300,7 +2691,15 @@ document.addEventListener('DOMContentLoaded', () => {
       filterAllButton.classList.remove('active');
       filterCurrentWindowButton.classList.remove('active');
       filterInactiveButton.classList.add('active');
+      if (filterSessionsButton) filterSessionsButton.classList.remove('active');
+      if (filterTimelineButton) filterTimelineButton.classList.remove('active');
+      if (filterClosedButton) filterClosedButton.classList.remove('active');
+      if (filterDashboardButton) filterDashboardButton.classList.remove('active');
       currentFilter = 'inactive';
+      if (sessionsContainer) sessionsContainer.classList.add('hidden');
+      if (timelineContainer) timelineContainer.classList.add('hidden');
+      if (closedTabsContainer) closedTabsContainer.classList.add('hidden');
+      if (dashboardContainer) dashboardContainer.classList.add('hidden');
       
       // Refresh inactive windows
       fetchInactiveWindows();
@@ -1308,6 +2707,123 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  // Sessions filter button
+  if (filterSessionsButton) {
+    filterSessionsButton.addEventListener('click', () => {
+      if (filterAllButton) filterAllButton.classList.remove('active');
+      if (filterCurrentWindowButton) filterCurrentWindowButton.classList.remove('active');
+      if (filterInactiveButton) filterInactiveButton.classList.remove('active');
+      filterSessionsButton.classList.add('active');
+      if (filterTimelineButton) filterTimelineButton.classList.remove('active');
+      if (filterClosedButton) filterClosedButton.classList.remove('active');
+      if (filterDashboardButton) filterDashboardButton.classList.remove('active');
+      currentFilter = 'sessions';
+      if (inactiveWindowsContainer) inactiveWindowsContainer.classList.add('hidden');
+      if (timelineContainer) timelineContainer.classList.add('hidden');
+      if (closedTabsContainer) closedTabsContainer.classList.add('hidden');
+      if (dashboardContainer) dashboardContainer.classList.add('hidden');
+      
+      // Comparisons with the open tabs go stale, compute them again on demand
+      snapshotDiffs = {};
+      fetchSessionSnapshots();
+      applyFilters();
+    });
+  }
+  
+  // Timeline filter button
+  if (filterTimelineButton) {
+    filterTimelineButton.addEventListener('click', () => {
+      if (filterAllButton) filterAllButton.classList.remove('active');
+      if (filterCurrentWindowButton) filterCurrentWindowButton.classList.remove('active');
+      if (filterInactiveButton) filterInactiveButton.classList.remove('active');
+      if (filterSessionsButton) filterSessionsButton.classList.remove('active');
+      filterTimelineButton.classList.add('active');
+      if (filterClosedButton) filterClosedButton.classList.remove('active');
+      if (filterDashboardButton) filterDashboardButton.classList.remove('active');
+      currentFilter = 'timeline';
+      if (inactiveWindowsContainer) inactiveWindowsContainer.classList.add('hidden');
+      if (sessionsContainer) sessionsContainer.classList.add('hidden');
+      if (closedTabsContainer) closedTabsContainer.classList.add('hidden');
+      if (dashboardContainer) dashboardContainer.classList.add('hidden');
+      
+      applyFilters();
+    });
+  }
+  
+  // Dashboard filter button
+  if (filterDashboardButton) {
+    filterDashboardButton.addEventListener('click', () => {
+      if (filterAllButton) filterAllButton.classList.remove('active');
+      if (filterCurrentWindowButton) filterCurrentWindowButton.classList.remove('active');
+      if (filterInactiveButton) filterInactiveButton.classList.remove('active');
+      if (filterSessionsButton) filterSessionsButton.classList.remove('active');
+      if (filterTimelineButton) filterTimelineButton.classList.remove('active');
+      if (filterClosedButton) filterClosedButton.classList.remove('active');
+      filterDashboardButton.classList.add('active');
+      currentFilter = 'dashboard';
+      if (inactiveWindowsContainer) inactiveWindowsContainer.classList.add('hidden');
+      if (sessionsContainer) sessionsContainer.classList.add('hidden');
+      if (timelineContainer) timelineContainer.classList.add('hidden');
+      if (closedTabsContainer) closedTabsContainer.classList.add('hidden');
+      
+      applyFilters();
+    });
+  }
+  
+  if (dashboardRangeSelect) {
+    dashboardRangeSelect.addEventListener('change', renderDashboard);
+  }
+  
+  // Recently closed tabs filter button
+  if (filterClosedButton) {
+    filterClosedButton.addEventListener('click', () => {
+      if (filterAllButton) filterAllButton.classList.remove('active');
+      if (filterCurrentWindowButton) filterCurrentWindowButton.classList.remove('active');
+      if (filterInactiveButton) filterInactiveButton.classList.remove('active');
+      if (filterSessionsButton) filterSessionsButton.classList.remove('active');
+      if (filterTimelineButton) filterTimelineButton.classList.remove('active');
+      if (filterDashboardButton) filterDashboardButton.classList.remove('active');
+      filterClosedButton.classList.add('active');
+      currentFilter = 'closed';
+      if (inactiveWindowsContainer) inactiveWindowsContainer.classList.add('hidden');
+      if (sessionsContainer) sessionsContainer.classList.add('hidden');
+      if (timelineContainer) timelineContainer.classList.add('hidden');
+      if (dashboardContainer) dashboardContainer.classList.add('hidden');
+      
+      applyFilters();
+    });
+  }
+  
+  if (clearClosedTabsButton) {
+    clearClosedTabsButton.addEventListener('click', () => {
+      if (!confirm('Clear the list of recently closed tabs?')) return;
+      
+      chrome.runtime.sendMessage({ action: 'clearRecentlyClosed' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.error('Error clearing closed tabs:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+          return;
+        }
+        fetchClosedTabs();
+      });
+    });
+  }
+  
+  if (timelineRangeSelect) {
+    timelineRangeSelect.addEventListener('change', fetchTimeline);
+  }
+  
+  if (takeSnapshotButton) {
+    takeSnapshotButton.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'takeSessionSnapshot' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.error('Error taking snapshot:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+          return;
+        }
+        fetchSessionSnapshots();
+      });
+    });
+  }
+  
   // Deactivate window button
   if (deactivateWindowButton) {
     deactivateWindowButton.addEventListener('click', () => {
@@ -1444,14 +2960,18 @@ document.addEventListener('DOMContentLoaded', () => {
       id: Date.now().toString(),
       name,
       color,
-      tabIds: selectedTabs
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      members: allTabs
+        .filter(tab => tab.id !== undefined && selectedTabs.includes(tab.id))
+        .map(tab => createGroupMember(tab, trackingSessionId))
     };
     
     // Add to custom groups
     customGroups.push(newGroup);
     
     // Save to storage
-    saveCustomGroups();
+    saveCustomGroup(newGroup);
     
     // Hide modal
     hideCreateGroupModal();
@@ -1468,6 +2988,9 @@ document.addEventListener('DOMContentLoaded', () => {
     groupColorSelect.value = group.color;
     selectableTabsContainer.innerHTML = '';
     
+    // Tabs currently bound to the group's members
+    const boundTabs = bindGroupMembers(group, allTabs, trackingSessionId).tabs;
+    
     // Populate selectable tabs container
     allTabs.forEach(tab => {
       const tabElement = document.createElement('div');
@@ -1477,7 +3000,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const faviconUrl = tab.favIconUrl || `https://www.google.com/s2/favicons?domain=${domain}`;
       
       // Check if this tab is in the group
-      const isChecked = group.tabIds.includes(tab.id);
+      const isChecked = boundTabs.includes(tab);
       
       tabElement.innerHTML = `
         <input type="checkbox" data-tab-id="${tab.id}" id="tab-${tab.id}" ${isChecked ? 'checked' : ''}>
@@ -1525,15 +3048,29 @@ document.addEventListener('DOMContentLoaded', () => {
     // Find and update the group
     const groupIndex = customGroups.findIndex(g => g.id === groupId);
     if (groupIndex !== -1) {
+      const group = customGroups[groupIndex];
+      const binding = bindGroupMembers(group, allTabs, trackingSessionId);
+      
+      // Keep existing members of selected tabs and the closed members, which
+      // are not listed in the modal; add members for newly selected tabs
+      const keptMembers = group.members.filter(member =>
+        binding.closedMembers.includes(member) ||
+        (member.tabId !== undefined && selectedTabs.includes(member.tabId))
+      );
+      const newMembers = allTabs
+        .filter(tab => tab.id !== undefined && selectedTabs.includes(tab.id) && !keptMembers.some(m => m.tabId === tab.id))
+        .map(tab => createGroupMember(tab, trackingSessionId));
+      
       customGroups[groupIndex] = {
-        ...customGroups[groupIndex],
+        ...group,
         name,
         color,
-        tabIds: selectedTabs
+        members: [...keptMembers, ...newMembers],
+        updatedAt: Date.now()
       };
       
       // Save to storage
-      saveCustomGroups();
+      saveCustomGroup(customGroups[groupIndex]);
       
       // Hide modal
       hideCreateGroupModal();
@@ -1554,28 +3091,66 @@ document.addEventListener('DOMContentLoaded', () => {
       // Remove the group
       customGroups = customGroups.filter(g => g.id !== group.id);
       
-      // Save to storage
-      saveCustomGroups();
-      
       // Update UI
       renderTabs();
+      
+      // The background removes it from storage, ungroups its native tab group
+      // and records it in the undo journal
+      chrome.runtime.sendMessage({ action: 'deleteCustomGroup', groupId: group.id }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.error('Error deleting group:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+          loadCustomGroups(renderTabs);
+          return;
+        }
+        
+        showUndoToast(response.undoEntry);
+      });
     }
   };
   
-  // Save custom groups to chrome.storage
-  const saveCustomGroups = () => {
-    chrome.storage.local.set({ customGroups }, () => {
-      console.log('Custom groups saved');
+  /**
+   * Save a new or edited custom group
+   * The background stores it and mirrors it as a native tab group; it tells
+   * this page to reload the groups once they are saved.
+   * @param {TabManager.CustomTabGroup} group - The group to save
+   */
+  const saveCustomGroup = (group) => {
+    chrome.runtime.sendMessage({ action: 'saveCustomGroup', group }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error saving group:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        loadCustomGroups(renderTabs);
+        return;
+      }
+      
+      console.log('Custom group saved');
+    });
+  };
+  
+  // Ask the background to sync custom groups with native tab groups
+  const syncNativeTabGroups = () => {
+    chrome.runtime.sendMessage({ action: 'syncCustomGroups' }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error syncing tab groups:', chrome.runtime.lastError.message);
+        return;
+      }
+      
+      if (response && !response.success) {
+        console.error('Failed to sync tab groups:', response.error);
+      }
     });
   };
   
-  // Load custom groups from chrome.storage
-  const loadCustomGroups = () => {
+  /**
+   * Load custom groups from chrome.storage
+   * @param {() => void} [onLoaded] - Called once the groups are loaded
+   */
+  const loadCustomGroups = (onLoaded) => {
     chrome.storage.local.get('customGroups', (data) => {
       if (data.customGroups) {
         customGroups = data.customGroups;
         console.log('Custom groups loaded:', customGroups);
       }
+      if (onLoaded) onLoaded();
     });
   };
   
@@ -1662,6 +3237,12 @@ document.addEventListener('DOMContentLoaded', () => {
         hideCreateGroupModal();
       } else if (modal && modal.id === 'import-export-modal') {
         hideImportExportModal();
+      } else if (modal && modal.id === 'edit-window-modal') {
+        hideEditWindowModal();
+      } else if (modal && modal.id === 'settings-modal') {
+        hideSettingsModal();
+      } else if (modal && modal.id === 'export-tabs-modal') {
+        hideExportTabsModal();
       }
     });
   });
@@ -1677,7 +3258,10 @@ document.addEventListener('DOMContentLoaded', () => {
   const showImportExportModal = () => {
     // Clear previous data
     if (exportDataTextarea) exportDataTextarea.value = '';
+    if (importFileInput) importFileInput.value = '';
+    if (backupPassphraseInput) backupPassphraseInput.value = '';
     if (importExportStatus) importExportStatus.classList.add('hidden');
+    setImportPreviewMode(false);
     
     // Show the modal
     if (importExportModal) {
@@ -1706,7 +3290,9 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       if (importExportStatus) importExportStatus.classList.add('hidden');
       
-      chrome.runtime.sendMessage({ action: 'exportInactiveWindows' }, (response) => {
+      const passphrase = backupPassphraseInput ? backupPassphraseInput.value : '';
+      
+      chrome.runtime.sendMessage({ action: 'exportInactiveWindows', passphrase }, (response) => {
         // Reset button state
         if (exportButton) {
           exportButton.disabled = false;
@@ -1719,7 +3305,13 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
         
-        if (response.success) {
+        if (response.success && passphrase) {
+          // Encrypted backups are meant to be kept as files
+          const date = new Date().toISOString().slice(0, 10);
+          downloadFile(response.data, `tab-tracker-backup-${date}.encrypted.json`, 'application/json');
+          if (exportDataTextarea) exportDataTextarea.value = response.data;
+          showImportExportResult(true, 'Encrypted backup downloaded. Keep the passphrase safe: it cannot be recovered.');
+        } else if (response.success) {
           // Copy to clipboard
           if (exportDataTextarea) {
             exportDataTextarea.value = response.data;
@@ -1730,14 +3322,149 @@ document.addEventListener('DOMContentLoaded', () => {
             showImportExportResult(true, 'Data exported and copied to clipboard!');
           }
         } else {
-          // Show error message
+          // Show error message
+          showImportExportResult(false, 'Failed to export: ' + (response.error || 'Unknown error'));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Offer generated content as a file download
+   * @param {string} content - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} mimeType - MIME type of the contents
+   */
+  const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+  
+  // Handle export as bookmarks button click
+  if (exportBookmarksButton) {
+    exportBookmarksButton.addEventListener('click', () => {
+      if (importExportStatus) importExportStatus.classList.add('hidden');
+      
+      chrome.runtime.sendMessage({ action: 'exportInactiveWindowsAsBookmarks' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('Error exporting bookmarks:', chrome.runtime.lastError.message);
+          showImportExportResult(false, 'Failed to export: ' + chrome.runtime.lastError.message);
+          return;
+        }
+        
+        if (response.success) {
+          const date = new Date().toISOString().slice(0, 10);
+          downloadFile(response.data, `tab-tracker-bookmarks-${date}.html`, 'text/html');
+          showImportExportResult(true, 'Bookmarks file downloaded');
+        } else {
           showImportExportResult(false, 'Failed to export: ' + (response.error || 'Unknown error'));
         }
       });
     });
   }
   
-  // Handle import button click
+  /**
+   * Show the import step or the preview step of the import/export modal
+   * @param {boolean} previewing - Whether to show the preview step
+   */
+  const setImportPreviewMode = (previewing) => {
+    if (importPreview) importPreview.classList.toggle('hidden', !previewing);
+    [exportDataTextarea, importFileInput, backupPassphraseInput].forEach(input => {
+      const formGroup = input && input.closest('.form-group');
+      if (formGroup) formGroup.classList.toggle('hidden', previewing);
+    });
+    [exportButton, exportBookmarksButton, importButton].forEach(button => {
+      if (button) button.classList.toggle('hidden', previewing);
+    });
+    [confirmImportButton, cancelImportButton].forEach(button => {
+      if (button) button.classList.toggle('hidden', !previewing);
+    });
+    if (!previewing) {
+      pendingImportData = null;
+      pendingImportPassphrase = '';
+    }
+  };
+  
+  /**
+   * Render the windows an import would create
+   * @param {string} formatLabel - Name of the detected format
+   * @param {TabManager.InactiveWindow[]} windows - Windows that would be imported
+   * @param {string[]} [errors] - Problems found in the data
+   * @param {number} [duplicateCount] - Number of windows that are already archived
+   */
+  const renderImportPreview = (formatLabel, windows, errors = [], duplicateCount = 0) => {
+    if (!importPreview) return;
+    
+    const tabCount = windows.reduce((count, windowData) => count + windowData.tabs.length, 0);
+    
+    importPreview.innerHTML = `
+      <p class="import-preview-summary">
+        Detected ${escapeHTML(formatLabel)}: ${windows.length} window${windows.length !== 1 ? 's' : ''},
+        ${tabCount} tab${tabCount !== 1 ? 's' : ''}
+      </p>
+      <div class="import-preview-list">
+        ${windows.map(windowData => `
+          <div class="import-preview-window">
+            <div class="import-preview-window-name">
+              ${escapeHTML(windowData.name)}
+              <span class="tab-count">${windowData.tabs.length} tab${windowData.tabs.length !== 1 ? 's' : ''}</span>
+            </div>
+            ${windowData.tabs.slice(0, 3).map(tab => `
+              <div class="import-preview-tab" title="${encodeHTMLEntities(tab.url || '')}">${escapeHTML(tab.title || tab.url || '')}</div>
+            `).join('')}
+            ${windowData.tabs.length > 3 ? `<div class="import-preview-tab more">+${windowData.tabs.length - 3} more</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      ${duplicateCount > 0 ? `
+        <div class="form-group import-preview-duplicates">
+          <label for="import-duplicate-strategy">
+            ${duplicateCount} window${duplicateCount !== 1 ? 's are' : ' is'} already archived:
+          </label>
+          <select id="import-duplicate-strategy">
+            <option value="skip">Skip duplicates</option>
+            <option value="replace">Replace the archived version</option>
+            <option value="merge">Merge tabs into the archived version</option>
+          </select>
+        </div>
+      ` : ''}
+      ${errors.length > 0 ? `
+        <details class="import-preview-errors">
+          <summary>${errors.length} problem${errors.length !== 1 ? 's' : ''} will be fixed or skipped</summary>
+          <ul>
+            ${errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}
+          </ul>
+        </details>
+      ` : ''}
+    `;
+  };
+  
+  // Load a chosen file into the textarea
+  if (importFileInput) {
+    importFileInput.addEventListener('change', () => {
+      const file = importFileInput.files && importFileInput.files[0];
+      if (!file) return;
+      
+      file.text().then(text => {
+        if (exportDataTextarea) exportDataTextarea.value = text;
+        if (importExportStatus) importExportStatus.classList.add('hidden');
+      }).catch(/** @param {Error} error */ error => {
+        showImportExportResult(false, 'Failed to read file: ' + error.message);
+      });
+    });
+  }
+  
+  // Handle import button click: parse the data and show a preview first
   if (importButton) {
     importButton.addEventListener('click', () => {
       // Get data from textarea
@@ -1749,52 +3476,88 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       // Show loading state
-      if (importButton) {
-        importButton.disabled = true;
-        importButton.innerHTML = '<span class="loading-spinner"></span> Importing...';
-      }
+      importButton.disabled = true;
+      importButton.innerHTML = '<span class="loading-spinner"></span> Reading...';
       if (importExportStatus) importExportStatus.classList.add('hidden');
       
-      try {
-        // Try to parse as JSON to validate
-        JSON.parse(importData);
+      // The background detects the format, so any text may be sent
+      const passphrase = backupPassphraseInput ? backupPassphraseInput.value : '';
+      
+      chrome.runtime.sendMessage({ action: 'previewImport', data: importData, passphrase }, (response) => {
+        // Reset button state regardless of success/failure
+        importButton.disabled = false;
+        importButton.innerHTML = 'Import';
         
-        // Send to background script
-        chrome.runtime.sendMessage({ action: 'importInactiveWindows', data: importData }, (response) => {
-          // Reset button state regardless of success/failure
-          if (importButton) {
-            importButton.disabled = false;
-            importButton.innerHTML = 'Import';
-          }
+        if (chrome.runtime.lastError) {
+          console.error('Error reading import data:', chrome.runtime.lastError.message);
+          showImportExportResult(false, 'Failed to import: ' + chrome.runtime.lastError.message);
+          return;
+        }
+        
+        if (!response.success) {
+          showImportExportResult(false, 'Failed to import: ' + (response.message || 'Unknown error'));
+          // Ask for the passphrase of an encrypted backup
+          if (response.passphraseRequired && backupPassphraseInput) backupPassphraseInput.focus();
+          return;
+        }
+        
+        pendingImportData = importData;
+        pendingImportPassphrase = passphrase;
+        renderImportPreview(response.formatLabel, response.windows, response.errors, response.duplicateCount);
+        setImportPreviewMode(true);
+      });
+    });
+  }
+  
+  // Handle confirm import button click: save the previewed windows
+  if (confirmImportButton) {
+    confirmImportButton.addEventListener('click', () => {
+      if (!pendingImportData) return;
+      
+      confirmImportButton.disabled = true;
+      confirmImportButton.innerHTML = '<span class="loading-spinner"></span> Importing...';
+      
+      const strategySelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('import-duplicate-strategy'));
+      const duplicateStrategy = strategySelect ? strategySelect.value : 'skip';
+      
+      chrome.runtime.sendMessage({
+        action: 'importInactiveWindows',
+        data: pendingImportData,
+        duplicateStrategy,
+        passphrase: pendingImportPassphrase
+      }, (response) => {
+        // Reset button state regardless of success/failure
+        confirmImportButton.disabled = false;
+        confirmImportButton.innerHTML = 'Confirm import';
+        
+        if (chrome.runtime.lastError) {
+          console.error('Error importing windows:', chrome.runtime.lastError.message);
+          showImportExportResult(false, 'Failed to import: ' + chrome.runtime.lastError.message);
+          return;
+        }
+        
+        if (response.success) {
+          setImportPreviewMode(false);
+          if (exportDataTextarea) exportDataTextarea.value = '';
           
-          if (chrome.runtime.lastError) {
-            console.error('Error importing windows:', chrome.runtime.lastError.message);
-            showImportExportResult(false, 'Failed to import: ' + chrome.runtime.lastError.message);
-            return;
-          }
+          // Show success message
+          showImportExportResult(true, response.message);
           
-          if (response.success) {
-            // Show success message
-            showImportExportResult(true, `Successfully imported ${response.count} window(s)`);
-            
-            // Refresh inactive windows list
-            fetchInactiveWindows();
-          } else {
-            // Show error message
-            showImportExportResult(false, 'Failed to import: ' + (response.message || 'Unknown error'));
-          }
-        });
-      } catch (error) {
-        // Invalid JSON - reset button state and show error
-        if (importButton) {
-          importButton.disabled = false;
-          importButton.innerHTML = 'Import';
+          // Refresh inactive windows list
+          fetchInactiveWindows();
+          showUndoToast(response.undoEntry);
+        } else {
+          // Show error message
+          showImportExportResult(false, 'Failed to import: ' + (response.message || 'Unknown error'));
         }
-        showImportExportResult(false, 'Invalid data format. Please enter valid JSON data.');
-      }
+      });
     });
   }
   
+  if (cancelImportButton) {
+    cancelImportButton.addEventListener('click', () => setImportPreviewMode(false));
+  }
+  
   // Close import/export modal
   if (closeImportExportButton) {
     closeImportExportButton.addEventListener('click', hideImportExportModal);
@@ -1809,6 +3572,304 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
+  // Edit inactive window modal
+  if (editWindowModal) {
+    saveWindowButton.addEventListener('click', saveEditedWindow);
+    cancelWindowButton.addEventListener('click', hideEditWindowModal);
+    
+    // Save with Enter from the single-line inputs
+    [editWindowNameInput, editWindowTagsInput].forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          saveEditedWindow();
+        }
+      });
+    });
+    
+    editWindowModal.addEventListener('click', (e) => {
+      if (e.target === editWindowModal) {
+        hideEditWindowModal();
+      }
+    });
+  }
+  
+  // Settings modal
+  /** @param {string} message - Message to show, or an empty string to hide it */
+  const showSettingsMessage = (message) => {
+    if (!settingsMessage) return;
+    settingsMessage.textContent = message;
+    settingsMessage.classList.toggle('hidden', !message);
+  };
+  
+  const showSettingsModal = () => {
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error loading settings:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      
+      const { autoArchive } = response.settings;
+      autoArchiveEnabledInput.checked = autoArchive.enabled;
+      autoArchiveIdleMinutesInput.value = autoArchive.idleMinutes;
+      autoArchiveExcludePinnedInput.checked = autoArchive.excludePinned;
+      autoArchiveExcludeAudibleInput.checked = autoArchive.excludeAudible;
+      autoArchiveExcludeFormsInput.checked = autoArchive.excludeUnsavedForms;
+      
+      const { snapshots } = response.settings;
+      snapshotsEnabledInput.checked = snapshots.enabled;
+      snapshotsIntervalInput.value = snapshots.intervalMinutes;
+      snapshotsMaxCountInput.value = snapshots.maxSnapshots;
+      snapshotsMaxAgeInput.value = snapshots.maxAgeDays;
+      
+      const { history } = response.settings;
+      historyEnabledInput.checked = history.enabled;
+      historyMaxItemsInput.value = history.maxHistoryItems;
+      historyMaxAgeInput.value = history.maxAgeDays;
+      historyIdleMinutesInput.value = history.idleMinutes;
+      
+      const { analytics } = response.settings;
+      analyticsEnabledInput.checked = analytics.enabled;
+      analyticsRetentionInput.value = analytics.retentionDays;
+      
+      const { guardrails } = response.settings;
+      guardrailsEnabledInput.checked = guardrails.enabled;
+      guardrailsSoftPerWindowInput.value = guardrails.softTabsPerWindow;
+      guardrailsHardPerWindowInput.value = guardrails.hardTabsPerWindow;
+      guardrailsSoftTotalInput.value = guardrails.softTotalTabs;
+      guardrailsHardTotalInput.value = guardrails.hardTotalTabs;
+      guardrailsCountDiscardedInput.checked = guardrails.countDiscarded;
+      archiveSyncEnabledInput.checked = response.settings.archiveSync.enabled;
+      showSettingsMessage('');
+      fetchArchiveSyncStatus();
+      fetchStorageReport();
+      
+      if (!settingsModal) return;
+      settingsModal.classList.remove('hidden');
+      settingsModal.classList.add('visible');
+    });
+  };
+  
+  const hideSettingsModal = () => {
+    if (!settingsModal) return;
+    settingsModal.classList.remove('visible');
+    settingsModal.classList.add('hidden');
+  };
+  
+  const saveSettings = () => {
+    const autoArchive = {
+      enabled: autoArchiveEnabledInput.checked,
+      idleMinutes: parseInt(autoArchiveIdleMinutesInput.value),
+      excludePinned: autoArchiveExcludePinnedInput.checked,
+      excludeAudible: autoArchiveExcludeAudibleInput.checked,
+      excludeUnsavedForms: autoArchiveExcludeFormsInput.checked
+    };
+    
+    const snapshots = {
+      enabled: snapshotsEnabledInput.checked,
+      intervalMinutes: parseInt(snapshotsIntervalInput.value),
+      maxSnapshots: parseInt(snapshotsMaxCountInput.value),
+      maxAgeDays: parseInt(snapshotsMaxAgeInput.value)
+    };
+    
+    const history = {
+      enabled: historyEnabledInput.checked,
+      maxHistoryItems: parseInt(historyMaxItemsInput.value),
+      maxAgeDays: parseInt(historyMaxAgeInput.value),
+      idleMinutes: parseInt(historyIdleMinutesInput.value)
+    };
+    
+    const analytics = {
+      enabled: analyticsEnabledInput.checked,
+      retentionDays: parseInt(analyticsRetentionInput.value)
+    };
+    
+    const guardrails = {
+      enabled: guardrailsEnabledInput.checked,
+      softTabsPerWindow: parseInt(guardrailsSoftPerWindowInput.value),
+      hardTabsPerWindow: parseInt(guardrailsHardPerWindowInput.value),
+      softTotalTabs: parseInt(guardrailsSoftTotalInput.value),
+      hardTotalTabs: parseInt(guardrailsHardTotalInput.value),
+      countDiscarded: guardrailsCountDiscardedInput.checked
+    };
+    
+    const archiveSync = { enabled: archiveSyncEnabledInput.checked };
+    
+    chrome.runtime.sendMessage({ action: 'updateSettings', changes: { autoArchive, snapshots, history, analytics, guardrails, archiveSync } }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showSettingsMessage(response && response.error ? response.error : 'Failed to save settings');
+        return;
+      }
+      
+      hideSettingsModal();
+      fetchGuardrailStatus();
+    });
+  };
+  
+  // Checking forms needs access to page contents, which is requested when the
+  // check is turned on rather than every time the settings are saved
+  const requestFormCheckPermission = () => {
+    if (!autoArchiveEnabledInput.checked || !autoArchiveExcludeFormsInput.checked) return;
+    
+    chrome.permissions.request({ origins: ['<all_urls>'] }, (granted) => {
+      showSettingsMessage(granted ? '' :
+        'Without access to page contents, form input cannot be checked, so windows with web pages will not be archived.');
+    });
+  };
+  
+  /**
+   * Show when the archive was last synced and how much of the sync quota it uses
+   * @param {TabManager.ArchiveSyncStatus} status
+   */
+  const renderArchiveSyncStatus = (status) => {
+    const usedKB = (status.bytesInUse / 1024).toFixed(1);
+    const quotaKB = Math.floor(status.quotaBytes / 1024);
+    const usage = `${usedKB} KB of ${quotaKB} KB used`;
+    
+    let text;
+    if (status.lastError) {
+      text = `Sync failed: ${status.lastError}`;
+    } else if (!status.enabled) {
+      text = status.lastSyncAt ? `Sync is off. Last synced ${formatDate(status.lastSyncAt)}.` : 'Sync is off.';
+    } else {
+      text = status.lastSyncAt ? `Last synced ${formatDate(status.lastSyncAt)}.` : 'Not synced yet.';
+    }
+    
+    archiveSyncStatus.textContent = `${text} ${usage}`;
+    archiveSyncStatus.classList.toggle('error', Boolean(status.lastError));
+    archiveSyncQuotaBar.style.width = `${Math.min(100, (status.bytesInUse / status.quotaBytes) * 100)}%`;
+    archiveSyncQuotaBar.classList.toggle('full', status.bytesInUse / status.quotaBytes > 0.9);
+    syncNowButton.disabled = !status.enabled;
+  };
+  
+  const fetchArchiveSyncStatus = () => {
+    chrome.runtime.sendMessage({ action: 'getArchiveSyncStatus' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error loading sync status:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      renderArchiveSyncStatus(response.status);
+    });
+  };
+  
+  const syncArchiveNow = () => {
+    syncNowButton.disabled = true;
+    archiveSyncStatus.textContent = 'Syncing...';
+    
+    chrome.runtime.sendMessage({ action: 'syncArchiveNow' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.status) {
+        console.error('Error syncing:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        fetchArchiveSyncStatus();
+        return;
+      }
+      
+      renderArchiveSyncStatus(response.status);
+      if (response.success) {
+        fetchInactiveWindows();
+        loadCustomGroups(renderTabs);
+      }
+    });
+  };
+  
+  /**
+   * Names of the storage keys written by the extension
+   * @type {Object<string, string>}
+   */
+  const STORAGE_KEY_LABELS = {
+    tabRelationships: 'Tab tree',
+    tabFingerprints: 'Tab tree recovery',
+    previousSession: 'Tab tree recovery (previous session)',
+    youtubeQueues: 'YouTube queues',
+    tabHistory: 'Tab history',
+    focusTime: 'Time-spent analytics',
+    recentlyClosed: 'Recently closed tabs',
+    inactiveWindows: 'Inactive windows',
+    customGroups: 'Custom groups',
+    sessionSnapshots: 'Session snapshots',
+    undoJournal: 'Undo history',
+    settings: 'Settings',
+    archiveSyncState: 'Sync state'
+  };
+  
+  /**
+   * Format a size in bytes for display
+   * @param {number} bytes
+   */
+  const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+  
+  /**
+   * Show the storage used per key and what the last compaction removed
+   * @param {TabManager.StorageReport} report
+   */
+  const renderStorageReport = (report) => {
+    let text = `${formatBytes(report.totalBytes)} used.`;
+    if (report.lastRunAt && report.lastResult) {
+      const { relationships, youtubeQueues, groupMembers, previousSession } = report.lastResult;
+      const removed = [
+        relationships > 0 ? `${relationships} tab tree entr${relationships !== 1 ? 'ies' : 'y'}` : '',
+        youtubeQueues > 0 ? `${youtubeQueues} YouTube queue${youtubeQueues !== 1 ? 's' : ''}` : '',
+        groupMembers > 0 ? `${groupMembers} stale group member link${groupMembers !== 1 ? 's' : ''}` : '',
+        previousSession ? 'unrecovered data of a previous session' : ''
+      ].filter(Boolean);
+      text += ` Last compacted ${formatDate(report.lastRunAt)}: ` +
+        (removed.length > 0 ? `removed ${removed.join(', ')}.` : 'nothing to remove.');
+    }
+    storageReportSummary.textContent = text;
+    
+    storageReportTable.innerHTML = report.keys.map(({ key, bytes }) => `
+      <tr>
+        <td title="${encodeHTMLEntities(key)}">${escapeHTML(STORAGE_KEY_LABELS[key] || key)}</td>
+        <td class="storage-report-size">${formatBytes(bytes)}</td>
+      </tr>
+    `).join('');
+  };
+  
+  const fetchStorageReport = () => {
+    chrome.runtime.sendMessage({ action: 'getStorageReport' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error loading storage usage:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      renderStorageReport(response.report);
+    });
+  };
+  
+  const compactStorageNow = () => {
+    compactStorageButton.disabled = true;
+    storageReportSummary.textContent = 'Compacting...';
+    
+    chrome.runtime.sendMessage({ action: 'compactStorage' }, (response) => {
+      compactStorageButton.disabled = false;
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showSettingsMessage(response && response.error ? response.error : 'Failed to compact storage');
+        fetchStorageReport();
+        return;
+      }
+      
+      renderStorageReport(response.report);
+      loadCustomGroups(renderTabs);
+    });
+  };
+  
+  if (settingsModal) {
+    syncNowButton.addEventListener('click', syncArchiveNow);
+    compactStorageButton.addEventListener('click', compactStorageNow);
+    settingsButton.addEventListener('click', showSettingsModal);
+    saveSettingsButton.addEventListener('click', saveSettings);
+    cancelSettingsButton.addEventListener('click', hideSettingsModal);
+    autoArchiveEnabledInput.addEventListener('change', requestFormCheckPermission);
+    autoArchiveExcludeFormsInput.addEventListener('change', requestFormCheckPermission);
+    
+    settingsModal.addEventListener('click', (e) => {
+      if (e.target === settingsModal) {
+        hideSettingsModal();
+      }
+    });
+  }
+  
   // Function to show import/export result
   const showImportExportResult = (success, message) => {
     if (!importExportStatus || !importExportMessage) return;
@@ -1827,10 +3888,335 @@ document.addEventListener('DOMContentLoaded', () => {
     if (errorIcon) errorIcon.classList.toggle('hidden', success);
   };
 
+  // Export tabs as Markdown or CSV
+  
+  /**
+   * @param {string} message - Message to show, or an empty string to hide it
+   * @param {boolean} [success] - Whether the message reports a success
+   */
+  const showExportTabsMessage = (message, success) => {
+    exportTabsMessage.textContent = message;
+    exportTabsMessage.classList.toggle('success', Boolean(success));
+    exportTabsMessage.classList.toggle('hidden', !message);
+  };
+  
+  // Selections are encoded as "type:id" option values
+  const getExportTabsSelection = () => {
+    const value = exportTabsSelectionSelect.value;
+    const separator = value.indexOf(':');
+    const type = separator === -1 ? value : value.slice(0, separator);
+    const id = value.slice(separator + 1);
+    
+    if (type === 'tabs') {
+      const title = currentFilter === 'current-window' ? 'Current window'
+        : searchQuery ? `Tabs matching "${searchQuery}"` : 'All tabs';
+      return { type, tabIds: filteredTabs.map(tab => tab.id), title };
+    }
+    if (type === 'subtree') return { type, tabId: parseInt(id) };
+    if (type === 'customGroup') return { type, groupId: id };
+    return { type: 'archivedWindow', windowRecordId: id };
+  };
+  
+  /**
+   * @param {HTMLElement} parent - Select or option group to add the option to
+   * @param {string} value - Encoded selection
+   * @param {string} label - Text of the option
+   */
+  const addExportTabsOption = (parent, value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    parent.appendChild(option);
+  };
+  
+  /**
+   * Fill the selection list with the current list, custom groups and archived windows
+   * @param {chrome.tabs.Tab} [subtreeTab] - Tab whose subtree is offered first
+   */
+  const renderExportTabsSelections = (subtreeTab) => {
+    exportTabsSelectionSelect.innerHTML = '';
+    
+    if (subtreeTab) {
+      addExportTabsOption(exportTabsSelectionSelect, `subtree:${subtreeTab.id}`, `"${subtreeTab.title}" and the tabs opened from it`);
+    }
+    if (currentFilter !== 'inactive' && currentFilter !== 'sessions' && filteredTabs.length > 0) {
+      addExportTabsOption(exportTabsSelectionSelect, 'tabs', `Tabs in the current list (${filteredTabs.length})`);
+    }
+    
+    [
+      { label: 'Custom groups', items: customGroups, prefix: 'customGroup' },
+      { label: 'Archived windows', items: inactiveWindows, prefix: 'archivedWindow' }
+    ].forEach(({ label, items, prefix }) => {
+      if (items.length === 0) return;
+      const optionGroup = document.createElement('optgroup');
+      optionGroup.label = label;
+      items.forEach(item => addExportTabsOption(optionGroup, `${prefix}:${item.id}`, item.name));
+      exportTabsSelectionSelect.appendChild(optionGroup);
+    });
+  };
+  
+  // Render the selection in the chosen format and show it in the modal
+  const runTabExport = () => {
+    exportTabsResult = null;
+    exportTabsOutput.value = '';
+    const groupByFormGroup = exportTabsGroupBySelect.closest('.form-group');
+    if (groupByFormGroup) groupByFormGroup.classList.toggle('hidden', exportTabsFormatSelect.value !== 'markdown');
+    
+    if (!exportTabsSelectionSelect.value) {
+      showExportTabsMessage('There are no tabs to export');
+      return;
+    }
+    
+    const request = {
+      action: 'exportTabs',
+      selection: getExportTabsSelection(),
+      format: exportTabsFormatSelect.value,
+      groupBy: exportTabsGroupBySelect.value
+    };
+    
+    chrome.runtime.sendMessage(request, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showExportTabsMessage(chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.error) || 'Failed to export tabs');
+        return;
+      }
+      
+      exportTabsResult = { data: response.data, count: response.count, filename: response.filename };
+      exportTabsOutput.value = response.data;
+      showExportTabsMessage('');
+    });
+  };
+  
+  /**
+   * Open the export modal, optionally preselecting a selection such as "customGroup:<id>"
+   * @param {string} [preselectedValue] - Encoded selection to preselect
+   * @param {chrome.tabs.Tab} [subtreeTab] - Tab whose subtree is offered
+   */
+  const showExportTabsModal = (preselectedValue, subtreeTab) => {
+    if (!exportTabsModal) return;
+    
+    renderExportTabsSelections(subtreeTab);
+    if (preselectedValue) {
+      exportTabsSelectionSelect.value = preselectedValue;
+    }
+    
+    exportTabsModal.classList.remove('hidden');
+    exportTabsModal.classList.add('visible');
+    runTabExport();
+  };
+  
+  const hideExportTabsModal = () => {
+    if (!exportTabsModal) return;
+    exportTabsModal.classList.remove('visible');
+    exportTabsModal.classList.add('hidden');
+  };
+  
+  if (exportTabsModal) {
+    exportTabsButton.addEventListener('click', () => showExportTabsModal());
+    closeExportTabsButton.addEventListener('click', hideExportTabsModal);
+    [exportTabsSelectionSelect, exportTabsFormatSelect, exportTabsGroupBySelect].forEach(select => {
+      select.addEventListener('change', runTabExport);
+    });
+    
+    copyExportTabsButton.addEventListener('click', () => {
+      if (!exportTabsResult) return;
+      const { count } = exportTabsResult;
+      navigator.clipboard.writeText(exportTabsResult.data)
+        .then(() => showExportTabsMessage(`Copied ${count} tab${count !== 1 ? 's' : ''} to the clipboard`, true))
+        .catch(error => showExportTabsMessage('Failed to copy: ' + error.message));
+    });
+    
+    downloadExportTabsButton.addEventListener('click', () => {
+      if (!exportTabsResult) return;
+      const mimeType = exportTabsFormatSelect.value === 'csv' ? 'text/csv' : 'text/markdown';
+      downloadFile(exportTabsResult.data, exportTabsResult.filename, mimeType);
+    });
+    
+    exportTabsModal.addEventListener('click', (e) => {
+      if (e.target === exportTabsModal) {
+        hideExportTabsModal();
+      }
+    });
+  }
+
+  // Undo toast
+  
+  /**
+   * Show a toast offering to undo the action described by an undo journal entry
+   * @param {{id: string, description: string}|null|undefined} undoEntry
+   */
+  const showUndoToast = (undoEntry) => {
+    if (!undoToast || !undoEntry) return;
+    
+    undoToastMessage.textContent = undoEntry.description;
+    undoToastButton.classList.remove('hidden');
+    undoToastButton.onclick = () => undoLastAction(undoEntry.id);
+    
+    undoToast.classList.remove('hidden');
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(hideUndoToast, 8000);
+  };
+  
+  const hideUndoToast = () => {
+    if (undoToast) undoToast.classList.add('hidden');
+  };
+  
+  /**
+   * Undo an action from the journal, by default the most recent one
+   * @param {string} [entryId] - ID of the journal entry
+   */
+  const undoLastAction = (entryId) => {
+    chrome.runtime.sendMessage({ action: 'undoAction', entryId }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error undoing action:', chrome.runtime.lastError.message);
+        return;
+      }
+      
+      // Reuse the toast to report the outcome, without an undo button
+      if (undoToast) {
+        undoToastMessage.textContent = response.success
+          ? `Undone: ${response.description}`
+          : response.error;
+        undoToastButton.classList.add('hidden');
+        undoToast.classList.remove('hidden');
+        clearTimeout(undoToastTimer);
+        undoToastTimer = setTimeout(hideUndoToast, 4000);
+      }
+      
+      if (response.success) {
+        fetchTabs();
+        fetchInactiveWindows();
+      }
+    });
+  };
+  
+  if (undoToastCloseButton) {
+    undoToastCloseButton.addEventListener('click', hideUndoToast);
+  }
+  
+  // Ctrl+Z / Cmd+Z undoes the last action, unless the user is editing text
+  document.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() !== 'z' || !(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+    
+    const target = e.target;
+    if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement ||
+        (target instanceof HTMLElement && target.isContentEditable)) {
+      return;
+    }
+    
+    e.preventDefault();
+    undoLastAction();
+  });
+
+  // Tab limit warning
+  
+  /** @type {Record<TabManager.GuardrailLevel, number>} */
+  const GUARDRAIL_LEVEL_RANKS = { ok: 0, soft: 1, hard: 2 };
+  
+  // Check the tab limits and show or hide the warning banner
+  const fetchGuardrailStatus = () => {
+    chrome.runtime.sendMessage({ action: 'getGuardrailStatus' }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error checking tab limits:', chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+        return;
+      }
+      
+      renderGuardrailBanner(response.status);
+    });
+  };
+  
+  /**
+   * Describe which limits are exceeded and offer the remedies that apply
+   * A dismissed banner comes back once the level gets worse.
+   * @param {TabManager.GuardrailStatus} status
+   */
+  const renderGuardrailBanner = (status) => {
+    if (!guardrailBanner) return;
+    
+    if (status.level === 'ok') {
+      dismissedGuardrailLevel = 'ok';
+    }
+    if (GUARDRAIL_LEVEL_RANKS[status.level] <= GUARDRAIL_LEVEL_RANKS[dismissedGuardrailLevel]) {
+      guardrailBanner.classList.add('hidden');
+      return;
+    }
+    
+    const { limits } = status;
+    const noun = limits.countDiscarded ? 'tabs' : 'loaded tabs';
+    const messages = [];
+    
+    if (status.totalLevel !== 'ok') {
+      const limit = status.totalLevel === 'hard' ? limits.hardTotalTabs : limits.softTotalTabs;
+      messages.push(`${status.totalTabs} ${noun} are open, more than ${status.totalLevel === 'hard' ? 'the hard limit' : 'the limit'} of ${limit}.`);
+    }
+    if (status.windows.length === 1) {
+      const [window] = status.windows;
+      const limit = window.level === 'hard' ? limits.hardTabsPerWindow : limits.softTabsPerWindow;
+      messages.push(`A window has ${window.tabCount} ${noun}, more than ${window.level === 'hard' ? 'the hard limit' : 'the limit'} of ${limit}.`);
+    } else if (status.windows.length > 1) {
+      messages.push(`${status.windows.length} windows have more than ${limits.softTabsPerWindow} ${noun}.`);
+    }
+    
+    guardrailMessage.textContent = messages.join(' ');
+    guardrailBanner.classList.toggle('hard', status.level === 'hard');
+    
+    guardrailDiscardButton.textContent = `Discard ${status.discardableCount} least recently used tab${status.discardableCount !== 1 ? 's' : ''}`;
+    guardrailDiscardButton.classList.toggle('hidden', status.discardableCount === 0);
+    guardrailArchiveButton.classList.toggle('hidden', status.archivableWindowId === undefined);
+    guardrailDuplicatesButton.textContent = `Close ${status.duplicateCount} duplicate${status.duplicateCount !== 1 ? 's' : ''}`;
+    guardrailDuplicatesButton.classList.toggle('hidden', status.duplicateCount === 0);
+    
+    guardrailBanner.dataset.level = status.level;
+    guardrailBanner.classList.remove('hidden');
+  };
+  
+  /**
+   * Apply a remedy; archived windows and closed tabs can be undone from the toast
+   * @param {'discard'|'archive'|'duplicates'} remedy
+   */
+  const applyGuardrailRemedy = (remedy) => {
+    chrome.runtime.sendMessage({ action: 'applyGuardrailRemedy', remedy }, (response) => {
+      const failed = chrome.runtime.lastError || !response || !response.success;
+      
+      if (!failed && response.undoEntry) {
+        showUndoToast(response.undoEntry);
+      } else if (undoToast) {
+        // Reuse the toast to report the outcome, without an undo button
+        undoToastMessage.textContent = failed
+          ? (chrome.runtime.lastError ? chrome.runtime.lastError.message : (response && response.error) || 'Failed to apply remedy')
+          : response.description;
+        undoToastButton.classList.add('hidden');
+        undoToast.classList.remove('hidden');
+        clearTimeout(undoToastTimer);
+        undoToastTimer = setTimeout(hideUndoToast, 4000);
+      }
+      
+      fetchGuardrailStatus();
+    });
+  };
+  
+  if (guardrailBanner) {
+    guardrailDiscardButton.addEventListener('click', () => applyGuardrailRemedy('discard'));
+    guardrailArchiveButton.addEventListener('click', () => {
+      if (confirm('Archive the window that has gone unused the longest? It can be reopened from Inactive Windows.')) {
+        applyGuardrailRemedy('archive');
+      }
+    });
+    guardrailDuplicatesButton.addEventListener('click', () => applyGuardrailRemedy('duplicates'));
+    guardrailDismissButton.addEventListener('click', () => {
+      dismissedGuardrailLevel = /** @type {TabManager.GuardrailLevel} */ (guardrailBanner.dataset.level || 'ok');
+      guardrailBanner.classList.add('hidden');
+    });
+  }
+
   // Listen for tab changes from background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'tabsUpdated') {
       fetchTabs();
+      fetchGuardrailStatus();
+    }
+    // Custom groups were changed by the native tab group sync
+    if (message.action === 'customGroupsUpdated') {
+      loadCustomGroups(renderTabs);
     }
     // Return true to indicate we will respond asynchronously
     return true;
@@ -1839,8 +4225,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // The duplicate functions were removed to prevent redeclaration errors
   
   // Initial load
-  loadCustomGroups();
+  loadCustomGroups(syncNativeTabGroups);
   loadExpandedState();
   fetchTabs();
   fetchInactiveWindows();
+  fetchGuardrailStatus();
 });
\ No newline at end of file
@@ -13,6 +13,31 @@ declare namespace TabManager {
     timestamp?: number; // Optional timestamp in seconds
   }
 
+  /**
+   * YouTube queues stored under `youtubeQueues`
+   * Open tabs' queues are keyed by "tab-<id>"; when a tab closes its queue is
+   * kept under the watch page's base URL so it can be restored later.
+   */
+  export interface YouTubeQueues {
+    [key: string]: {
+      baseUrl?: string;                 // Watch page without queue parameters (tab entries only)
+      videos: YouTubeVideo[];
+      timestamp?: number;               // When the queue was saved
+    };
+  }
+
+  /**
+   * Entry of the tab history stored under `tabHistory`
+   */
+  export interface TabHistoryEntry {
+    id?: number;                        // Tab ID
+    windowId: number;
+    url?: string;
+    title?: string;
+    timestamp: number;                  // When the tab got focus
+    duration?: number;                  // Milliseconds the tab had focus; missing while it still has focus, or if unknown
+  }
+
   /**
    * Extended Tab interface with custom properties
    */
@@ -24,6 +49,19 @@ declare namespace TabManager {
     hasRestoredQueue?: boolean;         // Whether the queue was restored from saved state
   }
 
+  /**
+   * Member of a custom tab group
+   * Identified by URL so that membership survives restarts and tab ID changes.
+   */
+  export interface CustomGroupMember {
+    url: string;                        // URL of the member tab
+    title?: string;                     // Last known title
+    favIconUrl?: string;                // Last known favicon
+    tabId?: number;                     // Tab the member was last bound to
+    sessionId?: string;                 // Tracking session in which tabId is valid
+    addedAt: number;                    // When the member was added to the group
+  }
+
   /**
    * Custom Tab Group
    */
@@ -31,9 +69,11 @@ declare namespace TabManager {
     id: string;                         // Unique identifier for the group
     name: string;                       // Display name
     color: string;                      // Color theme (e.g., 'blue', 'red', etc.)
-    tabIds: number[];                   // IDs of tabs in this group
+    members: CustomGroupMember[];       // Tabs in this group, open or closed
     createdAt: number;                  // Creation timestamp
     updatedAt: number;                  // Last update timestamp
+    nativeGroupId?: number;             // Linked native Chrome tab group
+    nativeSessionId?: string;           // Tracking session in which nativeGroupId is valid
   }
 
   /**
@@ -56,7 +96,7 @@ declare namespace TabManager {
   export interface FilterState {
     searchTerm: string;                 // Current search term
     currentWindowOnly: boolean;         // Whether to show only tabs in current window
-    sortBy: 'title' | 'domain' | 'recent'; // Sort method
+    sortBy: 'title' | 'domain' | 'recent' | 'lru'; // Sort method
     groupBy: 'domain' | 'window' | 'custom'; // Grouping method
   }
 
@@ -67,22 +107,351 @@ declare namespace TabManager {
     [tabId: string]: {
       parentTabId?: number;
       childTabs?: number[];
+      createdAt?: number;               // When the relationship was recorded
+    };
+  }
+
+  /**
+   * Stable description of an open tab that does not depend on its tab ID
+   * Used to match restored tabs back to their entries after a browser restart.
+   */
+  export interface TabFingerprint {
+    url: string;                        // URL of the tab
+    title?: string;                     // Title of the tab
+    openerUrl?: string;                 // URL of the tab that opened this tab
+    windowOrdinal: number;              // Position of the tab's window among all windows
+    index: number;                      // Position of the tab within its window
+    pinned: boolean;                    // Whether the tab is pinned
+    createdAt: number;                  // When the tab was first seen
+  }
+
+  /**
+   * Fingerprints of all open tabs in one tracking session
+   */
+  export interface TabFingerprintStore {
+    sessionId: string;                  // Tracking session the tab IDs belong to
+    tabs: { [tabId: string]: TabFingerprint };
+  }
+
+  /**
+   * Data from a previous browser session awaiting tab tree recovery
+   */
+  export interface PreviousSessionData {
+    sessionId: string;                  // Tracking session the data was recorded in
+    savedAt: number;                    // When the data was parked
+    fingerprints: { [tabId: string]: TabFingerprint };
+    relationships: TabRelationships;    // Relationships keyed by the old tab IDs
+  }
+
+  /**
+   * Tab saved in an inactive window record
+   */
+  export interface InactiveWindowTab {
+    url?: string;
+    title?: string;
+    favIconUrl?: string;
+    pinned?: boolean;
+    active?: boolean;                   // Whether this was the window's active tab
+    index?: number;                     // Position in the original window
+    groupId?: number;                   // Native tab group in the original window (-1 if none)
+    originalId?: number;                // Tab ID in the original window
+    parentTabId?: number;               // Original tab ID of the parent tab
+  }
+
+  /**
+   * Identifies a tab of an inactive window record independent of its
+   * position, which may shift when the record changes concurrently
+   */
+  export interface InactiveWindowTabKey {
+    url?: string;
+    index?: number;                     // The tab's saved index
+  }
+
+  /**
+   * Native tab group saved in an inactive window record
+   */
+  export interface InactiveWindowGroup {
+    id: number;                         // Group ID in the original window
+    title?: string;
+    color: chrome.tabGroups.ColorEnum;
+    collapsed: boolean;
+  }
+
+  /**
+   * Window saved by deactivating it
+   */
+  export interface InactiveWindow {
+    id: string;                         // Stable UUID of the record
+    originalWindowId?: number;          // ID of the window that was deactivated
+    name: string;                       // Display name
+    notes?: string;                     // Free-form notes
+    tags?: string[];                    // Tags used to filter archived windows
+    autoArchived?: boolean;             // Archived by the idle-window policy rather than by the user
+    importedFrom?: string;              // Format the record was imported from, e.g. "OneTab export"
+    deactivatedAt: number;              // When the window was deactivated
+    updatedAt?: number;                 // When the record was last edited, for sync conflict resolution
+    state?: chrome.windows.windowStateEnum; // Window state (normal, maximized, ...)
+    bounds?: {                          // Position and size of the window
+      left?: number;
+      top?: number;
+      width?: number;
+      height?: number;
     };
+    groups?: InactiveWindowGroup[];     // Native tab groups of the window
+    tabs: InactiveWindowTab[];
+  }
+
+  /**
+   * A tab closed from the tab manager, kept so it can be reopened
+   */
+  export interface ClosedTabRecord {
+    originalId: number;                 // ID of the tab before it was closed
+    url: string;
+    title?: string;
+    favIconUrl?: string;
+    pinned: boolean;
+    windowId: number;                   // Window the tab was in
+    index: number;                      // Position of the tab in its window
+    nativeGroupId?: number;             // Native tab group the tab belonged to
+    parentTabId?: number;               // Parent in the tab tree
+    closedAt: number;                   // When the tab was closed
+  }
+
+  /**
+   * Tab in the log of recently closed tabs
+   * Tab IDs are only meaningful within the tracking session the tab was closed in.
+   */
+  export interface RecentlyClosedTab extends ClosedTabRecord {
+    id: string;                         // Unique ID of the log entry
+    sessionId: string;                  // Tracking session the tab was closed in
+    childTabIds: number[];              // Tabs that had this tab as their parent
+    windowClosing: boolean;             // Whether the tab was closed together with its window
   }
 
+  /**
+   * A reversible action in the undo journal
+   */
+  export type UndoEntry = {
+    id: string;                         // Unique ID of the entry
+    description: string;                // Shown in the undo toast
+    createdAt: number;                  // When the action happened
+  } & (
+    | { type: 'closeTabs'; data: { tabs: ClosedTabRecord[] } }
+    | { type: 'deleteGroup'; data: { group: CustomTabGroup } }
+    | { type: 'deactivateWindow'; data: { windowRecordId: string } }
+    | { type: 'importWindows'; data: { windowRecordIds: string[]; replacedRecords: InactiveWindow[] } } // Added records, and previous versions of replaced or merged ones
+  );
+
+  /**
+   * Settings of the idle-window auto-archive policy
+   */
+  export interface AutoArchiveSettings {
+    enabled: boolean;                   // Whether idle windows are archived automatically
+    idleMinutes: number;                // Minutes without use before a window is archived
+    excludePinned: boolean;             // Keep windows that contain pinned tabs
+    excludeAudible: boolean;            // Keep windows that are playing audio
+    excludeUnsavedForms: boolean;       // Keep windows with edited, unsubmitted form fields
+  }
+
+  /**
+   * Settings of the scheduled session snapshots
+   */
+  export interface SnapshotSettings {
+    enabled: boolean;                   // Whether snapshots are taken automatically
+    intervalMinutes: number;            // Minutes between automatic snapshots
+    maxSnapshots: number;               // Automatic snapshots kept at most
+    maxAgeDays: number;                 // Automatic snapshots older than this are removed
+  }
+
+  /**
+   * Settings of the sync of archived windows and custom groups across devices
+   */
+  export interface ArchiveSyncSettings {
+    enabled: boolean;                   // Whether data is synced through chrome.storage.sync
+  }
+
+  /**
+   * Settings of the tab history
+   */
+  export interface HistorySettings {
+    enabled: boolean;                   // Whether focused tabs are recorded
+    maxHistoryItems: number;            // Entries kept at most
+    maxAgeDays: number;                 // Entries older than this are removed
+    idleMinutes: number;                // Minutes without input after which the user counts as away
+  }
+
+  /**
+   * Settings of the time-spent analytics
+   */
+  export interface AnalyticsSettings {
+    enabled: boolean;                   // Whether focused time is added up
+    retentionDays: number;              // Days of statistics kept, including today
+  }
+
+  /**
+   * Soft and hard limits on open tabs
+   */
+  export interface GuardrailSettings {
+    enabled: boolean;                   // Whether the limits are checked
+    softTabsPerWindow: number;          // Tabs in a window above which a warning is shown
+    hardTabsPerWindow: number;          // Tabs in a window above which the warning is urgent
+    softTotalTabs: number;              // Tabs in all windows above which a warning is shown
+    hardTotalTabs: number;              // Tabs in all windows above which the warning is urgent
+    countDiscarded: boolean;            // Whether discarded tabs count towards the limits
+  }
+
+  /**
+   * How far a tab count is over its limits
+   */
+  export type GuardrailLevel = 'ok' | 'soft' | 'hard';
+
+  /**
+   * Window with more tabs than a per-window limit
+   */
+  export interface GuardrailWindow {
+    windowId: number;
+    tabCount: number;                   // Tabs counted towards the limit
+    level: GuardrailLevel;
+  }
+
+  /**
+   * State of the tab limits and the effect of each remedy
+   */
+  export interface GuardrailStatus {
+    level: GuardrailLevel;              // Worst level of the total and all windows
+    totalTabs: number;                  // Tabs counted towards the total limit
+    totalLevel: GuardrailLevel;
+    windows: GuardrailWindow[];         // Windows over a limit, most tabs first
+    limits: GuardrailSettings;
+    discardableCount: number;           // Least recently used tabs to discard to get under the soft limits
+    duplicateCount: number;             // Tabs showing the same page as another tab
+    archivableWindowId?: number;        // Window unused the longest, if more than one is open
+  }
+
+  /**
+   * Focused time of one day, in milliseconds
+   */
+  export interface FocusTimeDay {
+    total: number;                      // Time any web page had focus
+    hours: number[];                    // Time in each hour of the day, 24 values
+    domains: { [domain: string]: number };
+    groups: { [groupName: string]: number }; // Time in tabs of custom or native groups
+  }
+
+  /**
+   * Focused time by local date ("YYYY-MM-DD")
+   */
+  export interface FocusTimeDays {
+    [day: string]: FocusTimeDay;
+  }
+
+  /**
+   * Settings stored under the `settings` key
+   */
+  export interface UserSettings {
+    autoArchive: AutoArchiveSettings;   // Idle-window auto-archive policy
+    snapshots: SnapshotSettings;        // Scheduled session snapshots
+    archiveSync: ArchiveSyncSettings;   // Sync across devices
+    history: HistorySettings;           // Tab history retention
+    analytics: AnalyticsSettings;       // Time-spent analytics
+    guardrails: GuardrailSettings;      // Limits on open tabs
+  }
+
+  /**
+   * Data shared through chrome.storage.sync, before compression and chunking
+   */
+  export interface ArchiveSyncPayload {
+    windows: InactiveWindow[];
+    groups: CustomTabGroup[];           // Without native group links and member tab bindings
+    tombstones: { [recordId: string]: number }; // Deletion times of removed windows and groups
+  }
+
+  /**
+   * Sync bookkeeping of this device, stored under `archiveSyncState`
+   */
+  export interface ArchiveSyncState {
+    knownIds: string[];                 // Window and group IDs present after the last sync
+    tombstones: { [recordId: string]: number }; // Deletions known to this device
+    lastSyncAt?: number;                // When the last sync succeeded
+    lastError?: string;                 // Message of the last failed sync
+    lastErrorAt?: number;               // When the last sync failed
+  }
+
+  /**
+   * Sync status shown in the tab manager
+   */
+  export interface ArchiveSyncStatus {
+    enabled: boolean;
+    lastSyncAt?: number;
+    lastError?: string;                 // Set while the last attempt failed
+    bytesInUse: number;                 // Bytes used in chrome.storage.sync
+    quotaBytes: number;                 // Total chrome.storage.sync quota
+  }
+
+  /**
+   * Entries removed by a storage compaction
+   */
+  export interface StorageCompactionResult {
+    relationships: number;              // Relationships of tabs that are no longer open
+    youtubeQueues: number;              // Queues of closed tabs, and expired saved queues
+    groupMembers: number;               // Custom group members unbound from closed tabs
+    previousSession: boolean;           // Whether unrecovered data of a previous session was removed
+  }
+
+  /**
+   * Storage usage shown in the tab manager
+   */
+  export interface StorageReport {
+    keys: { key: string; bytes: number }[]; // Usage per storage key, largest first
+    totalBytes: number;                 // Usage of chrome.storage.local
+    lastRunAt?: number;                 // When storage was last compacted
+    lastResult?: StorageCompactionResult; // What the last compaction removed
+  }
+
+  /**
+   * A saved copy of the whole browser state
+   */
+  export interface SessionSnapshot {
+    id: string;                         // Unique ID of the snapshot
+    createdAt: number;                  // When the snapshot was taken
+    trigger: 'auto' | 'manual';         // Taken on schedule or by the user; only automatic ones expire
+    windows: InactiveWindow[];          // Open windows, in the inactive window record format
+    customGroups: CustomTabGroup[];     // Custom groups at the time of the snapshot
+    youtubeQueues: YouTubeQueues;       // YouTube queues at the time of the snapshot
+  }
+
+  /**
+   * Summary of a snapshot, used to list snapshots without loading their tabs
+   */
+  export interface SessionSnapshotSummary {
+    id: string;
+    createdAt: number;
+    trigger: 'auto' | 'manual';
+    windowCount: number;
+    tabCount: number;
+    groupCount: number;
+  }
+
+  /**
+   * Tabs to render as Markdown or CSV
+   */
+  export type ExportSelection =
+    | { type: 'tabs'; tabIds: number[]; title?: string }      // Open tabs, e.g. the current filter result
+    | { type: 'subtree'; tabId: number }                      // A tab and its descendants in the tree
+    | { type: 'customGroup'; groupId: string }                // Open and closed members of a custom group
+    | { type: 'archivedWindow'; windowRecordId: string };     // Tabs of an inactive window
+
   /**
    * Extension Settings
    */
   export interface ExtensionSettings {
     treeViewEnabled: boolean;           // Whether to use tree view for tab relationships
     autoGroupTabs: boolean;             // Whether to automatically group tabs by domain
-    saveTabHistory: boolean;            // Whether to save tab history
-    maxHistoryItems: number;            // Maximum number of history items to save
     preserveYouTubeQueues: boolean;     // Whether to preserve YouTube video queues
     darkMode: boolean;                  // Whether to use dark mode
     compactView: boolean;               // Whether to use compact view
     defaultGroupBy: 'domain' | 'window' | 'custom'; // Default grouping method
-    defaultSortBy: 'title' | 'domain' | 'recent';   // Default sort method
+    defaultSortBy: 'title' | 'domain' | 'recent' | 'lru';   // Default sort method
   }
 
   /**
@@ -119,4 +488,9 @@ declare namespace TabManager {
     data?: any;
     error?: string;
   }
-}
\ No newline at end of file
+}
+/**
+ * Service worker global used by background.js to load shared scripts
+ * (the project's lib settings target DOM, not WebWorker)
+ */
+declare function importScripts(...urls: string[]): void;
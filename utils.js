@@ -5,8 +5,10 @@
  * 
  * This file contains helper functions used throughout the extension for:
  * - Extracting and manipulating domain names from URLs
- * - HTML sanitization
+ * - HTML sanitization (DOM based, and string based for the service worker)
  * - Tab grouping by domain
+ * - Binding custom group members to open tabs
+ * - Normalizing tags of archived windows
  * - Date formatting
  * 
  * These utilities help maintain consistent behavior across different parts
@@ -73,6 +75,29 @@ function escapeHTML(text) {
   return div.innerHTML;
 }
 
+/**
+ * Escapes HTML special characters without using the DOM
+ * Unlike escapeHTML() this also escapes quotes, so the result is safe inside
+ * attribute values, and it works in the background service worker.
+ * 
+ * @param {string|undefined|null} text - Text to escape
+ * @returns {string} HTML-escaped text
+ * 
+ * @example
+ * // Returns "Tom &amp; Jerry &quot;1940&quot;"
+ * encodeHTMLEntities('Tom & Jerry "1940"')
+ */
+function encodeHTMLEntities(text) {
+  if (!text) return '';
+  
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Groups tabs by their domain names to organize them hierarchically
  * This function creates an object where each key is a domain name
@@ -124,3 +149,128 @@ function formatDate(date) {
   const d = new Date(date);
   return d.toLocaleString();
 }
+
+/**
+ * Creates a custom group member entry for a tab
+ * Members are identified by URL so that they survive browser restarts and tab
+ * ID changes. The tab ID is kept as a hint for the tracking session in which
+ * it was recorded, so a member stays bound to its tab while the tab navigates.
+ * 
+ * @param {chrome.tabs.Tab} tab - The tab to add to a group
+ * @param {string|undefined} sessionId - Current tracking session ID
+ * @returns {TabManager.CustomGroupMember} The member entry
+ * 
+ * @example
+ * group.members.push(createGroupMember(tab, sessionId));
+ */
+function createGroupMember(tab, sessionId) {
+  return {
+    url: tab.url || '',
+    title: tab.title,
+    favIconUrl: tab.favIconUrl,
+    tabId: tab.id,
+    sessionId,
+    addedAt: Date.now()
+  };
+}
+
+/**
+ * Binds the members of a custom group to the currently open tabs
+ * 
+ * Members recorded in the current tracking session are bound by tab ID first,
+ * the remaining members are matched by URL. Bound members are updated in place
+ * with the tab's current ID and URL; members that could not be bound are
+ * returned as closed members.
+ * 
+ * @param {TabManager.CustomTabGroup} group - The group whose members should be bound
+ * @param {Array<chrome.tabs.Tab>} tabs - All open tabs
+ * @param {string|undefined} sessionId - Current tracking session ID
+ * @returns {{tabs: Array<chrome.tabs.Tab>, closedMembers: Array<TabManager.CustomGroupMember>, changed: boolean}}
+ *   The bound tabs in member order, the closed members, and whether any member was updated
+ */
+function bindGroupMembers(group, tabs, sessionId) {
+  /** @type {Map<TabManager.CustomGroupMember, chrome.tabs.Tab>} */
+  const bound = new Map();
+  const usedTabIds = new Set();
+  let changed = false;
+  
+  // Members bound during this session keep their tab, even after it navigated
+  group.members.forEach(member => {
+    if (member.tabId === undefined || member.sessionId !== sessionId) return;
+    
+    const tab = tabs.find(t => t.id === member.tabId);
+    if (tab && !usedTabIds.has(tab.id)) {
+      bound.set(member, tab);
+      usedTabIds.add(tab.id);
+    }
+  });
+  
+  // Everything else is matched by URL
+  group.members.forEach(member => {
+    if (bound.has(member)) return;
+    
+    const tab = tabs.find(t => t.url === member.url && !usedTabIds.has(t.id));
+    if (tab) {
+      bound.set(member, tab);
+      usedTabIds.add(tab.id);
+    }
+  });
+  
+  /** @type {Array<TabManager.CustomGroupMember>} */
+  const closedMembers = [];
+  
+  group.members.forEach(member => {
+    const tab = bound.get(member);
+    
+    if (tab) {
+      if (member.tabId !== tab.id || member.sessionId !== sessionId || member.url !== tab.url) {
+        member.tabId = tab.id;
+        member.sessionId = sessionId;
+        member.url = tab.url || member.url;
+        changed = true;
+      }
+      // Titles and favicons change often, keep them current without forcing a save
+      member.title = tab.title || member.title;
+      member.favIconUrl = tab.favIconUrl || member.favIconUrl;
+    } else {
+      if (member.tabId !== undefined) {
+        delete member.tabId;
+        delete member.sessionId;
+        changed = true;
+      }
+      closedMembers.push(member);
+    }
+  });
+  
+  const boundTabs = group.members
+    .map(member => bound.get(member))
+    .filter(/** @returns {tab is chrome.tabs.Tab} */ tab => tab !== undefined);
+  
+  return { tabs: boundTabs, closedMembers, changed };
+}
+
+/**
+ * Normalizes a list of tags, accepting either an array or a comma-separated string
+ * Tags are trimmed and duplicates are dropped case-insensitively, keeping the first spelling.
+ * 
+ * @param {string|Array<string>|undefined} input - Tags to normalize
+ * @returns {Array<string>} Unique, non-empty tags in their original order
+ * 
+ * @example
+ * // Returns ["PROJ-123", "research"]
+ * parseTags("PROJ-123, research, ,proj-123")
+ */
+function parseTags(input) {
+  const rawTags = Array.isArray(input) ? input : String(input || '').split(',');
+  /** @type {Set<string>} */
+  const seen = new Set();
+  
+  return rawTags
+    .map(tag => String(tag).trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}